@@ -43,7 +43,7 @@ const InsightsModal = ({ isOpen, onClose, isLoading, error, content }) => {
                     )}
                     {error && <div className="text-red-600 bg-red-50 p-4 rounded-md">{error}</div>}
                     {content && !isLoading && (
-                        <div className="prose max-w-none" dangerouslySetInnerHTML={{ __html: content.replace(/\n/g, '<br />') }}></div>
+                        <div className="prose max-w-none whitespace-pre-wrap">{content}</div>
                     )}
                 </div>
                  <div className="p-4 border-t text-right">
@@ -1,30 +1,53 @@
-import React, { useState, useEffect, useMemo } from 'react';
-
-// --- Helper Functions ---
-/**
- * Parses a CSV string into an array of objects.
- * @param {string} csvText The raw CSV string.
- * @returns {Array<Object>} An array of objects representing the rows.
- */
-const parseCSV = (csvText) => {
-    if (!csvText) return [];
-    const lines = csvText.replace(/\r/g, '').split('\n').filter(line => line.trim() !== '');
-    if (lines.length < 2) return [];
-
-    const header = lines[0].split(',').map(h => h.trim());
-    const data = lines.slice(1).map(line => {
-        const values = line.match(/(".*?"|[^",]+)(?=\s*,|\s*$)/g) || [];
-        const entry = {};
-        header.forEach((key, index) => {
-            entry[key] = values[index] ? values[index].replace(/"/g, '').trim() : '';
-        });
-        return entry;
-    });
-    return data;
-};
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { importFile, acceptedExtensions, getImporters } from './lib/importers.js';
+import { FIELDS, REQUIRED_COLUMNS, findMissingColumns, findMatchingPreset, presetCoversHeaders, touchPreset, applyMapping } from './lib/columnMapping.js';
+import ColumnMappingWizard from './components/ColumnMappingWizard.jsx';
+import SheetPicker from './components/SheetPicker.jsx';
+import SourcesPanel from './components/SourcesPanel.jsx';
+import { SOURCE_COLUMN, mergeSources, suggestDedupeKey, uniqueSourceName } from './lib/merge.js';
+import { DEFAULT_PRIMARY_DIMENSIONS, DEFAULT_DRILL_DOWNS, countDistinctValues, groupColumns } from './lib/dimensions.js';
+import { NESTED_DRILL_DOWN, buildPivot, allBranchKeys, summarizeTree, applyTopN, sortPivotRows, treeGroups, cellRows, valueLabel } from './lib/pivot.js';
+import NestedTreeTable from './components/NestedTreeTable.jsx';
+import NestedLevelsEditor from './components/NestedLevelsEditor.jsx';
+import FilterPanel from './components/FilterPanel.jsx';
+import ActiveFilters from './components/ActiveFilters.jsx';
+import PivotTable from './components/PivotTable.jsx';
+import FunnelTable from './components/FunnelTable.jsx';
+import FunnelSettings from './components/FunnelSettings.jsx';
+import { FUNNEL_DRILL_DOWN, loadStageOrder, saveStageOrder, parseStages, buildFunnelRows, findUnrankedStages, summarizeFunnel } from './lib/funnel.js';
+import { applyFilters, describeFilter, isFilterActive, cloneFilters } from './lib/filters.js';
+import { detectDateColumns } from './lib/dates.js';
+import TrendView from './components/TrendView.jsx';
+import ChartView from './components/ChartView.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import ContactPanel from './components/ContactPanel.jsx';
+import { exportMatrix, pivotMatrix, campaignMatrix, treeMatrix, funnelMatrix, contactsMatrix, comparisonMatrix, slugify } from './lib/export.js';
+import SpendPanel from './components/SpendPanel.jsx';
+import QualitySettings from './components/QualitySettings.jsx';
+import { QUALITY_COLUMNS, AVERAGE_QUALITY, addQualityMetrics, loadActiveProfile, saveActiveProfile, describeWeights } from './lib/quality.js';
+import { computeSignificance, formatPValue, SIGNIFICANCE_LEVEL, MIN_EXPECTED_COUNT } from './lib/stats.js';
+import { SENIORITY, JOB_FUNCTION, loadTitleRules, saveTitleRules, addTitleFields } from './lib/titles.js';
+import TitleRulesSettings from './components/TitleRulesSettings.jsx';
+import { loadValueAliases, saveValueAliases, applyValueAliases } from './lib/aliases.js';
+import ValueAliasEditor from './components/ValueAliasEditor.jsx';
+import { profileColumns, findSuspectedDuplicates, describeExclusions, fillBlanks } from './lib/dataQuality.js';
+import DataQualityReport from './components/DataQualityReport.jsx';
+import { listDatasets, saveDataset, loadDataset, deleteDataset, clearDatasets } from './lib/datasetStore.js';
+import { clearStoredSettings } from './lib/storage.js';
+import RecentDatasets from './components/RecentDatasets.jsx';
+import SavedViews from './components/SavedViews.jsx';
+import { missingViewColumns, encodeViewHash, decodeViewHash } from './lib/views.js';
+import { CAMPAIGN_HIERARCHY, addHierarchyField, expandHierarchyLevels, groupByCampaign, allCampaignKeys } from './lib/hierarchy.js';
+import { compareSnapshots, sortComparison, summarizeComparison } from './lib/compare.js';
+import ComparisonPanel from './components/ComparisonPanel.jsx';
+import ComparisonTable from './components/ComparisonTable.jsx';
+import { loadLlmSettings, saveLlmSettings, validateLlmSettings, generateText } from './lib/llm.js';
+import InsightsSettings from './components/InsightsSettings.jsx';
+import Markdown from './components/Markdown.jsx';
+import { suggestSpendMapping, readSpendRows, contactPeriod, joinSpend, filtersSplittingSpend, costColumns, addCostMetrics, formatMetric } from './lib/spend.js';
 
 // --- Modal Component for AI Insights ---
-const InsightsModal = ({ isOpen, onClose, isLoading, error, content }) => {
+const InsightsModal = ({ isOpen, onClose, onCancel, isLoading, isCancelled, error, content }) => {
     // Güvenli bir şekilde kullanıcı kontrolünü işleyebilmek için useEffect kullanıyoruz
     React.useEffect(() => {
         // Modal açıkken, sayfa kaydırmayı engelle
@@ -92,7 +115,7 @@ const InsightsModal = ({ isOpen, onClose, isLoading, error, content }) => {
                         padding: '1.5rem',
                         overflowY: 'auto'
                     }}>
-                        {isLoading && (
+                        {isLoading && !content && (
                             <div style={{
                                 display: 'flex',
                                 flexDirection: 'column',
@@ -126,24 +149,46 @@ const InsightsModal = ({ isOpen, onClose, isLoading, error, content }) => {
                                 {error}
                             </div>
                         )}
-                        {content && !isLoading && (
-                            <div style={{
-                                maxWidth: 'none'
-                            }}>
-                                {content.split('\n').map((line, index) => (
-                                    <React.Fragment key={index}>
-                                        {line}
-                                        {index < content.split('\n').length - 1 && <br />}
-                                    </React.Fragment>
-                                ))}
-                            </div>
+                        {content && <Markdown text={content} />}
+                        {isCancelled && (
+                            <p style={{
+                                marginTop: content ? '1rem' : 0,
+                                color: '#6b7280',
+                                fontSize: '0.875rem'
+                            }}>{content ? 'Cancelled. The insights above are incomplete.' : 'Cancelled before any insights arrived.'}</p>
                         )}
                     </div>
                     <div style={{
                         padding: '1rem',
                         borderTop: '1px solid #e5e7eb',
-                        textAlign: 'right'
+                        display: 'flex',
+                        justifyContent: 'flex-end',
+                        alignItems: 'center',
+                        gap: '0.5rem'
                     }}>
+                        {isLoading && content && (
+                            <span style={{
+                                marginRight: 'auto',
+                                color: '#4b5563',
+                                fontSize: '0.875rem'
+                            }}>Generating insights...</span>
+                        )}
+                        {isLoading && (
+                            <button
+                                onClick={onCancel}
+                                style={{
+                                    backgroundColor: 'white',
+                                    color: '#374151',
+                                    fontWeight: 'bold',
+                                    padding: '0.5rem 1rem',
+                                    borderRadius: '0.375rem',
+                                    cursor: 'pointer',
+                                    border: '1px solid #d1d5db'
+                                }}
+                            >
+                                Cancel
+                            </button>
+                        )}
                         <button 
                             onClick={onClose} 
                             style={{
@@ -165,176 +210,666 @@ const InsightsModal = ({ isOpen, onClose, isLoading, error, content }) => {
 };
 
 
+const TOP_N_OPTIONS = [0, 5, 10, 20, 50];
+const VIEW_HASH_DELAY_MS = 400; // wait for typing to settle before adding a history entry
+
 // --- Main App Component ---
 export default function App() {
     // --- State Management ---
-    const [rawData, setRawData] = useState([]);
-    const [fileName, setFileName] = useState('');
+    const [sources, setSources] = useState([]); // [{ id, name, headers, rows, errors, preset, dateColumns }]
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [pendingSteps, setPendingSteps] = useState([]); // sheet choices and column mappings still waiting for the user
+    const [dedupeKey, setDedupeKey] = useState(null); // null = auto-suggest, '' = off
+    const [dedupeKeep, setDedupeKeep] = useState('first');
+    const [spend, setSpend] = useState(null); // { name, headers, rows, mapping, dateColumn } of the ad spend file; dateColumn '' = whole file
+    const [datasetId, setDatasetId] = useState(null); // id under which the loaded files are kept in IndexedDB
+    const [recentDatasets, setRecentDatasets] = useState([]); // summaries of the stored datasets, for the upload screen
+    const [baseline, setBaseline] = useState(null); // { name, sources, dedupeKey, dedupeKeep } of the earlier snapshot to compare against
 
     // View configuration state
-    const [primaryDimension, setPrimaryDimension] = useState('Ad Group Name');
-    const [drillDown, setDrillDown] = useState('none');
-    const [expandedCell, setExpandedCell] = useState(null); // { primaryValue: string, drillDownKey: string }
+    const [primaryDimension, setPrimaryDimension] = useState(FIELDS.adGroup);
+    const [drillDown, setDrillDown] = useState('none'); // 'none', NESTED_DRILL_DOWN or a column name
+    const [nestedLevels, setNestedLevels] = useState([FIELDS.icp, FIELDS.lifecycle]); // levels below the primary dimension in nested mode
+    const [expandedPaths, setExpandedPaths] = useState(() => new Set()); // path keys of open tree branches
+    const [filters, setFilters] = useState([]); // applied to rawData before grouping
+    const [sort, setSort] = useState({ column: null, direction: 'desc' }); // column is a table header
+    const [sortMetric, setSortMetric] = useState('count'); // 'count' | 'percent' for drill-down columns
+    const [rowLimit, setRowLimit] = useState(0); // 0 = show all rows
+    const [columnLimit, setColumnLimit] = useState(0); // 0 = show all drill-down columns
+    const [stageOrder, setStageOrder] = useState(loadStageOrder); // lifecycle stages for the funnel, earliest first
+    const [funnelSplit, setFunnelSplit] = useState(FIELDS.icp); // '' = no split
+    const [viewMode, setViewMode] = useState('table'); // 'table' | 'chart' | 'trend'
+    const [showSignificance, setShowSignificance] = useState(false); // confidence intervals and tests for single-column drill-downs
+    const [qualityEnabled, setQualityEnabled] = useState(false);
+    const [qualityProfile, setQualityProfile] = useState(loadActiveProfile); // weights used for the quality score
+    const [valueAliases, setValueAliases] = useState(loadValueAliases); // per-column spellings merged into one value
+    const [titleRules, setTitleRules] = useState(loadTitleRules); // classify job titles into seniority and function
+    const [showBlanks, setShowBlanks] = useState(false); // group blank values under "(blank)" instead of leaving them out
+    const [contactList, setContactList] = useState(null); // { title, rows } behind a clicked count
+    const [linkedView, setLinkedView] = useState(() => decodeViewHash(window.location.hash)); // view from the URL, waiting to be applied
 
     // AI Insights State
     const [isInsightsModalOpen, setIsInsightsModalOpen] = useState(false);
     const [insightsLoading, setInsightsLoading] = useState(false);
     const [insightsResult, setInsightsResult] = useState('');
     const [insightsError, setInsightsError] = useState('');
+    const [insightsCancelled, setInsightsCancelled] = useState(false); // stopped by the user; what arrived so far stays
+    const insightsRequest = useRef(null); // AbortController of the request in flight
+    const [llmSettings, setLlmSettings] = useState(loadLlmSettings); // provider and per-provider model settings
+    const [isInsightsSettingsOpen, setIsInsightsSettingsOpen] = useState(false);
 
     // --- File Handling ---
-    const handleFileUpload = (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
+    const addSource = (name, rows, errors, preset = null) => {
+        const headers = Object.keys(rows[0] || {});
+        setSources(prev => [...prev, {
+            id: `source-${Date.now()}-${prev.length}`,
+            name: uniqueSourceName(name, prev),
+            headers,
+            rows,
+            errors,
+            preset,
+            dateColumns: detectDateColumns(rows, headers),
+        }]);
+    };
+
+    // Adds the table straight away when its columns are usable, otherwise returns the mapping step it needs.
+    const resolveTable = (name, { headers, rows, errors }) => {
+        if (rows.length === 0) {
+            const detail = errors.length > 0 ? ` Line ${errors[0].line}: ${errors[0].message}` : '';
+            throw new Error(`${name} is empty or invalid.${detail}`);
+        }
+
+        if (findMissingColumns(headers).length === 0) {
+            addSource(name, rows, errors);
+            return null;
+        }
+
+        // A preset that leaves needed fields unmapped opens the wizard with it preselected instead.
+        const preset = findMatchingPreset(headers);
+        if (preset && presetCoversHeaders(preset, headers)) {
+            touchPreset(preset.id);
+            addSource(name, applyMapping(rows, preset.mapping), errors, preset);
+            return null;
+        }
+        return { id: `mapping-${name}-${Date.now()}`, kind: 'mapping', fileName: name, headers, rows, errors, preset };
+    };
+
+    const handleFileUpload = async (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        if (files.length === 0) return;
 
         setIsLoading(true);
         setError(null);
-        setRawData([]);
-        setFileName('');
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        const steps = [];
+        const failures = [];
+        for (const file of files) {
             try {
-                const text = e.target.result;
-                const parsedData = parseCSV(text);
-                if (parsedData.length === 0) throw new Error("CSV file is empty or invalid.");
-                
-                const requiredColumns = ['Ad Group Name', 'Ad Campaign Name', 'Company ICP Priority for Contacts', 'Lifecycle Stage', 'Job Title', 'Department'];
-                const firstRow = parsedData[0];
-                const missingColumns = requiredColumns.filter(col => !(col in firstRow));
-                if (missingColumns.length > 0) throw new Error(`CSV is missing columns: ${missingColumns.join(', ')}`);
-
-                setRawData(parsedData);
-                setFileName(file.name);
+                const tables = await importFile(file);
+                if (tables.length > 1) {
+                    steps.push({ id: `sheet-${file.name}-${Date.now()}`, kind: 'sheet', fileName: file.name, tables });
+                } else {
+                    const step = resolveTable(file.name, tables[0]);
+                    if (step) steps.push(step);
+                }
             } catch (err) {
-                setError(err.message);
-            } finally {
-                setIsLoading(false);
+                failures.push(err.message || `Failed to read ${file.name}.`);
             }
-        };
-        reader.onerror = () => {
-            setError("Failed to read the file.");
+        }
+
+        if (failures.length > 0) setError(failures.join(' '));
+        setPendingSteps(prev => [...prev, ...steps]);
+        setIsLoading(false);
+    };
+
+    // Spend files skip the contact mapping wizard; their columns are mapped in the spend panel.
+    const handleSpendUpload = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) return;
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            const tables = await importFile(file);
+            const table = tables.find(t => suggestSpendMapping(t.headers).spend) || tables[0];
+            if (!table || table.rows.length === 0) throw new Error(`${file.name} is empty or invalid.`);
+            const name = tables.length > 1 ? `${file.name} — ${table.name}` : file.name;
+            setSpend({ name, headers: table.headers, rows: table.rows, mapping: suggestSpendMapping(table.headers) });
+        } catch (err) {
+            setError(err.message || `Failed to read ${file.name}.`);
+        }
+        setIsLoading(false);
+    };
+
+    // A baseline table is used as it is when its columns are usable or a saved mapping fits; there is no wizard for it.
+    const setBaselineTable = (name, table) => {
+        if (table.rows.length === 0) throw new Error(`${name} is empty or invalid.`);
+        let { rows } = table;
+        if (findMissingColumns(table.headers).length > 0) {
+            const preset = findMatchingPreset(table.headers);
+            if (!preset || !presetCoversHeaders(preset, table.headers)) throw new Error(`${name} needs its columns mapped. Open it as the main dataset once to map them, then compare again.`);
+            rows = applyMapping(rows, preset.mapping);
+        }
+        setBaseline({ name, sources: [{ name, headers: Object.keys(rows[0]), rows }], dedupeKey: null, dedupeKeep: 'first' });
+    };
+
+    // Workbooks with several sheets go through the sheet picker, like the main upload.
+    const handleBaselineUpload = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) return;
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            const tables = await importFile(file);
+            if (tables.length > 1) {
+                setPendingSteps(prev => [...prev, { id: `sheet-${file.name}-${Date.now()}`, kind: 'sheet', fileName: file.name, tables, isBaseline: true }]);
+            } else {
+                if (tables.length === 0) throw new Error(`${file.name} is empty or invalid.`);
+                setBaselineTable(file.name, tables[0]);
+            }
+        } catch (err) {
+            setError(err.message || `Failed to read ${file.name}.`);
+        }
+        setIsLoading(false);
+    };
+
+    const handleBaselineDataset = async (id) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const dataset = await loadDataset(id);
+            if (!dataset) throw new Error('That dataset is no longer stored.');
+            setBaseline({ name: dataset.sources.map(source => source.name).join(', '), sources: dataset.sources, dedupeKey: dataset.dedupeKey, dedupeKeep: dataset.dedupeKeep });
+        } catch (err) {
+            setError(`The baseline could not be opened: ${err.message}`);
+        } finally {
             setIsLoading(false);
-        };
-        reader.readAsText(file);
+        }
+    };
+
+    const completeStep = (nextStep = null) => {
+        setPendingSteps(([, ...rest]) => (nextStep ? [nextStep, ...rest] : rest));
+    };
+
+    const handleSheetPick = (table) => {
+        const { fileName, isBaseline } = pendingSteps[0];
+        try {
+            if (isBaseline) {
+                setBaselineTable(`${fileName} — ${table.name}`, table);
+                completeStep();
+                return;
+            }
+            completeStep(resolveTable(`${fileName} — ${table.name}`, table));
+        } catch (err) {
+            setError(err.message);
+            completeStep();
+        }
+    };
+
+    const handleMappingApply = (mapping) => {
+        const { fileName, rows, errors } = pendingSteps[0];
+        addSource(fileName, applyMapping(rows, mapping), errors);
+        completeStep();
+    };
+
+    const removeSource = (id) => {
+        setSources(prev => prev.filter(source => source.id !== id));
     };
     
     const resetData = () => {
-        setRawData([]);
-        setFileName('');
+        setDatasetId(null);
+        setSources([]);
+        setSpend(null);
+        setBaseline(null);
+        setPendingSteps([]);
+        setDedupeKey(null);
+        setFilters([]);
         setError(null);
     };
 
+    // --- Stored Datasets ---
+    // Every change to the loaded files is saved, so a reload can pick up where the user left off.
+    useEffect(() => {
+        if (sources.length === 0) return;
+        const id = datasetId || `dataset-${Date.now()}`;
+        if (!datasetId) setDatasetId(id);
+        saveDataset({ id, sources, spend, dedupeKey, dedupeKeep })
+            .catch(err => setError(`These files could not be kept for later: ${err.message}`));
+    }, [sources, spend, dedupeKey, dedupeKeep]);
+
+    const refreshRecentDatasets = () => listDatasets().then(setRecentDatasets, () => setRecentDatasets([]));
+
+    useEffect(() => {
+        if (sources.length === 0) refreshRecentDatasets();
+    }, [sources.length]);
+
+    const handleOpenDataset = async (id) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const dataset = await loadDataset(id);
+            if (!dataset) {
+                setError('That dataset is no longer stored.');
+                await refreshRecentDatasets();
+                return;
+            }
+            setDatasetId(dataset.id);
+            setSources(dataset.sources);
+            setSpend(dataset.spend);
+            setDedupeKey(dataset.dedupeKey);
+            setDedupeKeep(dataset.dedupeKeep);
+        } catch (err) {
+            setError(`The dataset could not be opened: ${err.message}`);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleDeleteDataset = async (id) => {
+        try {
+            await deleteDataset(id);
+        } catch (err) {
+            setError(`The dataset could not be deleted: ${err.message}`);
+        }
+        await refreshRecentDatasets();
+    };
+
+    const handleDeleteAllStored = async () => {
+        if (!window.confirm('Delete every stored dataset, saved view and setting from this browser?')) return;
+        try {
+            await clearDatasets();
+        } catch (err) {
+            setError(`Stored datasets could not be deleted: ${err.message}`);
+        }
+        clearStoredSettings();
+        await refreshRecentDatasets();
+    };
+
+    // --- Merged Dataset ---
+    // Seniority and Job Function are derived from the job title unless a file already has such columns.
+    const hasTitleFields = useMemo(() => {
+        const headers = new Set(sources.flatMap(source => source.headers));
+        return headers.has(FIELDS.jobTitle) && !headers.has(SENIORITY) && !headers.has(JOB_FUNCTION);
+    }, [sources]);
+
+    // The campaign → ad group key is derived when the files have both columns.
+    const hasHierarchy = useMemo(() => {
+        const headers = new Set(sources.flatMap(source => source.headers));
+        return headers.has(FIELDS.campaign) && headers.has(FIELDS.adGroup) && !headers.has(CAMPAIGN_HIERARCHY);
+    }, [sources]);
+
+    const columns = useMemo(() => {
+        const all = new Set(sources.flatMap(source => source.headers));
+        if (sources.length > 0) all.add(SOURCE_COLUMN);
+        if (hasTitleFields) {
+            all.add(SENIORITY);
+            all.add(JOB_FUNCTION);
+        }
+        if (hasHierarchy) all.add(CAMPAIGN_HIERARCHY);
+        return Array.from(all);
+    }, [sources, hasTitleFields, hasHierarchy]);
+
+    // Columns that come from the uploaded files, as opposed to the source tag and the derived fields.
+    const fileColumns = useMemo(
+        () => columns.filter(col => ![SOURCE_COLUMN, SENIORITY, JOB_FUNCTION, CAMPAIGN_HIERARCHY].includes(col)),
+        [columns]
+    );
+
+    const effectiveDedupeKey = dedupeKey ?? suggestDedupeKey(columns);
+
+    const { rows: mergedRows, report: mergeReport } = useMemo(
+        () => mergeSources(sources, { dedupeKey: effectiveDedupeKey, keep: dedupeKeep }),
+        [sources, effectiveDedupeKey, dedupeKeep]
+    );
+
+    // Aliases run first so the job title rules see the merged spellings.
+    const aliasedRows = useMemo(() => applyValueAliases(mergedRows, valueAliases), [mergedRows, valueAliases]);
+
+    const rawData = useMemo(() => {
+        const rows = hasTitleFields ? addTitleFields(aliasedRows, titleRules) : aliasedRows;
+        return hasHierarchy ? addHierarchyField(rows) : rows;
+    }, [hasTitleFields, hasHierarchy, aliasedRows, titleRules]);
+
+    const distinctCounts = useMemo(() => countDistinctValues(rawData, columns), [rawData, columns]);
+    const primaryOptions = useMemo(() => groupColumns(DEFAULT_PRIMARY_DIMENSIONS, columns), [columns]);
+    const drillDownOptions = useMemo(() => groupColumns(DEFAULT_DRILL_DOWNS.map(d => d.column), columns), [columns]);
+
+    // Date columns detected per file; when files disagree on a column's format, the first file wins.
+    const dateColumns = useMemo(
+        () => sources.reduceRight((acc, source) => ({ ...acc, ...source.dateColumns }), {}),
+        [sources]
+    );
+
+    const parseErrors = useMemo(
+        () => sources.flatMap(source => source.errors.map(err => ({ ...err, source: source.name }))),
+        [sources]
+    );
+
     // --- Data Processing ---
+    const { rows: filteredData, errors: filterErrors } = useMemo(() => applyFilters(rawData, filters), [rawData, filters]);
+
+    // Levels of the nested tree; the campaign hierarchy becomes its two columns.
+    const treeLevels = useMemo(
+        () => expandHierarchyLevels([primaryDimension, ...nestedLevels.filter(level => level !== primaryDimension)]),
+        [primaryDimension, nestedLevels]
+    );
+    // The column that defines the table rows, and the columns the view breaks them down by.
+    const rowDimension = drillDown === NESTED_DRILL_DOWN ? treeLevels[0] : primaryDimension;
+    const breakdownColumns = useMemo(() => {
+        if (drillDown === NESTED_DRILL_DOWN) return treeLevels.slice(1);
+        if (drillDown === FUNNEL_DRILL_DOWN) return funnelSplit ? [funnelSplit] : [];
+        return drillDown === 'none' ? [] : [drillDown];
+    }, [drillDown, treeLevels, funnelSplit]);
+
+    const viewRows = useMemo(
+        () => (showBlanks ? fillBlanks(filteredData, [rowDimension, ...breakdownColumns]) : filteredData),
+        [showBlanks, filteredData, rowDimension, breakdownColumns]
+    );
+
+    // The baseline goes through the same aliases, derived fields and filters as the loaded data.
+    const baselineRows = useMemo(() => {
+        if (!baseline) return null;
+        const headers = Array.from(new Set(baseline.sources.flatMap(source => source.headers)));
+        const { rows: merged } = mergeSources(baseline.sources, { dedupeKey: baseline.dedupeKey ?? suggestDedupeKey(headers), keep: baseline.dedupeKeep });
+        let rows = applyValueAliases(merged, valueAliases);
+        if (hasTitleFields) rows = addTitleFields(rows, titleRules);
+        if (hasHierarchy) rows = addHierarchyField(rows);
+        rows = applyFilters(rows, filters).rows;
+        return showBlanks ? fillBlanks(rows, [rowDimension, ...breakdownColumns]) : rows;
+    }, [baseline, valueAliases, hasTitleFields, titleRules, hasHierarchy, filters, showBlanks, rowDimension, breakdownColumns]);
+
+    const exclusions = useMemo(
+        () => describeExclusions({ totalCount: rawData.length, rows: filteredData, primaryDimension: rowDimension, breakdownColumns, showBlanks }),
+        [rawData, filteredData, rowDimension, breakdownColumns, showBlanks]
+    );
+    const columnProfile = useMemo(() => profileColumns(rawData, columns), [rawData, columns]);
+    const duplicateKeyColumn = suggestDedupeKey(fileColumns);
+    const suspectedDuplicates = useMemo(
+        () => findSuspectedDuplicates(rawData, fileColumns, duplicateKeyColumn),
+        [rawData, fileColumns, duplicateKeyColumn]
+    );
+
+    const pivot = useMemo(
+        () => buildPivot(viewRows, { primaryDimension: rowDimension, drillDown, nestedLevels: breakdownColumns }),
+        [viewRows, rowDimension, drillDown, breakdownColumns]
+    );
+    const { tree } = pivot;
+
+    const stages = useMemo(() => parseStages(stageOrder), [stageOrder]);
+
+    const spendRead = useMemo(() => (spend ? readSpendRows(spend.rows, spend.mapping) : { entries: [], errors: [] }), [spend]);
+    // Dated spend is limited to the days the contacts in view span, read from the chosen contact date column.
+    const spendDateColumn = spend && spend.mapping.date && spend.dateColumn !== ''
+        ? (dateColumns[spend.dateColumn] ? spend.dateColumn : Object.keys(dateColumns)[0] || '')
+        : '';
+    const spendPeriod = useMemo(
+        () => (spendDateColumn ? contactPeriod(filteredData, spendDateColumn, dateColumns[spendDateColumn]) : null),
+        [filteredData, spendDateColumn, dateColumns]
+    );
+    const spendJoin = useMemo(
+        () => (spend ? joinSpend(spendRead.entries, rawData, primaryDimension, spend.mapping, spendPeriod) : null),
+        [spend, spendRead, rawData, primaryDimension, spendPeriod]
+    );
+    // Cost per contact would divide a group's whole spend by part of its contacts while these filters are on.
+    const spendSplitFilters = useMemo(
+        () => filtersSplittingSpend(filters.filter(filter => isFilterActive(filter) && !filterErrors[filter.id]), primaryDimension, spendDateColumn),
+        [filters, filterErrors, primaryDimension, spendDateColumn]
+    );
+    const metricColumns = useMemo(
+        () => [...(qualityEnabled ? QUALITY_COLUMNS : []), ...(spendJoin ? costColumns(spendJoin, stages, { perContact: spendSplitFilters.length === 0 }) : [])],
+        [qualityEnabled, spendJoin, stages, spendSplitFilters]
+    );
+
     const { tableHeaders, tableRows } = useMemo(() => {
-        if (!rawData.length) return { tableHeaders: [], tableRows: [] };
-        
-        const getDrillDownKey = (row, level) => {
-            switch (level) {
-                case 'icp': return row['Company ICP Priority for Contacts'];
-                case 'lifecycle': return row['Lifecycle Stage'];
-                case 'job_title': return row['Job Title'];
-                case 'department': return row['Department'];
-                default: return null;
-            }
+        const limited = applyTopN(pivot.tableHeaders, pivot.tableRows, { rowLimit, columnLimit });
+        let withMetrics = limited.tableRows;
+        if (qualityEnabled) withMetrics = addQualityMetrics(withMetrics, qualityProfile.weights);
+        if (spendJoin) withMetrics = addCostMetrics(withMetrics, spendJoin, stages, { perContact: spendSplitFilters.length === 0 });
+        return {
+            tableHeaders: limited.tableHeaders,
+            tableRows: sortPivotRows(limited.tableHeaders, withMetrics, { ...sort, metric: sortMetric }),
         };
+    }, [pivot, rowLimit, columnLimit, sort, sortMetric, qualityEnabled, qualityProfile, spendJoin, spendSplitFilters, stages]);
+
+    // In the hierarchy, ad group rows are nested under campaign rows, which are sorted the same way.
+    const campaignRows = useMemo(() => {
+        if (primaryDimension !== CAMPAIGN_HIERARCHY || drillDown === NESTED_DRILL_DOWN || drillDown === FUNNEL_DRILL_DOWN) return null;
+        let parents = groupByCampaign(tableRows);
+        if (qualityEnabled) parents = addQualityMetrics(parents, qualityProfile.weights);
+        if (spendJoin) parents = addCostMetrics(parents, spendJoin, stages, { perContact: spendSplitFilters.length === 0 });
+        return sortPivotRows(tableHeaders, parents, { ...sort, metric: sortMetric });
+    }, [primaryDimension, drillDown, tableHeaders, tableRows, qualityEnabled, qualityProfile, spendJoin, spendSplitFilters, stages, sort, sortMetric]);
+
+    const isColumnDrillDown = ![NESTED_DRILL_DOWN, FUNNEL_DRILL_DOWN, 'none'].includes(drillDown);
+
+    // Snapshots are compared in the flat table only: no drill-down or one drill-down column.
+    const isComparable = viewMode === 'table' && drillDown !== NESTED_DRILL_DOWN && drillDown !== FUNNEL_DRILL_DOWN;
+    const comparison = useMemo(
+        () => (baselineRows && isComparable ? compareSnapshots(baselineRows, viewRows, { primaryDimension, drillDown }) : null),
+        [baselineRows, isComparable, viewRows, primaryDimension, drillDown]
+    );
+    const sortedComparison = useMemo(
+        () => (comparison ? { ...comparison, tableRows: sortComparison(comparison.tableHeaders, comparison.tableRows, { ...sort, metric: sortMetric }) } : null),
+        [comparison, sort, sortMetric]
+    );
+    const significance = useMemo(
+        () => (showSignificance && isColumnDrillDown && viewMode === 'table' ? computeSignificance(tableHeaders, tableRows) : null),
+        [showSignificance, isColumnDrillDown, viewMode, tableHeaders, tableRows]
+    );
+
+    // The Sankey follows the nested levels, or the drill-down column, or ICP → Lifecycle by default.
+    const sankeyLevels = useMemo(() => {
+        const next = drillDown === NESTED_DRILL_DOWN ? nestedLevels : isColumnDrillDown ? [drillDown] : [FIELDS.icp, FIELDS.lifecycle];
+        return [primaryDimension, ...next.filter(level => level !== primaryDimension)];
+    }, [drillDown, nestedLevels, isColumnDrillDown, primaryDimension]);
+
+    const funnelData = useMemo(
+        () => (drillDown === FUNNEL_DRILL_DOWN ? buildFunnelRows(viewRows, primaryDimension, stages, funnelSplit || null) : null),
+        [drillDown, viewRows, primaryDimension, stages, funnelSplit]
+    );
+    const unrankedStages = useMemo(
+        () => (drillDown === FUNNEL_DRILL_DOWN ? findUnrankedStages(filteredData, stages) : []),
+        [drillDown, filteredData, stages]
+    );
+
+    // --- Event Handlers ---
+    const handleStageOrderChange = (order) => {
+        setStageOrder(order);
+        saveStageOrder(order);
+    };
+
+
+    // --- Saved Views ---
+    const currentViewState = { primaryDimension, drillDown, nestedLevels, filters, sort, sortMetric, rowLimit, columnLimit, funnelSplit, viewMode, showBlanks };
+
+    const handleOpenView = (state) => {
+        setPrimaryDimension(state.primaryDimension);
+        setDrillDown(state.drillDown);
+        setNestedLevels(state.nestedLevels);
+        setFilters(cloneFilters(state.filters));
+        setSort(state.sort);
+        setSortMetric(state.sortMetric);
+        setRowLimit(state.rowLimit);
+        setColumnLimit(state.columnLimit);
+        setFunnelSplit(state.funnelSplit);
+        setViewMode(state.viewMode === 'trend' && Object.keys(dateColumns).length === 0 ? 'table' : state.viewMode);
+        setShowBlanks(state.showBlanks);
+        setExpandedPaths(new Set(state.expandedPaths || []));
+    };
+
+    // --- Shareable Links ---
+    // The view is mirrored in the URL hash. Each change adds a history entry, so back and
+    // forward step through views, and a copied link re-opens the view once its data is loaded.
+    const viewHash = sources.length > 0
+        ? encodeViewHash({ state: currentViewState, expandedPaths: Array.from(expandedPaths), files: sources.map(source => source.name) })
+        : null;
 
-        const groupedData = rawData.reduce((acc, row) => {
-            const key = row[primaryDimension];
-            if (!key) return acc;
-            if (!acc[key]) acc[key] = [];
-            acc[key].push(row);
-            return acc;
-        }, {});
-
-        let dynamicHeaders = [];
-        if (drillDown !== 'none' && drillDown !== 'combined') {
-            const allKeys = new Set(rawData.map(row => getDrillDownKey(row, drillDown)).filter(Boolean));
-            dynamicHeaders = Array.from(allKeys).sort();
-        } else if (drillDown === 'combined') {
-            const allIcpKeys = new Set(rawData.map(row => row['Company ICP Priority for Contacts']).filter(Boolean));
-            dynamicHeaders = Array.from(allIcpKeys).sort();
+    useEffect(() => {
+        if (!linkedView || sources.length === 0) return;
+        const missing = missingViewColumns(linkedView.state, columns, rawData);
+        if (missing.length > 0) {
+            setError(`The linked view needs columns this data does not have: ${missing.join(', ')}.`);
+        } else {
+            handleOpenView({ ...linkedView.state, expandedPaths: linkedView.expandedPaths });
         }
+        setLinkedView(null);
+    }, [linkedView, sources.length]);
 
-        const finalRows = Object.entries(groupedData).map(([primaryValue, contacts]) => {
-            const total = contacts.length;
-            const rowData = { primaryValue, total, breakdown: {} };
-
-            if (drillDown !== 'none' && drillDown !== 'combined') {
-                rowData.breakdown = contacts.reduce((acc, contact) => {
-                    const key = getDrillDownKey(contact, drillDown);
-                    if (key) acc[key] = (acc[key] || 0) + 1;
-                    return acc;
-                }, {});
-            } else if (drillDown === 'combined') {
-                const icpGroups = contacts.reduce((acc, contact) => {
-                    const icpKey = contact['Company ICP Priority for Contacts'];
-                    if (!icpKey) return acc;
-                    if (!acc[icpKey]) acc[icpKey] = [];
-                    acc[icpKey].push(contact);
-                    return acc;
-                }, {});
-
-                rowData.breakdown = Object.entries(icpGroups).reduce((acc, [icpKey, icpContacts]) => {
-                    acc[icpKey] = {
-                        count: icpContacts.length,
-                        lifecycleDistribution: icpContacts.reduce((dist, contact) => {
-                            const lifecycleKey = contact['Lifecycle Stage'];
-                            if (lifecycleKey) dist[lifecycleKey] = (dist[lifecycleKey] || 0) + 1;
-                            return dist;
-                        }, {})
-                    };
-                    return acc;
-                }, {});
-            }
-            return rowData;
+    useEffect(() => {
+        if (!viewHash || linkedView || viewHash === window.location.hash) return;
+        const timer = setTimeout(() => {
+            // The first view of the data replaces the entry the page was opened with; later changes add entries.
+            if (decodeViewHash(window.location.hash)) window.history.pushState(null, '', viewHash);
+            else window.history.replaceState(null, '', viewHash);
+        }, VIEW_HASH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [viewHash, linkedView]);
+
+    useEffect(() => {
+        const handlePopState = () => {
+            const link = decodeViewHash(window.location.hash);
+            if (link) setLinkedView(link);
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const handleValueAliasesChange = (aliases) => {
+        setValueAliases(aliases);
+        saveValueAliases(aliases);
+    };
+
+    const handleTitleRulesChange = (rules) => {
+        setTitleRules(rules);
+        saveTitleRules(rules);
+    };
+
+    const handleQualityProfileChange = (profile) => {
+        setQualityProfile(profile);
+        saveActiveProfile(profile);
+    };
+
+    const toggleBranch = (key) => {
+        setExpandedPaths(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
         });
+    };
 
-        const headers = [primaryDimension, 'Total Contacts', ...dynamicHeaders];
-        return { tableHeaders: headers, tableRows: finalRows };
-    }, [rawData, primaryDimension, drillDown]);
-    
-    // --- Event Handlers ---
-    const handleCellClick = (primaryValue, drillDownKey) => {
-        if (expandedCell && expandedCell.primaryValue === primaryValue && expandedCell.drillDownKey === drillDownKey) {
-            setExpandedCell(null);
+    // --- Drill-Through ---
+    const handlePivotCellClick = (row, header) => {
+        const title = header === tableHeaders[1] ? String(valueLabel(row.primaryValue)) : `${valueLabel(row.primaryValue)} › ${valueLabel(header)}`;
+        setContactList({ title, rows: cellRows(row, header, tableHeaders, drillDown) });
+    };
+
+    const handleNodeClick = (node) => setContactList({ title: node.path.join(' › '), rows: node.rows });
+
+    const handleFunnelCellClick = (title, rows) => setContactList({ title, rows });
+
+    const closeContactList = () => setContactList(null);
+
+    const handleSort = (header) => {
+        if (sort.column === header) {
+            setSort({ column: header, direction: sort.direction === 'asc' ? 'desc' : 'asc' });
         } else {
-            setExpandedCell({ primaryValue, drillDownKey });
+            setSort({ column: header, direction: header === tableHeaders[0] ? 'asc' : 'desc' });
+        }
+    };
+
+    const handleExport = async (kind, format) => {
+        setError(null);
+        let title = primaryDimension;
+        if (drillDown === NESTED_DRILL_DOWN) title += ` by ${treeLevels.slice(1).join(' and ')}`;
+        else if (drillDown === FUNNEL_DRILL_DOWN) title += ' lifecycle funnel';
+        else if (drillDown !== 'none') title += ` by ${drillDown}`;
+
+        try {
+            if (kind === 'view') {
+                let matrix;
+                if (sortedComparison) matrix = comparisonMatrix(sortedComparison);
+                else if (drillDown === NESTED_DRILL_DOWN) matrix = treeMatrix(tree, treeLevels);
+                else if (drillDown === FUNNEL_DRILL_DOWN) matrix = funnelMatrix(funnelData, stages, primaryDimension, funnelSplit || null);
+                else if (campaignRows) matrix = campaignMatrix(tableHeaders, campaignRows, metricColumns);
+                else matrix = pivotMatrix(tableHeaders, tableRows, metricColumns);
+                await exportMatrix(matrix, slugify(sortedComparison ? `${title} compared with ${baseline.name}` : title), format, 'View');
+            } else {
+                // Contacts follow the on-screen grouping: tree branches in nested mode, table rows (including "Other") otherwise.
+                const groups = drillDown === NESTED_DRILL_DOWN
+                    ? treeGroups(tree)
+                    : tableRows.map(row => ({ label: valueLabel(row.primaryValue), rows: row.rows }));
+                await exportMatrix(contactsMatrix(groups, columns), slugify(`${title} contacts`), format, 'Contacts');
+            }
+        } catch (err) {
+            setError(err.message || 'The export failed.');
         }
     };
 
     const handleDrillDownChange = (e) => {
         setDrillDown(e.target.value);
-        setExpandedCell(null); // Reset expanded view on drilldown change
+        setExpandedPaths(new Set()); // Reset expanded branches on drilldown change
+    };
+
+    const handleLlmSettingsChange = (settings) => {
+        setLlmSettings(settings);
+        saveLlmSettings(settings);
     };
 
-    // --- Gemini API Call ---
+    // --- AI Insights ---
     const generateInsights = async () => {
+        // Settings that cannot work are fixed in the settings panel before anything is sent.
+        if (validateLlmSettings(llmSettings)) {
+            setIsInsightsSettingsOpen(true);
+            return;
+        }
+        const request = new AbortController();
+        insightsRequest.current = request;
         setInsightsLoading(true);
         setInsightsError('');
         setInsightsResult('');
+        setInsightsCancelled(false);
         setIsInsightsModalOpen(true);
 
-        const dataSummary = tableRows.map(row => {
+        let dataSummary;
+        if (drillDown === NESTED_DRILL_DOWN) dataSummary = summarizeTree(tree);
+        else if (drillDown === FUNNEL_DRILL_DOWN) dataSummary = summarizeFunnel(funnelData, stages);
+        else dataSummary = tableRows.map(row => {
             const breakdown = tableHeaders.slice(2).map(header => {
-                let count = 0;
-                 if (drillDown === 'combined') {
-                    count = row.breakdown[header] ? row.breakdown[header].count : 0;
-                } else {
-                    count = row.breakdown[header] || 0;
-                }
+                const count = row.breakdown[header] || 0;
                 const percentage = row.total > 0 ? ((count / row.total) * 100).toFixed(1) : 0;
-                return `${header}: ${count} (${percentage}%)`;
+                return `${valueLabel(header)}: ${count} (${percentage}%)`;
             }).join(', ');
-            return `${row.primaryValue} (Total: ${row.total}): ${breakdown || 'No breakdown'}`;
+            const costs = metricColumns.map(({ key, format }) => `${key}: ${formatMetric(row.metrics[key], format)}`).join(', ');
+            const rowStats = significance && significance.get(row.primaryValue);
+            const flag = rowStats && rowStats.significant ? ` [distribution differs significantly from the other rows, ${formatPValue(rowStats.test.pValue)}]` : '';
+            return `${valueLabel(row.primaryValue)} (Total: ${row.total}): ${breakdown || 'No breakdown'}${costs ? `; ${costs}` : ''}${flag}`;
         }).join('\n');
 
+        let drillDownLabel = drillDown;
+        if (drillDown === NESTED_DRILL_DOWN) drillDownLabel = nestedLevels.join(' → ');
+        else if (drillDown === FUNNEL_DRILL_DOWN) drillDownLabel = `a cumulative Lifecycle Stage funnel (${stages.map(stage => stage.label).join(' → ')}), showing contacts at or beyond each stage`;
+
+        const qualitySummary = qualityEnabled && drillDown !== NESTED_DRILL_DOWN && drillDown !== FUNNEL_DRILL_DOWN
+            ? `"${AVERAGE_QUALITY}" is the average contact quality score, where each contact scores the sum of these weights:\n${describeWeights(qualityProfile.weights)}`
+            : '';
+
+        const activeFilters = filters.filter(filter => isFilterActive(filter) && !filterErrors[filter.id]);
+        const filterSummary = activeFilters.length > 0
+            ? `Only contacts matching these filters are included: ${activeFilters.map(describeFilter).join('; ')}.`
+            : '';
+
         const prompt = `
             You are a marketing campaign analyst. Based on the following data summary, provide actionable insights.
-            The data is grouped by "${primaryDimension}" and drilled down by "${drillDown}". The available data points for drill down include 'Company ICP Priority for Contacts', 'Lifecycle Stage', 'Job Title', and 'Department'.
+            The data is grouped by "${primaryDimension}" and drilled down by "${drillDownLabel}". The available data points for drill down include ${columns.map(col => `'${col}'`).join(', ')}.
             
+            ${filterSummary}
+            ${qualitySummary}
             Data:
             ${dataSummary}
 
@@ -348,49 +883,82 @@ export default function App() {
         `;
 
         try {
-            let chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-            const payload = { contents: chatHistory };
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) throw new Error(`API request failed with status ${response.status}`);
-            const result = await response.json();
-            
-            if (result.candidates && result.candidates.length > 0) {
-                setInsightsResult(result.candidates[0].content.parts[0].text);
-            } else {
-                throw new Error("No content received from the API.");
-            }
+            await generateText(llmSettings, prompt, { signal: request.signal, onText: setInsightsResult });
         } catch (err) {
-            setInsightsError(`Failed to generate insights. ${err.message}`);
+            if (request.signal.aborted) setInsightsCancelled(true);
+            else setInsightsError(`Failed to generate insights. ${err.message}`);
         } finally {
-            setInsightsLoading(false);
+            if (insightsRequest.current === request) {
+                insightsRequest.current = null;
+                setInsightsLoading(false);
+            }
         }
     };
 
+    const cancelInsights = () => insightsRequest.current?.abort();
+
+    const closeInsights = () => {
+        cancelInsights();
+        setIsInsightsModalOpen(false);
+    };
+
+    // Leaving the page mid-request stops it rather than letting it run on unseen.
+    useEffect(() => () => insightsRequest.current?.abort(), []);
+
 
     // --- Render Logic ---
-    if (rawData.length === 0) {
+    const currentStep = pendingSteps[0];
+    if (currentStep && currentStep.kind === 'sheet') {
+        return (
+            <SheetPicker
+                key={currentStep.id}
+                fileName={currentStep.fileName}
+                tables={currentStep.tables}
+                onPick={handleSheetPick}
+                onCancel={() => completeStep()}
+            />
+        );
+    }
+
+    if (currentStep && currentStep.kind === 'mapping') {
+        return (
+            <ColumnMappingWizard
+                key={currentStep.id}
+                fileName={currentStep.fileName}
+                headers={currentStep.headers}
+                preset={currentStep.preset}
+                onApply={handleMappingApply}
+                onCancel={() => completeStep()}
+            />
+        );
+    }
+
+    if (sources.length === 0) {
         return (
             <div className="bg-gray-50 min-h-screen flex flex-col justify-center items-center p-4 font-sans">
                 <div className="w-full max-w-lg text-center">
                     <h1 className="text-3xl font-bold text-gray-800 mb-2">Campaign Performance Analyzer</h1>
-                    <p className="text-gray-600 mb-8">Upload your CSV file to begin.</p>
+                    <p className="text-gray-600 mb-8">Upload your campaign export to begin.</p>
                     <div className="bg-white p-8 rounded-lg shadow-md border border-gray-200">
                         <label htmlFor="file-upload" className="w-full cursor-pointer bg-indigo-600 text-white font-bold py-3 px-6 rounded-md hover:bg-indigo-700 transition-colors duration-300 inline-block">
-                            {isLoading ? 'Processing...' : 'Select CSV File'}
+                            {isLoading ? 'Processing...' : 'Select Files'}
                         </label>
-                        <input id="file-upload" type="file" className="hidden" accept=".csv" onChange={handleFileUpload} disabled={isLoading} />
+                        <input id="file-upload" type="file" className="hidden" accept={acceptedExtensions()} multiple onChange={handleFileUpload} disabled={isLoading} />
                         {error && <p className="text-red-500 mt-4">{error}</p>}
                     </div>
+                    {linkedView && (
+                        <div className="bg-indigo-50 p-4 rounded-lg mt-6 text-left text-sm text-gray-700">
+                            <p>
+                                This link opens a shared view{linkedView.files.length > 0 && <> of <span className="font-semibold">{linkedView.files.join(', ')}</span></>}.
+                                Upload the same data, or open it from the recent datasets below, to see it.
+                            </p>
+                            <button onClick={() => setLinkedView(null)} className="mt-2 text-xs text-indigo-600 hover:text-gray-800">Ignore Link</button>
+                        </div>
+                    )}
+                    <RecentDatasets datasets={recentDatasets} onOpen={handleOpenDataset} onDelete={handleDeleteDataset} onDeleteAll={handleDeleteAllStored} isLoading={isLoading} />
                     <div className="mt-4 text-sm text-gray-500 px-2">
-                        <p>Required columns: 'Ad Group Name', 'Ad Campaign Name', 'Company ICP Priority for Contacts', 'Lifecycle Stage', 'Job Title', 'Department'.</p>
+                        <p className="mb-2">Supported formats: {getImporters().map(importer => importer.label).join(', ')}. Select several files to merge them into one dataset.</p>
+                        <p>Expected columns: {REQUIRED_COLUMNS.map(col => `'${col}'`).join(', ')}. Files with other column names can be mapped after upload.</p>
                     </div>
                 </div>
             </div>
@@ -399,112 +967,267 @@ export default function App() {
 
     return (
         <>
-            <InsightsModal isOpen={isInsightsModalOpen} onClose={() => setIsInsightsModalOpen(false)} isLoading={insightsLoading} error={insightsError} content={insightsResult} />
+            <InsightsModal isOpen={isInsightsModalOpen} onClose={closeInsights} onCancel={cancelInsights} isLoading={insightsLoading} isCancelled={insightsCancelled} error={insightsError} content={insightsResult} />
+            {contactList && <ContactPanel key={contactList.title} title={contactList.title} rows={contactList.rows} columns={columns} onClose={closeContactList} />}
             <div className="bg-gray-50 min-h-screen p-4 sm:p-6 lg:p-8 font-sans">
                 <div className="max-w-7xl mx-auto">
                     <header className="mb-8 flex justify-between items-start flex-wrap gap-4">
                         <div>
                             <h1 className="text-3xl font-bold text-gray-800">Campaign Performance Analyzer</h1>
-                            <p className="text-gray-600 mt-1">Displaying data from: <span className="font-semibold text-indigo-600">{fileName}</span></p>
+                            <p className="text-gray-600 mt-1">Displaying data from: <span className="font-semibold text-indigo-600">{sources.map(source => source.name).join(', ')}</span></p>
                         </div>
                         <div className="flex gap-2">
                              <button onClick={generateInsights} className="bg-indigo-600 text-white font-bold py-2 px-4 rounded-md hover:bg-indigo-700 transition-colors shadow-sm">✨ Generate Insights</button>
+                            <button onClick={() => setIsInsightsSettingsOpen(!isInsightsSettingsOpen)} aria-expanded={isInsightsSettingsOpen} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors" title="Insights settings" aria-label="Insights settings">⚙</button>
+                            {viewMode !== 'trend' && <ExportMenu onExport={handleExport} disabled={filteredData.length === 0} />}
+                            <label htmlFor="file-add" className="cursor-pointer bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors">
+                                {isLoading ? 'Processing...' : 'Add Files'}
+                            </label>
+                            <input id="file-add" type="file" className="hidden" accept={acceptedExtensions()} multiple onChange={handleFileUpload} disabled={isLoading} />
                             <button onClick={resetData} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors">Upload New File</button>
                         </div>
                     </header>
 
+                    {isInsightsSettingsOpen && (
+                        <InsightsSettings settings={llmSettings} onChange={handleLlmSettingsChange} onClose={() => setIsInsightsSettingsOpen(false)} />
+                    )}
+
+                    <DataQualityReport
+                        parsedCount={mergeReport.totalRows}
+                        rowCount={rawData.length}
+                        parseErrors={parseErrors}
+                        collapsedDuplicates={mergeReport.duplicates}
+                        suspectedDuplicates={suspectedDuplicates}
+                        keyColumn={duplicateKeyColumn}
+                        exclusions={exclusions}
+                        columnProfile={columnProfile}
+                        showBlanks={showBlanks}
+                        onShowBlanksChange={setShowBlanks}
+                    />
+
+                    {error && <div className="bg-red-50 p-4 rounded-lg mb-6 text-sm text-red-600">{error}</div>}
+
+                    <SourcesPanel
+                        sources={sources}
+                        columns={fileColumns}
+                        dedupeKey={effectiveDedupeKey}
+                        onDedupeKeyChange={setDedupeKey}
+                        keep={dedupeKeep}
+                        onKeepChange={setDedupeKeep}
+                        report={mergeReport}
+                        onRemove={removeSource}
+                    />
+
+                    <ValueAliasEditor aliases={valueAliases} onChange={handleValueAliasesChange} columns={fileColumns} rows={aliasedRows} />
+
+                    <SavedViews currentState={currentViewState} columns={columns} rows={rawData} onOpen={handleOpenView} />
+
+                    <SpendPanel
+                        spend={spend}
+                        entries={spendRead.entries}
+                        errors={spendRead.errors}
+                        join={spendJoin}
+                        primaryDimension={primaryDimension}
+                        dateColumns={Object.keys(dateColumns)}
+                        dateColumn={spendDateColumn}
+                        splitFilters={spendSplitFilters}
+                        onUpload={handleSpendUpload}
+                        onMappingChange={(mapping) => setSpend({ ...spend, mapping })}
+                        onDateColumnChange={(dateColumn) => setSpend({ ...spend, dateColumn })}
+                        onRemove={() => setSpend(null)}
+                        isLoading={isLoading}
+                    />
+
+                    <ComparisonPanel
+                        baseline={baseline}
+                        baselineCount={baselineRows ? baselineRows.length : 0}
+                        summary={comparison ? summarizeComparison(comparison) : null}
+                        currentDatasetId={datasetId}
+                        isComparable={isComparable}
+                        onPickDataset={handleBaselineDataset}
+                        onUpload={handleBaselineUpload}
+                        onRemove={() => setBaseline(null)}
+                        isLoading={isLoading}
+                    />
+
                     <div className="bg-white p-4 rounded-lg shadow-sm mb-6 flex flex-wrap gap-4 items-center">
                         <div className="flex-grow">
-                            <label className="block text-sm font-medium text-gray-700 mb-1">Measure By:</label>
-                            <div className="flex rounded-md shadow-sm">
-                                <button onClick={() => setPrimaryDimension('Ad Group Name')} className={`px-4 py-2 text-sm font-medium rounded-l-md w-full ${primaryDimension === 'Ad Group Name' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Ad Group Name</button>
-                                <button onClick={() => setPrimaryDimension('Ad Campaign Name')} className={`-ml-px px-4 py-2 text-sm font-medium rounded-r-md w-full ${primaryDimension === 'Ad Campaign Name' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Ad Campaign Name</button>
-                            </div>
+                            <label htmlFor="primary-select" className="block text-sm font-medium text-gray-700 mb-1">Measure By:</label>
+                            <select id="primary-select" value={primaryDimension} onChange={(e) => { setPrimaryDimension(e.target.value); setExpandedPaths(new Set()); }} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md shadow-sm">
+                                <optgroup label="Common">
+                                    {primaryOptions.common.map(col => <option key={col} value={col}>{col} ({distinctCounts[col]})</option>)}
+                                </optgroup>
+                                {primaryOptions.other.length > 0 && (
+                                    <optgroup label="Other columns">
+                                        {primaryOptions.other.map(col => <option key={col} value={col}>{col} ({distinctCounts[col]})</option>)}
+                                    </optgroup>
+                                )}
+                            </select>
                         </div>
                         <div className="flex-grow">
                             <label htmlFor="drilldown-select" className="block text-sm font-medium text-gray-700 mb-1">Drill Down By:</label>
                             <select id="drilldown-select" value={drillDown} onChange={handleDrillDownChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md shadow-sm">
                                 <option value="none">None</option>
-                                <option value="icp">Company ICP Priority</option>
-                                <option value="lifecycle">Lifecycle Stage</option>
-                                <option value="job_title">Job Title</option>
-                                <option value="department">Department</option>
-                                <option value="combined">ICP & Lifecycle Combined</option>
+                                <optgroup label="Common">
+                                    {DEFAULT_DRILL_DOWNS.filter(({ column }) => drillDownOptions.common.includes(column)).map(({ column, label }) => (
+                                        <option key={column} value={column}>{label} ({distinctCounts[column]})</option>
+                                    ))}
+                                    <option value={NESTED_DRILL_DOWN}>Nested Tree (default: ICP → Lifecycle)</option>
+                                    <option value={FUNNEL_DRILL_DOWN}>Lifecycle Funnel</option>
+                                </optgroup>
+                                {drillDownOptions.other.length > 0 && (
+                                    <optgroup label="Other columns">
+                                        {drillDownOptions.other.map(col => <option key={col} value={col}>{col} ({distinctCounts[col]})</option>)}
+                                    </optgroup>
+                                )}
                             </select>
                         </div>
+                        <div>
+                            <span className="block text-sm font-medium text-gray-700 mb-1">View:</span>
+                            <div className="flex rounded-md shadow-sm mt-1">
+                                <button onClick={() => setViewMode('table')} className={`px-4 py-2 text-sm font-medium rounded-l-md ${viewMode === 'table' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Table</button>
+                                <button onClick={() => setViewMode('chart')} className={`-ml-px px-4 py-2 text-sm font-medium ${viewMode === 'chart' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Chart</button>
+                                <button
+                                    onClick={() => setViewMode('trend')}
+                                    disabled={Object.keys(dateColumns).length === 0}
+                                    title={Object.keys(dateColumns).length === 0 ? 'No date columns were found in the loaded files' : undefined}
+                                    className={`-ml-px px-4 py-2 text-sm font-medium rounded-r-md disabled:opacity-50 ${viewMode === 'trend' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                                >
+                                    Trend
+                                </button>
+                            </div>
+                        </div>
                     </div>
 
-                    <div className="overflow-x-auto bg-white rounded-lg shadow">
-                        <table className="min-w-full divide-y divide-gray-200">
-                            <thead className="bg-gray-50">
-                                <tr>{tableHeaders.map((header, index) => <th key={index} scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">{header}</th>)}</tr>
-                            </thead>
-                            <tbody className="bg-white divide-y divide-gray-200">
-                                {tableRows.map((row, rowIndex) => (
-                                    <React.Fragment key={rowIndex}>
-                                        <tr className="hover:bg-gray-50">
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{row.primaryValue}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800 font-semibold">{row.total}</td>
-                                            {tableHeaders.slice(2).map((header, colIndex) => {
-                                                if (drillDown === 'combined') {
-                                                    const cellData = row.breakdown[header];
-                                                    const count = cellData ? cellData.count : 0;
-                                                    const percentage = row.total > 0 ? ((count / row.total) * 100).toFixed(1) : 0;
-                                                    const isExpanded = expandedCell && expandedCell.primaryValue === row.primaryValue && expandedCell.drillDownKey === header;
-                                                    return (
-                                                        <td key={colIndex} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                                            {count > 0 ? (
-                                                                <button onClick={() => handleCellClick(row.primaryValue, header)} className={`w-full text-left p-1 rounded-md transition-colors ${isExpanded ? 'bg-indigo-100' : 'hover:bg-gray-100'}`}>
-                                                                    <span className="font-semibold text-gray-800">{count}</span>
-                                                                    <span className="ml-2 text-gray-500">({percentage}%)</span>
-                                                                </button>
-                                                            ) : (<span className="text-gray-400 p-1 block">0</span>)}
-                                                        </td>
-                                                    );
-                                                }
-                                                const count = row.breakdown[header] || 0;
-                                                const percentage = row.total > 0 ? ((count / row.total) * 100).toFixed(1) : 0;
-                                                return (
-                                                    <td key={colIndex} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                                        {count > 0 ? (
-                                                            <div>
-                                                                <span className="font-semibold text-gray-800">{count}</span>
-                                                                <span className="ml-2 text-gray-500">({percentage}%)</span>
-                                                            </div>
-                                                        ) : (<span className="text-gray-400">0</span>)}
-                                                    </td>
-                                                );
-                                            })}
-                                        </tr>
-                                        {drillDown === 'combined' && expandedCell && expandedCell.primaryValue === row.primaryValue && (
-                                            <tr className="bg-gray-50">
-                                                <td colSpan={tableHeaders.length} className="p-0">
-                                                    <div className="p-4 bg-indigo-50">
-                                                        <h4 className="font-bold text-sm text-indigo-800 mb-2">Lifecycle Stage distribution for "{expandedCell.drillDownKey}"</h4>
-                                                        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
-                                                            {Object.entries(row.breakdown[expandedCell.drillDownKey]?.lifecycleDistribution || {}).map(([stage, count]) => {
-                                                                const totalForIcp = row.breakdown[expandedCell.drillDownKey].count;
-                                                                const percentage = totalForIcp > 0 ? ((count / totalForIcp) * 100).toFixed(1) : 0;
-                                                                return (
-                                                                    <div key={stage} className="bg-white p-2 rounded-md border border-indigo-200">
-                                                                        <div className="text-xs text-gray-600">{stage}</div>
-                                                                        <div className="font-bold text-indigo-900">{count} <span className="text-sm font-normal text-gray-500">({percentage}%)</span></div>
-                                                                    </div>
-                                                                );
-                                                            })}
-                                                        </div>
-                                                    </div>
-                                                </td>
-                                            </tr>
-                                        )}
-                                    </React.Fragment>
-                                ))}
-                                {tableRows.length === 0 && (
-                                    <tr><td colSpan={tableHeaders.length} className="text-center py-10 text-gray-500">No data for selected criteria.</td></tr>
-                                )}
-                            </tbody>
-                        </table>
-                    </div>
+                    {viewMode !== 'trend' && drillDown !== NESTED_DRILL_DOWN && drillDown !== FUNNEL_DRILL_DOWN && (
+                        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 flex flex-wrap gap-4 items-center">
+                            <div>
+                                <span className="block text-sm font-medium text-gray-700 mb-1">{sortedComparison ? 'Sort By Change In:' : 'Sort Drill-Down Columns By:'}</span>
+                                <div className="flex rounded-md shadow-sm">
+                                    <button onClick={() => setSortMetric('count')} className={`px-4 py-2 text-sm font-medium rounded-l-md ${sortMetric === 'count' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Count</button>
+                                    <button onClick={() => setSortMetric('percent')} className={`-ml-px px-4 py-2 text-sm font-medium rounded-r-md ${sortMetric === 'percent' ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Percentage</button>
+                                </div>
+                            </div>
+                            <div>
+                                <label htmlFor="row-limit" className="block text-sm font-medium text-gray-700 mb-1">Top Rows:</label>
+                                <select id="row-limit" value={rowLimit} onChange={(e) => setRowLimit(Number(e.target.value))} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                                    {TOP_N_OPTIONS.map(n => <option key={n} value={n}>{n === 0 ? 'All' : `Top ${n} + Other`}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="column-limit" className="block text-sm font-medium text-gray-700 mb-1">Top Columns:</label>
+                                <select id="column-limit" value={columnLimit} onChange={(e) => setColumnLimit(Number(e.target.value))} disabled={drillDown === 'none'} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                                    {TOP_N_OPTIONS.map(n => <option key={n} value={n}>{n === 0 ? 'All' : `Top ${n} + Other`}</option>)}
+                                </select>
+                            </div>
+                            {sort.column && (
+                                <button onClick={() => setSort({ column: null, direction: 'desc' })} className="text-sm text-indigo-600 hover:text-gray-800 mt-4">Clear sort</button>
+                            )}
+                            {campaignRows && viewMode === 'table' && (
+                                <div className="flex gap-2 mt-4 text-sm">
+                                    <button onClick={() => setExpandedPaths(allCampaignKeys(campaignRows))} className="text-indigo-600 hover:text-gray-800">Expand all campaigns</button>
+                                    <button onClick={() => setExpandedPaths(new Set())} className="text-indigo-600 hover:text-gray-800">Collapse all</button>
+                                </div>
+                            )}
+                            {viewMode === 'table' && (
+                                <div className="mt-4 text-sm">
+                                    <label className="flex items-center gap-2 font-medium text-gray-700">
+                                        <input type="checkbox" checked={showSignificance} onChange={(e) => setShowSignificance(e.target.checked)} disabled={!isColumnDrillDown} />
+                                        Show significance
+                                    </label>
+                                    {significance && (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            95% Wilson intervals under each share. Green ▲ / red ▼: share differs from all other rows at p &lt; {SIGNIFICANCE_LEVEL}. Faded: fewer than {MIN_EXPECTED_COUNT} expected contacts, not tested.
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {viewMode === 'table' && drillDown !== NESTED_DRILL_DOWN && drillDown !== FUNNEL_DRILL_DOWN && (
+                        <QualitySettings
+                            enabled={qualityEnabled}
+                            onEnabledChange={setQualityEnabled}
+                            profile={qualityProfile}
+                            onProfileChange={handleQualityProfileChange}
+                            columns={columns}
+                            rows={rawData}
+                            onRankByQuality={() => setSort({ column: AVERAGE_QUALITY, direction: 'desc' })}
+                        />
+                    )}
+
+                    {hasTitleFields && [primaryDimension, drillDown, ...(drillDown === NESTED_DRILL_DOWN ? nestedLevels : [])].some(col => col === SENIORITY || col === JOB_FUNCTION) && (
+                        <TitleRulesSettings rules={titleRules} onRulesChange={handleTitleRulesChange} rows={rawData} />
+                    )}
+
+                    <FilterPanel filters={filters} columns={columns} rows={rawData} errors={filterErrors} onChange={setFilters} />
+
+                    {viewMode !== 'trend' && drillDown === NESTED_DRILL_DOWN && (
+                        <NestedLevelsEditor
+                            primaryDimension={primaryDimension}
+                            levels={nestedLevels}
+                            columns={columns}
+                            onChange={setNestedLevels}
+                            onExpandAll={() => setExpandedPaths(allBranchKeys(tree))}
+                            onCollapseAll={() => setExpandedPaths(new Set())}
+                        />
+                    )}
+
+                    {viewMode === 'table' && drillDown === FUNNEL_DRILL_DOWN && (
+                        <FunnelSettings
+                            stageOrder={stageOrder}
+                            onStageOrderChange={handleStageOrderChange}
+                            unrankedValues={unrankedStages}
+                            splitColumn={funnelSplit}
+                            onSplitColumnChange={setFunnelSplit}
+                            columns={columns.filter(col => col !== primaryDimension)}
+                        />
+                    )}
+
+                    <ActiveFilters
+                        filters={filters}
+                        errors={filterErrors}
+                        filteredCount={filteredData.length}
+                        totalCount={rawData.length}
+                        onRemove={(id) => setFilters(filters.filter(f => f.id !== id))}
+                        onClear={() => setFilters([])}
+                    />
+
+                    {viewMode === 'chart' && (
+                        <ChartView
+                            tableHeaders={tableHeaders}
+                            tableRows={tableRows}
+                            rows={viewRows}
+                            primaryDimension={primaryDimension}
+                            drillDownLabel={isColumnDrillDown ? drillDown : null}
+                            sankeyLevels={sankeyLevels}
+                        />
+                    )}
+
+                    {viewMode === 'trend' && (
+                        <TrendView
+                            rows={viewRows}
+                            primaryDimension={primaryDimension}
+                            drillDownColumn={isColumnDrillDown ? drillDown : null}
+                            dateColumns={dateColumns}
+                        />
+                    )}
+
+                    {viewMode === 'table' && (
+                        <div className="overflow-x-auto bg-white rounded-lg shadow">
+                            {drillDown === NESTED_DRILL_DOWN && tree && (
+                                <NestedTreeTable tree={tree} levels={treeLevels} expanded={expandedPaths} onToggle={toggleBranch} onNodeClick={handleNodeClick} />
+                            )}
+                            {drillDown === FUNNEL_DRILL_DOWN && funnelData && (
+                                <FunnelTable primaryDimension={primaryDimension} splitColumn={funnelSplit} stages={stages} funnelData={funnelData} expanded={expandedPaths} onToggle={toggleBranch} onCellClick={handleFunnelCellClick} />
+                            )}
+                            {sortedComparison && <ComparisonTable comparison={sortedComparison} sort={sort} onSort={handleSort} />}
+                            {drillDown !== NESTED_DRILL_DOWN && drillDown !== FUNNEL_DRILL_DOWN && !sortedComparison && (
+                                <PivotTable tableHeaders={tableHeaders} tableRows={campaignRows || tableRows} sort={sort} onSort={handleSort} metricColumns={metricColumns} significance={significance} onCellClick={handlePivotCellClick} expanded={expandedPaths} onToggle={toggleBranch} />
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
         </>
@@ -0,0 +1,26 @@
+import React from 'react';
+import { describeFilter, isFilterActive } from '../lib/filters.js';
+
+// --- Active Filters Summary ---
+// Keeps the applied filters and the filtered row count in view above the table.
+const ActiveFilters = ({ filters, errors, filteredCount, totalCount, onRemove, onClear }) => {
+    const active = filters.filter(filter => isFilterActive(filter) && !errors[filter.id]);
+    if (active.length === 0) return null;
+
+    return (
+        <div className="flex flex-wrap gap-2 items-center mb-4 text-sm">
+            <span className="text-gray-600">
+                Showing <span className="font-semibold text-gray-900">{filteredCount}</span> of {totalCount} contacts:
+            </span>
+            {active.map(filter => (
+                <span key={filter.id} className="px-2 py-1 rounded-md bg-indigo-100 text-indigo-800 flex items-center gap-2">
+                    {describeFilter(filter)}
+                    <button onClick={() => onRemove(filter.id)} className="text-indigo-800 hover:text-gray-800" aria-label={`Remove filter: ${describeFilter(filter)}`}>&times;</button>
+                </span>
+            ))}
+            <button onClick={onClear} className="text-xs text-indigo-600 hover:text-gray-800">Clear all</button>
+        </div>
+    );
+};
+
+export default ActiveFilters;
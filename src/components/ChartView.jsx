@@ -0,0 +1,76 @@
+import React, { useRef, useState } from 'react';
+import StackedBarChart from './StackedBarChart.jsx';
+import HeatmapChart from './HeatmapChart.jsx';
+import SankeyChart from './SankeyChart.jsx';
+import { exportSvg, exportPng, slugify } from '../lib/export.js';
+
+const CHART_TYPES = { bar: 'Stacked Bars', heatmap: 'Heatmap', sankey: 'Sankey Flow' };
+
+// --- Chart View ---
+// Draws the current pivot as a chart and exports it as SVG or PNG.
+const ChartView = ({ tableHeaders, tableRows, rows, primaryDimension, drillDownLabel, sankeyLevels }) => {
+    const [chartType, setChartType] = useState('bar');
+    const [normalized, setNormalized] = useState(false);
+    const [exportError, setExportError] = useState('');
+    const chartRef = useRef(null);
+
+    const hasBreakdown = tableHeaders.length > 2;
+    const title = chartType === 'sankey'
+        ? sankeyLevels.join(' → ')
+        : `${primaryDimension}${drillDownLabel ? ` by ${drillDownLabel}` : ''}${chartType === 'bar' && normalized ? ' (share of contacts)' : ''}`;
+
+    const handleExport = async (format) => {
+        const svg = chartRef.current && chartRef.current.querySelector('svg');
+        if (!svg) return;
+        setExportError('');
+        try {
+            if (format === 'svg') exportSvg(svg, slugify(title));
+            else await exportPng(svg, slugify(title));
+        } catch (err) {
+            setExportError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow p-4">
+            <div className="flex flex-wrap gap-4 items-center justify-between mb-4">
+                <div className="flex rounded-md shadow-sm">
+                    {Object.entries(CHART_TYPES).map(([id, label], index, all) => (
+                        <button
+                            key={id}
+                            onClick={() => setChartType(id)}
+                            className={`${index > 0 ? '-ml-px ' : ''}px-4 py-2 text-sm font-medium ${index === 0 ? 'rounded-l-md' : ''} ${index === all.length - 1 ? 'rounded-r-md' : ''} ${chartType === id ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                {chartType === 'bar' && (
+                    <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                        <input type="checkbox" checked={normalized} onChange={(e) => setNormalized(e.target.checked)} />
+                        100% stacked
+                    </label>
+                )}
+                <div className="flex gap-2">
+                    <button onClick={() => handleExport('svg')} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Export SVG</button>
+                    <button onClick={() => handleExport('png')} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Export PNG</button>
+                </div>
+            </div>
+            {exportError && <p className="text-sm text-red-600 mb-2">{exportError}</p>}
+            {chartType === 'heatmap' && !hasBreakdown && (
+                <p className="text-sm text-gray-500 mb-2">Choose a single drill-down column to see a heatmap of its shares.</p>
+            )}
+            {tableRows.length === 0 ? (
+                <p className="text-center py-10 text-gray-500">No data for selected criteria.</p>
+            ) : (
+                <div ref={chartRef}>
+                    {chartType === 'bar' && <StackedBarChart title={title} tableHeaders={tableHeaders} tableRows={tableRows} normalized={normalized} />}
+                    {chartType === 'heatmap' && hasBreakdown && <HeatmapChart title={title} tableHeaders={tableHeaders} tableRows={tableRows} />}
+                    {chartType === 'sankey' && <SankeyChart title={title} rows={rows} levels={sankeyLevels} />}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ChartView;
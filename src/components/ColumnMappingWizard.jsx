@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { CANONICAL_FIELDS, suggestMapping, loadPresets, savePreset, deletePreset } from '../lib/columnMapping.js';
+
+// --- Column Mapping Wizard ---
+// Shown when an upload lacks some canonical columns. Lets the user pick a CSV
+// header for each field, starting from fuzzy-matched suggestions, or from
+// `preset` when a saved preset fits the file but leaves fields unmapped.
+const ColumnMappingWizard = ({ fileName, headers, preset: initialPreset = null, onApply, onCancel }) => {
+    const presetMapping = (preset) => Object.fromEntries(CANONICAL_FIELDS.map(({ key }) => [key, headers.includes(preset.mapping[key]) ? preset.mapping[key] : '']));
+
+    const [suggested] = useState(() => suggestMapping(headers));
+    const [mapping, setMapping] = useState(() => (initialPreset ? presetMapping(initialPreset) : suggested));
+    const [presets, setPresets] = useState(loadPresets);
+    const [presetName, setPresetName] = useState(initialPreset ? initialPreset.name : '');
+    const [presetSource, setPresetSource] = useState(initialPreset ? initialPreset.source : '');
+
+    const handlePresetLoad = (e) => {
+        const preset = presets.find(p => p.id === e.target.value);
+        if (!preset) return;
+        setMapping(presetMapping(preset));
+        setPresetName(preset.name);
+        setPresetSource(preset.source);
+    };
+
+    const handleApply = () => {
+        if (presetName.trim()) {
+            setPresets(savePreset({ name: presetName.trim(), source: presetSource.trim() || 'Other', mapping }));
+        }
+        onApply(mapping);
+    };
+
+    const unmappedCount = CANONICAL_FIELDS.filter(({ key }) => !mapping[key]).length;
+
+    return (
+        <div className="bg-gray-50 min-h-screen flex flex-col justify-center items-center p-4 font-sans">
+            <div className="w-full max-w-2xl">
+                <h1 className="text-3xl font-bold text-gray-800 mb-2 text-center">Map Your Columns</h1>
+                <p className="text-gray-600 mb-8 text-center">
+                    <span className="font-semibold text-indigo-600">{fileName}</span> uses different column names. Choose which column holds each field.
+                </p>
+                <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+                    {presets.length > 0 && (
+                        <div className="mb-6">
+                            <label htmlFor="preset-select" className="block text-sm font-medium text-gray-700 mb-1">Load a saved preset:</label>
+                            <select id="preset-select" defaultValue={initialPreset ? initialPreset.id : ''} onChange={handlePresetLoad} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                                <option value="" disabled>Choose a preset…</option>
+                                {presets.map(preset => (
+                                    <option key={preset.id} value={preset.id}>{preset.source} — {preset.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <table className="min-w-full divide-y divide-gray-200 mb-6">
+                        <thead>
+                            <tr>
+                                <th className="py-2 text-left text-xs font-bold text-gray-600 uppercase tracking-wider">Field</th>
+                                <th className="py-2 text-left text-xs font-bold text-gray-600 uppercase tracking-wider">Column in your file</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {CANONICAL_FIELDS.map(({ key }) => (
+                                <tr key={key}>
+                                    <td className="py-2 pr-4 text-sm font-medium text-gray-900">{key}</td>
+                                    <td className="py-2">
+                                        <select
+                                            value={mapping[key]}
+                                            onChange={(e) => setMapping({ ...mapping, [key]: e.target.value })}
+                                            aria-label={`Column for ${key}`}
+                                            className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md"
+                                        >
+                                            <option value="">(not available)</option>
+                                            {headers.map(header => (
+                                                <option key={header} value={header}>
+                                                    {header}{header === suggested[key] ? ' (suggested)' : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="grid grid-cols-2 gap-4 mb-6">
+                        <div>
+                            <label htmlFor="preset-source" className="block text-sm font-medium text-gray-700 mb-1">Source system</label>
+                            <input id="preset-source" type="text" value={presetSource} onChange={(e) => setPresetSource(e.target.value)} placeholder="e.g. Salesforce" className="block w-full px-2 py-2 text-sm border border-gray-300 rounded-md" />
+                        </div>
+                        <div>
+                            <label htmlFor="preset-name" className="block text-sm font-medium text-gray-700 mb-1">Save as preset (optional)</label>
+                            <input id="preset-name" type="text" value={presetName} onChange={(e) => setPresetName(e.target.value)} placeholder="e.g. Contacts export" className="block w-full px-2 py-2 text-sm border border-gray-300 rounded-md" />
+                        </div>
+                    </div>
+
+                    {unmappedCount > 0 && (
+                        <p className="text-sm text-gray-500 mb-4">{unmappedCount} field(s) are not mapped and will be left blank.</p>
+                    )}
+
+                    <div className="flex justify-between items-center gap-2">
+                        {presets.length > 0 ? (
+                            <select defaultValue="" onChange={(e) => { setPresets(deletePreset(e.target.value)); e.target.value = ''; }} aria-label="Delete a preset" className="pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md text-gray-500">
+                                <option value="" disabled>Delete a preset…</option>
+                                {presets.map(preset => (
+                                    <option key={preset.id} value={preset.id}>{preset.source} — {preset.name}</option>
+                                ))}
+                            </select>
+                        ) : <span />}
+                        <div className="flex gap-2">
+                            <button onClick={onCancel} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors">Cancel</button>
+                            <button onClick={handleApply} className="bg-indigo-600 text-white font-bold py-2 px-4 rounded-md hover:bg-indigo-700 transition-colors shadow-sm">Apply Mapping</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { acceptedExtensions } from '../lib/importers.js';
+import { listDatasets } from '../lib/datasetStore.js';
+
+// --- Snapshot Comparison Panel ---
+// Picks the baseline to compare the loaded data against: a dataset stored in this browser or an uploaded file.
+const ComparisonPanel = ({ baseline, baselineCount, summary, currentDatasetId, isComparable, onPickDataset, onUpload, onRemove, isLoading }) => {
+    const [stored, setStored] = useState([]);
+
+    useEffect(() => {
+        if (baseline) return;
+        listDatasets().then(list => setStored(list.filter(dataset => dataset.id !== currentDatasetId)), () => setStored([]));
+    }, [baseline, currentDatasetId]);
+
+    if (!baseline) {
+        return (
+            <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm flex flex-wrap gap-4 items-center justify-between">
+                <p className="text-gray-600">Compare with an earlier export of the same report to see what changed.</p>
+                <div className="flex gap-2 items-center">
+                    {stored.length > 0 && (
+                        <select aria-label="Baseline dataset" value="" onChange={(e) => onPickDataset(e.target.value)} disabled={isLoading} className="pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                            <option value="" disabled>Stored dataset…</option>
+                            {stored.map(dataset => <option key={dataset.id} value={dataset.id}>{dataset.name} ({dataset.rowCount} rows)</option>)}
+                        </select>
+                    )}
+                    <label htmlFor="baseline-upload" className="cursor-pointer bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors">
+                        {isLoading ? 'Processing...' : 'Add Baseline File'}
+                    </label>
+                    <input id="baseline-upload" type="file" className="hidden" accept={acceptedExtensions()} onChange={onUpload} disabled={isLoading} />
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex justify-between items-center gap-4">
+                <h3 className="text-sm font-bold text-gray-700">
+                    Comparing with baseline: <span className="font-medium text-gray-900">{baseline.name}</span>
+                    <span className="ml-2 font-normal text-gray-500">{baselineCount} rows after filters</span>
+                </h3>
+                <button onClick={onRemove} className="text-gray-500 hover:text-gray-800 text-sm" aria-label={`Stop comparing with ${baseline.name}`}>&times;</button>
+            </div>
+            {summary && (
+                <p className="mt-2 text-gray-600">
+                    <span className="text-green-600">{summary.newRows} new</span> and <span className="text-red-600">{summary.goneRows} gone</span> row(s);
+                    {' '}<span className="text-green-600">{summary.newColumns} new</span> and <span className="text-red-600">{summary.goneColumns} gone</span> drill-down value(s).
+                </p>
+            )}
+            {!isComparable && (
+                <p className="mt-2 text-gray-500">The comparison table is shown in table mode with no drill-down or a single drill-down column.</p>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonPanel;
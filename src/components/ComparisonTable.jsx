@@ -0,0 +1,81 @@
+import React from 'react';
+
+const percent = (share) => (share * 100).toFixed(1);
+const signed = (value, digits = 0) => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value).toFixed(digits)}`;
+const deltaTone = (delta) => (delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-400');
+
+const STATUS_TONES = { new: 'bg-green-50', gone: 'bg-red-50' };
+
+const StatusBadge = ({ status }) => (status ? (
+    <span className={`ml-2 text-xs font-semibold ${status === 'new' ? 'text-green-600' : 'text-red-600'}`}>{status}</span>
+) : null);
+
+const ComparedCell = ({ cell }) => (
+    <>
+        <div>
+            <span className="text-gray-500">{cell.baseline}</span>
+            <span className="text-gray-400"> → </span>
+            <span className="font-semibold text-gray-800">{cell.current}</span>
+            <span className={`ml-2 ${deltaTone(cell.delta)}`}>{signed(cell.delta)}</span>
+        </div>
+        {cell.shareDelta !== null && (
+            <div className="text-xs text-gray-500">
+                {percent(cell.baselineShare)}% → {percent(cell.currentShare)}%
+                <span className={`ml-1 ${deltaTone(cell.shareDelta)}`}>({signed(cell.shareDelta, 1)} pp)</span>
+            </div>
+        )}
+    </>
+);
+
+// --- Snapshot Comparison Table ---
+// Each cell shows baseline → current count, the change, and the change in mix in percentage points.
+// Rows and drill-down values found in only one snapshot are marked new or gone. Sorting a value
+// column puts the largest changes first.
+const ComparisonTable = ({ comparison, sort, onSort }) => {
+    const { tableHeaders, tableRows, columnStatus } = comparison;
+
+    return (
+        <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+                <tr>
+                    {tableHeaders.map((header, index) => {
+                        const isSorted = sort.column === header;
+                        const status = columnStatus[header];
+                        return (
+                            <th key={index} scope="col" aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'} className={`px-6 py-3 text-left whitespace-nowrap ${status ? STATUS_TONES[status] : ''}`}>
+                                <button onClick={() => onSort(header)} className="text-left text-xs font-bold text-gray-600 uppercase tracking-wider hover:text-gray-800" title={index > 0 ? 'Sort by size of change' : undefined}>
+                                    {header}
+                                    <span className={`ml-2 ${isSorted ? 'text-indigo-600' : 'text-gray-400'}`}>{isSorted ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}</span>
+                                </button>
+                                <StatusBadge status={status} />
+                            </th>
+                        );
+                    })}
+                </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+                {tableRows.map(row => (
+                    <tr key={row.primaryValue} className={row.status ? STATUS_TONES[row.status] : 'hover:bg-gray-50'}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {row.primaryValue}
+                            <StatusBadge status={row.status} />
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <ComparedCell cell={row.total} />
+                        </td>
+                        {tableHeaders.slice(2).map(header => (
+                            <td key={header} className="px-6 py-4 whitespace-nowrap text-sm">
+                                <ComparedCell cell={row.cells[header]} />
+                            </td>
+                        ))}
+                    </tr>
+                ))}
+                {tableRows.length === 0 && (
+                    <tr><td colSpan={tableHeaders.length || 1} className="text-center py-10 text-gray-500">No data for selected criteria.</td></tr>
+                )}
+            </tbody>
+        </table>
+    );
+};
+
+export default ComparisonTable;
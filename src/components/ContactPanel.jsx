@@ -0,0 +1,146 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { CONTACTS_PAGE_SIZE, defaultContactColumns, searchContacts, sortContacts } from '../lib/contacts.js';
+import { exportMatrix, slugify, toTsv } from '../lib/export.js';
+
+// --- Contact Panel ---
+// Side panel listing the contacts behind a clicked count. The copy and export
+// buttons take the searched and sorted list with the chosen columns, not just the current page.
+const ContactPanel = ({ title, rows, columns, onClose }) => {
+    const [shownColumns, setShownColumns] = useState(() => defaultContactColumns(columns));
+    const [isPickingColumns, setIsPickingColumns] = useState(false);
+    const [query, setQuery] = useState('');
+    const [sort, setSort] = useState({ column: null, direction: 'asc' });
+    const [page, setPage] = useState(0);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        const handleKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    // Keep the dataset's column order however the columns were toggled.
+    const visibleColumns = useMemo(() => columns.filter(col => shownColumns.includes(col)), [columns, shownColumns]);
+    const matching = useMemo(
+        () => sortContacts(searchContacts(rows, visibleColumns, query), sort.column, sort.direction),
+        [rows, visibleColumns, query, sort]
+    );
+    const pageCount = Math.max(1, Math.ceil(matching.length / CONTACTS_PAGE_SIZE));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = matching.slice(currentPage * CONTACTS_PAGE_SIZE, (currentPage + 1) * CONTACTS_PAGE_SIZE);
+
+    const toggleColumn = (col) => {
+        setShownColumns(shownColumns.includes(col) ? shownColumns.filter(c => c !== col) : [...shownColumns, col]);
+    };
+
+    const handleSort = (col) => {
+        setSort(sort.column === col ? { column: col, direction: sort.direction === 'asc' ? 'desc' : 'asc' } : { column: col, direction: 'asc' });
+        setPage(0);
+    };
+
+    const matrix = () => [visibleColumns, ...matching.map(row => visibleColumns.map(col => row[col] ?? ''))];
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(toTsv(matrix()));
+            setStatus(`Copied ${matching.length} contacts.`);
+        } catch {
+            setStatus('The clipboard is not available here; use Export instead.');
+        }
+    };
+
+    const handleExport = async (format) => {
+        setStatus('');
+        try {
+            await exportMatrix(matrix(), slugify(`${title} contacts`), format, 'Contacts');
+        } catch (err) {
+            setStatus(err.message || 'The export failed.');
+        }
+    };
+
+    return (
+        <>
+            <div className="fixed inset-0 bg-black opacity-25 z-50" onClick={onClose} />
+            <aside role="dialog" aria-label={`Contacts: ${title}`} className="fixed top-0 right-0 bottom-0 w-full max-w-2xl bg-white shadow-xl z-50 flex flex-col">
+                <div className="p-4 border-b border-gray-200">
+                    <div className="flex justify-between items-start gap-4">
+                        <div>
+                            <h2 className="text-lg font-bold text-gray-800">{title}</h2>
+                            <p className="text-sm text-gray-500">{matching.length === rows.length ? `${rows.length} contacts` : `${matching.length} of ${rows.length} contacts match`}</p>
+                        </div>
+                        <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl" aria-label="Close contact list">&times;</button>
+                    </div>
+                    <div className="flex flex-wrap gap-2 items-center mt-4">
+                        <input
+                            type="search"
+                            value={query}
+                            onChange={(e) => { setQuery(e.target.value); setPage(0); }}
+                            placeholder="Search shown columns..."
+                            aria-label="Search contacts"
+                            className="flex-grow px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <div className="relative">
+                            <button onClick={() => setIsPickingColumns(!isPickingColumns)} aria-expanded={isPickingColumns} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">
+                                Columns ({visibleColumns.length}) ▾
+                            </button>
+                            {isPickingColumns && (
+                                <div className="absolute right-0 mt-2 w-56 max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-md z-10 p-2 text-sm">
+                                    {columns.map(col => (
+                                        <label key={col} className="flex items-center gap-2 py-1 text-gray-700">
+                                            <input type="checkbox" checked={shownColumns.includes(col)} onChange={() => toggleColumn(col)} />
+                                            {col}
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        <button onClick={handleCopy} disabled={matching.length === 0} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm disabled:opacity-50">Copy</button>
+                        <button onClick={() => handleExport('csv')} disabled={matching.length === 0} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm disabled:opacity-50">Export CSV</button>
+                        <button onClick={() => handleExport('xlsx')} disabled={matching.length === 0} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm disabled:opacity-50">Export XLSX</button>
+                    </div>
+                    {status && <p className="text-sm text-gray-600 mt-2">{status}</p>}
+                </div>
+                <div className="flex-grow overflow-y-auto overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {visibleColumns.map(col => {
+                                    const isSorted = sort.column === col;
+                                    return (
+                                        <th key={col} scope="col" aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'} className="px-4 py-2 text-left whitespace-nowrap">
+                                            <button onClick={() => handleSort(col)} className="text-left text-xs font-bold text-gray-600 uppercase tracking-wider hover:text-gray-800">
+                                                {col}
+                                                <span className={`ml-2 ${isSorted ? 'text-indigo-600' : 'text-gray-400'}`}>{isSorted ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}</span>
+                                            </button>
+                                        </th>
+                                    );
+                                })}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {pageRows.map((row, index) => (
+                                <tr key={currentPage * CONTACTS_PAGE_SIZE + index} className="hover:bg-gray-50">
+                                    {visibleColumns.map(col => (
+                                        <td key={col} className="px-4 py-2 whitespace-nowrap text-sm text-gray-700">{row[col] ?? ''}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                            {pageRows.length === 0 && (
+                                <tr><td colSpan={visibleColumns.length || 1} className="text-center py-10 text-gray-500">No contacts match.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                {pageCount > 1 && (
+                    <div className="p-4 border-t border-gray-200 flex justify-between items-center text-sm text-gray-600">
+                        <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md disabled:opacity-50">‹ Previous</button>
+                        <span>Page {currentPage + 1} of {pageCount}</span>
+                        <button onClick={() => setPage(currentPage + 1)} disabled={currentPage === pageCount - 1} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md disabled:opacity-50">Next ›</button>
+                    </div>
+                )}
+            </aside>
+        </>
+    );
+};
+
+export default ContactPanel;
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// --- Count Button ---
+// A contact count that opens the contacts behind it. Renders as plain text when
+// there is nothing to open.
+const CountButton = ({ count, onClick, title, className = 'font-semibold text-gray-800' }) => (
+    onClick && count > 0 ? (
+        <button onClick={onClick} title={title || 'Show these contacts'} className={`${className} hover:text-indigo-600 hover:underline`}>{count}</button>
+    ) : (
+        <span className={className}>{count}</span>
+    )
+);
+
+export default CountButton;
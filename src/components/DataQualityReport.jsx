@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { BLANK_BUCKET } from '../lib/pivot.js';
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+// --- Data Quality Report ---
+// Accounts for every uploaded row: lines that could not be parsed, duplicates,
+// rows the current view leaves out, and how complete each column is.
+const DataQualityReport = ({ parsedCount, rowCount, parseErrors, collapsedDuplicates, suspectedDuplicates, keyColumn, exclusions, columnProfile, showBlanks, onShowBlanksChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const dropped = exclusions.filter(item => item.dropped).reduce((sum, item) => sum + item.count, 0);
+    const suspected = suspectedDuplicates.identical + suspectedDuplicates.repeatedKeys;
+    const hasIssues = parseErrors.length > 0 || dropped > 0 || suspected > 0;
+
+    return (
+        <div className={`p-4 rounded-lg shadow-sm mb-6 text-sm ${hasIssues ? 'bg-yellow-50' : 'bg-white'}`}>
+            <div className="flex flex-wrap gap-4 items-center justify-between">
+                <p className="text-gray-700">
+                    <span className="font-medium">Data quality:</span> {rowCount} rows loaded
+                    {parseErrors.length > 0 && <span className="text-red-600"> · {parseErrors.length} line(s) skipped</span>}
+                    {collapsedDuplicates > 0 && ` · ${collapsedDuplicates} duplicate(s) collapsed`}
+                    {suspected > 0 && ` · ${suspected} suspected duplicate(s)`}
+                    {` · ${dropped} left out of this view`}
+                    <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} className="ml-2 text-xs text-indigo-600 hover:text-gray-800">{isOpen ? 'Hide Report' : 'Show Report'}</button>
+                </p>
+                <label className="flex items-center gap-2 text-gray-700">
+                    <input type="checkbox" checked={showBlanks} onChange={(e) => onShowBlanksChange(e.target.checked)} />
+                    Show blank values as "{BLANK_BUCKET}"
+                </label>
+            </div>
+            {isOpen && (
+                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <h4 className="font-semibold text-gray-700 mb-2">Rows</h4>
+                        <ul className="text-gray-700">
+                            <li>{parsedCount + parseErrors.length} data lines read, {parseErrors.length} skipped as unreadable.</li>
+                            <li>{collapsedDuplicates} duplicate(s) collapsed by the de-duplication key, {rowCount} rows kept.</li>
+                            {exclusions.map(({ count, reason, dropped: isDropped }) => (
+                                <li key={reason} className={isDropped ? 'text-red-600' : ''}>{count} row(s) {reason}.</li>
+                            ))}
+                            {exclusions.length === 0 && <li>Every row appears in the current view.</li>}
+                        </ul>
+
+                        <h4 className="font-semibold text-gray-700 mt-4 mb-2">Suspected duplicates</h4>
+                        <ul className="text-gray-700">
+                            <li>{suspectedDuplicates.identical} row(s) identical to an earlier row in every column.</li>
+                            {keyColumn && (
+                                <li>
+                                    {suspectedDuplicates.repeatedKeys} row(s) repeat a "{keyColumn}" already seen
+                                    {suspectedDuplicates.examples.length > 0 && <span className="text-gray-500"> (e.g. {suspectedDuplicates.examples.join(', ')})</span>}.
+                                </li>
+                            )}
+                        </ul>
+
+                        {parseErrors.length > 0 && (
+                            <>
+                                <h4 className="font-semibold text-gray-700 mt-4 mb-2">Skipped lines</h4>
+                                <ul className="max-h-48 overflow-y-auto text-gray-700">
+                                    {parseErrors.map(({ source, line, message }) => (
+                                        <li key={`${source}:${line}`}>{source}, line {line}: {message}</li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </div>
+                    <div className="max-h-64 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['Column', 'Blank', 'Distinct Values'].map(header => (
+                                        <th key={header} scope="col" className="px-2 py-2 text-left text-xs font-bold text-gray-600 uppercase tracking-wider">{header}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {columnProfile.map(({ column, blank, blankRate, distinct }) => (
+                                    <tr key={column}>
+                                        <td className="px-2 py-1 text-gray-900">{column}</td>
+                                        <td className={`px-2 py-1 ${blankRate > 0.2 ? 'text-red-600' : 'text-gray-700'}`}>{blank} ({percent(blankRate)})</td>
+                                        <td className="px-2 py-1 text-gray-700">{distinct}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DataQualityReport;
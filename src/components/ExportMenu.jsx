@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+
+const OPTIONS = [
+    { kind: 'view', format: 'csv', label: 'Current view as CSV' },
+    { kind: 'view', format: 'xlsx', label: 'Current view as XLSX' },
+    { kind: 'contacts', format: 'csv', label: 'Contacts in view as CSV' },
+    { kind: 'contacts', format: 'xlsx', label: 'Contacts in view as XLSX' },
+];
+
+// --- Export Menu ---
+// Offers the current table or the contacts behind it as CSV or XLSX.
+const ExportMenu = ({ onExport, disabled }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const handleExport = async (kind, format) => {
+        setIsOpen(false);
+        setIsExporting(true);
+        try {
+            await onExport(kind, format);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                disabled={disabled || isExporting}
+                aria-expanded={isOpen}
+                className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors disabled:opacity-50"
+            >
+                {isExporting ? 'Exporting...' : 'Export ▾'}
+            </button>
+            {isOpen && (
+                <ul className="absolute right-0 mt-2 w-56 bg-white border border-gray-200 rounded-md shadow-md z-10 text-sm">
+                    {OPTIONS.map(({ kind, format, label }) => (
+                        <li key={`${kind}-${format}`}>
+                            <button onClick={() => handleExport(kind, format)} className="block w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-50">{label}</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react';
+import { FILTER_TYPES, createFilter } from '../lib/filters.js';
+
+const MAX_LISTED_VALUES = 100;
+
+// --- Value Filter Editor ---
+// Checkbox list of a column's values with a search box for long lists.
+const ValueFilterEditor = ({ filter, rows, onChange }) => {
+    const [search, setSearch] = useState('');
+
+    const valueCounts = useMemo(() => {
+        const counts = new Map();
+        rows.forEach(row => {
+            const value = row[filter.column];
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    }, [rows, filter.column]);
+
+    const needle = search.toLowerCase();
+    const matching = valueCounts.filter(([value]) => value.toLowerCase().includes(needle));
+    const listed = matching.slice(0, MAX_LISTED_VALUES);
+    const selected = new Set(filter.values);
+
+    const toggle = (value) => {
+        onChange({ ...filter, values: selected.has(value) ? filter.values.filter(v => v !== value) : [...filter.values, value] });
+    };
+
+    return (
+        <div>
+            <div className="flex gap-2 items-center mb-2">
+                <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search values…" aria-label={`Search ${filter.column} values`} className="flex-grow px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                <button onClick={() => onChange({ ...filter, values: Array.from(new Set([...filter.values, ...listed.map(([value]) => value)])) })} className="text-xs text-indigo-600 hover:text-gray-800">Select shown</button>
+                <button onClick={() => onChange({ ...filter, values: [] })} className="text-xs text-indigo-600 hover:text-gray-800">Clear</button>
+            </div>
+            <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md p-2 grid grid-cols-2 gap-2">
+                {listed.map(([value, count]) => (
+                    <label key={value} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                        <input type="checkbox" checked={selected.has(value)} onChange={() => toggle(value)} />
+                        <span>{value}</span>
+                        <span className="text-xs text-gray-400">{count}</span>
+                    </label>
+                ))}
+                {listed.length === 0 && <span className="text-sm text-gray-400">No matching values.</span>}
+            </div>
+            {matching.length > listed.length && (
+                <p className="text-xs text-gray-500 mt-1">Showing the {MAX_LISTED_VALUES} most frequent of {matching.length} values. Search to narrow the list.</p>
+            )}
+        </div>
+    );
+};
+
+// --- Filter Panel ---
+// Edits the filters applied to the dataset before aggregation.
+const FilterPanel = ({ filters, columns, rows, errors, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newColumn, setNewColumn] = useState('');
+    const [newType, setNewType] = useState('values');
+
+    const updateFilter = (updated) => onChange(filters.map(f => (f.id === updated.id ? updated : f)));
+    const removeFilter = (id) => onChange(filters.filter(f => f.id !== id));
+
+    const addFilter = () => {
+        const column = newColumn || columns[0];
+        if (!column) return;
+        onChange([...filters, createFilter(column, newType)]);
+        setIsOpen(true);
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+            <div className="flex flex-wrap gap-2 items-center">
+                <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} className="text-sm font-bold text-gray-700 p-1 rounded-md hover:bg-gray-100">
+                    {isOpen ? '▾' : '▸'} Filters {filters.length > 0 && `(${filters.length})`}
+                </button>
+                <span className="flex-grow" />
+                <select value={newColumn || columns[0] || ''} onChange={(e) => setNewColumn(e.target.value)} aria-label="Filter column" className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                    {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                </select>
+                <select value={newType} onChange={(e) => setNewType(e.target.value)} aria-label="Filter type" className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                    {Object.entries(FILTER_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+                <button onClick={addFilter} className="bg-indigo-600 text-white font-bold py-1 px-2 rounded-md hover:bg-indigo-700 transition-colors text-sm">Add Filter</button>
+            </div>
+
+            {isOpen && filters.length > 0 && (
+                <div className="mt-4 divide-y divide-gray-200">
+                    {filters.map(filter => (
+                        <div key={filter.id} className="py-2">
+                            <div className="flex flex-wrap gap-2 items-center mb-2 text-sm">
+                                <span className="font-medium text-gray-900">{filter.column}</span>
+                                <div className="flex rounded-md shadow-sm">
+                                    <button onClick={() => updateFilter({ ...filter, exclude: false })} className={`px-2 py-1 text-xs font-medium rounded-l-md ${!filter.exclude ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Include</button>
+                                    <button onClick={() => updateFilter({ ...filter, exclude: true })} className={`-ml-px px-2 py-1 text-xs font-medium rounded-r-md ${filter.exclude ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Exclude</button>
+                                </div>
+                                <select value={filter.type} onChange={(e) => updateFilter({ ...filter, type: e.target.value })} aria-label={`${filter.column} filter type`} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                                    {Object.entries(FILTER_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                                </select>
+                                <span className="flex-grow" />
+                                <button onClick={() => removeFilter(filter.id)} className="text-gray-500 hover:text-gray-800" aria-label={`Remove ${filter.column} filter`}>&times;</button>
+                            </div>
+                            {filter.type === 'values' ? (
+                                <ValueFilterEditor filter={filter} rows={rows} onChange={updateFilter} />
+                            ) : (
+                                <input
+                                    type="text"
+                                    value={filter.pattern}
+                                    onChange={(e) => updateFilter({ ...filter, pattern: e.target.value })}
+                                    placeholder={filter.type === 'regex' ? 'e.g. ^(VP|Vice President)' : 'e.g. marketing'}
+                                    aria-label={`${filter.column} ${FILTER_TYPES[filter.type].toLowerCase()}`}
+                                    className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                                />
+                            )}
+                            {errors[filter.id] && <p className="text-xs text-red-600 mt-1">Invalid regex, filter ignored: {errors[filter.id]}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterPanel;
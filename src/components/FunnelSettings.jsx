@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { DEFAULT_STAGE_ORDER } from '../lib/funnel.js';
+
+// --- Funnel Settings ---
+// Edits the lifecycle stage order and the column each funnel is split by.
+const FunnelSettings = ({ stageOrder, onStageOrderChange, unrankedValues, splitColumn, onSplitColumnChange, columns }) => {
+    const [draft, setDraft] = useState(stageOrder.join('\n'));
+    const [isEditing, setIsEditing] = useState(false);
+
+    const save = () => {
+        onStageOrderChange(draft.split('\n').map(line => line.trim()).filter(Boolean));
+        setIsEditing(false);
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex flex-wrap gap-4 items-center">
+                <div className="flex-grow">
+                    <span className="font-medium text-gray-700">Stage order: </span>
+                    <span className="text-gray-900">{stageOrder.map(entry => entry.split('|')[0].trim()).join(' → ')}</span>
+                    <button onClick={() => { setDraft(stageOrder.join('\n')); setIsEditing(!isEditing); }} className="ml-2 text-xs text-indigo-600 hover:text-gray-800">{isEditing ? 'Cancel' : 'Edit'}</button>
+                </div>
+                <div>
+                    <label htmlFor="funnel-split" className="font-medium text-gray-700 mr-2">Split each row by:</label>
+                    <select id="funnel-split" value={splitColumn} onChange={(e) => onSplitColumnChange(e.target.value)} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                        <option value="">No split</option>
+                        {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                    </select>
+                </div>
+            </div>
+            {isEditing && (
+                <div className="mt-4">
+                    <p className="text-xs text-gray-500 mb-1">One stage per line, earliest first. List other spellings of a stage on the same line, separated by "|".</p>
+                    <textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows={8} aria-label="Stage order" className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md font-mono" />
+                    <div className="flex gap-2 mt-2">
+                        <button onClick={save} className="bg-indigo-600 text-white font-bold py-1 px-2 rounded-md hover:bg-indigo-700 transition-colors text-sm">Save Order</button>
+                        <button onClick={() => setDraft(DEFAULT_STAGE_ORDER.join('\n'))} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Reset to Default</button>
+                    </div>
+                </div>
+            )}
+            {unrankedValues.length > 0 && (
+                <p className="mt-2 text-xs text-gray-500">
+                    Not in the stage order (counted as Unranked): {unrankedValues.join(', ')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default FunnelSettings;
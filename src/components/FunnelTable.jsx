@@ -0,0 +1,82 @@
+import React from 'react';
+import { pathKey } from '../lib/pivot.js';
+import { funnelCellRows } from '../lib/funnel.js';
+import CountButton from './CountButton.jsx';
+
+const formatRate = (rate) => (rate === null ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+// --- Funnel Cells ---
+// Reached count per stage, with the conversion from the previous stage underneath.
+// `onSelect(label, rows)` receives the contacts behind a clicked count.
+const FunnelCells = ({ label, rows, funnel, stages, onSelect }) => {
+    const select = (cellLabel, stageIndex) => onSelect && (() => onSelect(cellLabel, stageIndex === undefined ? rows : funnelCellRows(rows, stages, stageIndex)));
+    return (
+        <>
+            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-800 font-semibold">
+                <CountButton count={funnel.total} onClick={select(label)} />
+            </td>
+            {stages.map((stage, i) => (
+                <td key={stage.label} className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">
+                    <CountButton count={funnel.reached[i]} onClick={select(`${label} · ≥ ${stage.label}`, i)} />
+                    {i > 0 && <span className="block text-xs text-gray-500">{formatRate(funnel.conversions[i - 1])} from {stages[i - 1].label}</span>}
+                </td>
+            ))}
+            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-400">
+                <CountButton count={funnel.unranked} onClick={select(`${label} · Unranked`, null)} className="" />
+            </td>
+        </>
+    );
+};
+
+// --- Lifecycle Funnel Table ---
+// One funnel per primary value. Rows with a split (ICP priority by default) expand into one funnel per split value.
+const FunnelTable = ({ primaryDimension, splitColumn, stages, funnelData, expanded, onToggle, onCellClick }) => (
+    <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+            <tr>
+                {[primaryDimension, 'Total Contacts', ...stages.map(stage => `≥ ${stage.label}`), 'Unranked'].map(header => (
+                    <th key={header} scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">{header}</th>
+                ))}
+            </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+            <tr className="bg-indigo-50">
+                <td className="px-6 py-2 whitespace-nowrap text-sm font-bold text-indigo-900">All contacts</td>
+                <FunnelCells label="All contacts" rows={funnelData.overall.rows} funnel={funnelData.overall} stages={stages} onSelect={onCellClick} />
+            </tr>
+            {funnelData.rows.map(row => {
+                const key = pathKey([row.primaryValue]);
+                const isExpanded = expanded.has(key);
+                return (
+                    <React.Fragment key={key}>
+                        <tr className="hover:bg-gray-50">
+                            <td className="px-6 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                                {row.children.length > 0 ? (
+                                    <button onClick={() => onToggle(key)} aria-expanded={isExpanded} className={`text-left p-1 rounded-md transition-colors ${isExpanded ? 'bg-indigo-100' : 'hover:bg-gray-100'}`}>
+                                        <span className="text-gray-500">{isExpanded ? '▾' : '▸'}</span>
+                                        <span className="ml-2">{row.primaryValue}</span>
+                                    </button>
+                                ) : row.primaryValue}
+                            </td>
+                            <FunnelCells label={row.primaryValue} rows={row.rows} funnel={row.funnel} stages={stages} onSelect={onCellClick} />
+                        </tr>
+                        {isExpanded && row.children.map(child => (
+                            <tr key={child.value} className="bg-gray-50">
+                                <td className="py-2 pr-4 whitespace-nowrap text-sm text-gray-700" style={{ paddingLeft: '3rem' }}>
+                                    {child.value}
+                                    <span className="ml-2 text-xs text-gray-400">{splitColumn}</span>
+                                </td>
+                                <FunnelCells label={`${row.primaryValue} › ${child.value}`} rows={child.rows} funnel={child.funnel} stages={stages} onSelect={onCellClick} />
+                            </tr>
+                        ))}
+                    </React.Fragment>
+                );
+            })}
+            {funnelData.rows.length === 0 && (
+                <tr><td colSpan={stages.length + 3} className="text-center py-10 text-gray-500">No data for selected criteria.</td></tr>
+            )}
+        </tbody>
+    </table>
+);
+
+export default FunnelTable;
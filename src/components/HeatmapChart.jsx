@@ -0,0 +1,53 @@
+import React from 'react';
+import { heatmapCells, shade, truncate, PALETTE, FONT_FAMILY } from '../lib/charts.js';
+
+const LABEL_WIDTH = 180;
+const CELL_WIDTH = 72;
+const CELL_HEIGHT = 26;
+const TITLE_HEIGHT = 36;
+const HEADER_HEIGHT = 90;
+
+// --- Heatmap ---
+// Drill-down shares per primary value; darker cells hold a larger share of their row.
+const HeatmapChart = ({ title, tableHeaders, tableRows }) => {
+    const { columns, rows, maxShare } = heatmapCells(tableHeaders, tableRows);
+    const top = TITLE_HEIGHT + HEADER_HEIGHT;
+    const width = LABEL_WIDTH + columns.length * CELL_WIDTH + 16;
+    const height = top + rows.length * CELL_HEIGHT + 16;
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} width="100%" fontFamily={FONT_FAMILY} fontSize="11" role="img" aria-label={title}>
+            <rect width={width} height={height} fill="#ffffff" />
+            <text x={8} y={22} fontSize="14" fontWeight="bold" fill="#1f2937">{title}</text>
+            {columns.map((column, j) => {
+                const cx = LABEL_WIDTH + j * CELL_WIDTH + CELL_WIDTH / 2;
+                return (
+                    <text key={column} x={cx} y={top - 8} transform={`rotate(-40 ${cx} ${top - 8})`} fill="#374151">{truncate(column, 20)}</text>
+                );
+            })}
+            {rows.map((row, i) => {
+                const y = top + i * CELL_HEIGHT;
+                return (
+                    <g key={`${row.label}-${i}`}>
+                        <text x={LABEL_WIDTH - 8} y={y + CELL_HEIGHT / 2 + 4} textAnchor="end" fill="#111827">{truncate(row.label, 28)}</text>
+                        {row.cells.map((cell, j) => {
+                            const intensity = maxShare > 0 ? cell.share / maxShare : 0;
+                            return (
+                                <g key={columns[j]}>
+                                    <rect x={LABEL_WIDTH + j * CELL_WIDTH} y={y} width={CELL_WIDTH - 2} height={CELL_HEIGHT - 2} fill={shade(PALETTE[0], intensity)}>
+                                        <title>{`${row.label} — ${columns[j]}: ${cell.count} (${(cell.share * 100).toFixed(1)}%)`}</title>
+                                    </rect>
+                                    <text x={LABEL_WIDTH + j * CELL_WIDTH + CELL_WIDTH / 2 - 1} y={y + CELL_HEIGHT / 2 + 3} textAnchor="middle" fill={intensity > 0.55 ? '#ffffff' : '#1f2937'}>
+                                        {(cell.share * 100).toFixed(1)}%
+                                    </text>
+                                </g>
+                            );
+                        })}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+export default HeatmapChart;
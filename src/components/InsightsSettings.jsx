@@ -0,0 +1,67 @@
+import React from 'react';
+import { getLlmProviders, findLlmProvider, validateLlmSettings } from '../lib/llm.js';
+
+const inputClass = 'block w-full px-2 py-1 text-sm border border-gray-300 rounded-md';
+
+// --- Insights Settings ---
+// Chooses the model provider for Generate Insights and edits its settings. Changes apply at once.
+const InsightsSettings = ({ settings, onChange, onClose }) => {
+    const provider = findLlmProvider(settings.providerId);
+    const values = settings.providers[provider.id];
+    const isMock = provider.id === 'mock';
+    const problem = validateLlmSettings(settings);
+
+    const setValue = (key, value) => onChange({ ...settings, providers: { ...settings.providers, [provider.id]: { ...values, [key]: value } } });
+    const resetProvider = () => onChange({ ...settings, providers: { ...settings.providers, [provider.id]: { ...provider.defaults } } });
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex justify-between items-center gap-4 mb-2">
+                <h3 className="text-sm font-bold text-gray-700">Insights Settings</h3>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-sm" aria-label="Close insights settings">&times;</button>
+            </div>
+            <div className="flex flex-wrap gap-4 items-end">
+                <div>
+                    <label htmlFor="llm-provider" className="block text-xs font-medium text-gray-700 mb-1">Provider</label>
+                    <select id="llm-provider" value={provider.id} onChange={(e) => onChange({ ...settings, providerId: e.target.value })} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                        {getLlmProviders().map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                </div>
+                {!isMock && (
+                    <>
+                        <div>
+                            <label htmlFor="llm-model" className="block text-xs font-medium text-gray-700 mb-1">Model</label>
+                            <input id="llm-model" value={values.model} onChange={(e) => setValue('model', e.target.value)} className={inputClass} />
+                        </div>
+                        <div className="flex-grow">
+                            <label htmlFor="llm-base-url" className="block text-xs font-medium text-gray-700 mb-1">Base URL</label>
+                            <input id="llm-base-url" value={values.baseUrl} onChange={(e) => setValue('baseUrl', e.target.value.trim())} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="llm-api-key" className="block text-xs font-medium text-gray-700 mb-1">API Key{provider.needsKey ? '' : ' (optional)'}</label>
+                            <input id="llm-api-key" type="password" autoComplete="off" value={values.apiKey} onChange={(e) => setValue('apiKey', e.target.value.trim())} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="llm-temperature" className="block text-xs font-medium text-gray-700 mb-1">Temperature</label>
+                            <input id="llm-temperature" type="number" min="0" max="2" step="0.1" value={Number.isFinite(values.temperature) ? values.temperature : ''} onChange={(e) => setValue('temperature', e.target.valueAsNumber)} className={`${inputClass} w-20`} />
+                        </div>
+                        <div>
+                            <label htmlFor="llm-timeout" className="block text-xs font-medium text-gray-700 mb-1">Timeout (s)</label>
+                            <input id="llm-timeout" type="number" min="1" step="1" value={Number.isFinite(values.timeoutSeconds) ? values.timeoutSeconds : ''} onChange={(e) => setValue('timeoutSeconds', e.target.valueAsNumber)} className={`${inputClass} w-20`} />
+                        </div>
+                    </>
+                )}
+                <button onClick={resetProvider} className="text-xs text-indigo-600 hover:text-gray-800">Reset to Defaults</button>
+            </div>
+            {provider.description && <p className="mt-2 text-gray-500">{provider.description}</p>}
+            {problem && <p className="mt-2 text-red-600">{problem}</p>}
+            {!isMock && (
+                <p className="mt-2 text-xs text-gray-500">
+                    Settings and API keys are kept in this browser's local storage only. Generating insights sends the data summary, and the key if set, to {values.baseUrl || 'the base URL'}.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default InsightsSettings;
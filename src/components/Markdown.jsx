@@ -0,0 +1,61 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../lib/markdown.js';
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+        case 'strong': return <strong key={index}>{renderInline(node.children)}</strong>;
+        case 'em': return <em key={index}>{renderInline(node.children)}</em>;
+        case 'del': return <del key={index}>{renderInline(node.children)}</del>;
+        case 'code': return <code key={index}>{node.text}</code>;
+        case 'link': return <a key={index} href={node.href} target="_blank" rel="noopener noreferrer">{renderInline(node.children)}</a>;
+        case 'break': return <br key={index} />;
+        default: return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+});
+
+// A list item that is a single paragraph renders without the paragraph's margins.
+const renderItem = (blocks, index) => (
+    <li key={index}>
+        {blocks.length === 1 && blocks[0].type === 'paragraph' ? renderInline(blocks[0].content) : blocks.map(renderBlock)}
+    </li>
+);
+
+const renderBlock = (block, index) => {
+    switch (block.type) {
+        case 'heading': {
+            const Heading = `h${block.level}`;
+            return <Heading key={index}>{renderInline(block.content)}</Heading>;
+        }
+        case 'list': return block.ordered
+            ? <ol key={index} start={block.start}>{block.items.map(renderItem)}</ol>
+            : <ul key={index}>{block.items.map(renderItem)}</ul>;
+        case 'code': return <pre key={index}><code>{block.text}</code></pre>;
+        case 'quote': return <blockquote key={index}>{block.children.map(renderBlock)}</blockquote>;
+        case 'rule': return <hr key={index} />;
+        case 'table': return (
+            <div key={index} className="overflow-x-auto">
+                <table>
+                    <thead>
+                        <tr>{block.header.map((cell, column) => <th key={column} style={{ textAlign: block.align[column] || undefined }}>{renderInline(cell)}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                        {block.rows.map((row, rowIndex) => (
+                            <tr key={rowIndex}>{row.map((cell, column) => <td key={column} style={{ textAlign: block.align[column] || undefined }}>{renderInline(cell)}</td>)}</tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        );
+        default: return <p key={index}>{renderInline(block.content)}</p>;
+    }
+};
+
+// --- Markdown ---
+// Renders Markdown text as React elements; see lib/markdown.js for what is supported.
+// Nothing is passed to the DOM as HTML, so a reply cannot inject markup or scripts.
+const Markdown = ({ text, className = '' }) => {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+    return <div className={`prose ${className}`}>{blocks.map(renderBlock)}</div>;
+};
+
+export default Markdown;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+// --- Nested Levels Editor ---
+// Builds the ordered list of dimensions shown beneath the primary dimension in nested mode.
+const NestedLevelsEditor = ({ primaryDimension, levels, columns, onChange, onExpandAll, onCollapseAll }) => {
+    const available = columns.filter(col => col !== primaryDimension && !levels.includes(col));
+
+    const move = (index, offset) => {
+        const next = [...levels];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+            <div className="flex flex-wrap gap-2 items-center text-sm">
+                <span className="font-medium text-gray-700">Levels:</span>
+                <span className="px-2 py-1 rounded-md bg-indigo-100 text-indigo-800 font-medium">{primaryDimension}</span>
+                {levels.map((level, index) => (
+                    <React.Fragment key={level}>
+                        <span className="text-gray-400">→</span>
+                        <span className="px-2 py-1 rounded-md bg-gray-100 text-gray-800 flex items-center gap-2">
+                            {index > 0 && <button onClick={() => move(index, -1)} className="text-gray-500 hover:text-gray-800 text-xs" aria-label={`Move ${level} up`}>◂</button>}
+                            {level}
+                            {index < levels.length - 1 && <button onClick={() => move(index, 1)} className="text-gray-500 hover:text-gray-800 text-xs" aria-label={`Move ${level} down`}>▸</button>}
+                            <button onClick={() => onChange(levels.filter(l => l !== level))} className="text-gray-500 hover:text-gray-800" aria-label={`Remove ${level}`}>&times;</button>
+                        </span>
+                    </React.Fragment>
+                ))}
+                {available.length > 0 && (
+                    <select value="" onChange={(e) => onChange([...levels, e.target.value])} aria-label="Add a level" className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                        <option value="" disabled>+ Add level…</option>
+                        {available.map(col => <option key={col} value={col}>{col}</option>)}
+                    </select>
+                )}
+                <span className="flex-grow" />
+                <button onClick={onExpandAll} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-xs">Expand all</button>
+                <button onClick={onCollapseAll} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-xs">Collapse all</button>
+            </div>
+        </div>
+    );
+};
+
+export default NestedLevelsEditor;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { flattenTree, pathKey } from '../lib/pivot.js';
+import CountButton from './CountButton.jsx';
+
+// --- Nested Drill-Down Tree ---
+// Renders the pivot tree as an expandable table. Any number of branches can be open at once.
+// Counts call `onNodeClick(node)` so the contacts behind them can be listed.
+const NestedTreeTable = ({ tree, levels, expanded, onToggle, onNodeClick }) => {
+    const visible = flattenTree(tree, expanded);
+
+    return (
+        <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+                <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">{levels.join(' → ')}</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">Contacts</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">% of Parent</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">% of Total</th>
+                </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+                {visible.map(({ node, parent }) => {
+                    const key = pathKey(node.path);
+                    const isExpanded = expanded.has(key);
+                    const hasChildren = node.children.length > 0;
+                    const ofParent = parent.count > 0 ? ((node.count / parent.count) * 100).toFixed(1) : 0;
+                    const ofTotal = tree.count > 0 ? ((node.count / tree.count) * 100).toFixed(1) : 0;
+                    return (
+                        <tr key={key} className={node.depth === 1 ? 'hover:bg-gray-50' : 'bg-gray-50 hover:bg-gray-100'}>
+                            <td className="py-2 pr-4 whitespace-nowrap text-sm text-gray-900" style={{ paddingLeft: `${node.depth * 1.5}rem` }}>
+                                {hasChildren ? (
+                                    <button
+                                        onClick={() => onToggle(key)}
+                                        aria-expanded={isExpanded}
+                                        className={`text-left p-1 rounded-md transition-colors ${isExpanded ? 'bg-indigo-100' : 'hover:bg-gray-100'}`}
+                                    >
+                                        <span className="text-gray-500">{isExpanded ? '▾' : '▸'}</span>
+                                        <span className={`ml-2 ${node.depth === 1 ? 'font-medium' : ''}`}>{node.value}</span>
+                                    </button>
+                                ) : (
+                                    <span className="p-1 inline-block"><span className="ml-2">{node.value}</span></span>
+                                )}
+                                <span className="ml-2 text-xs text-gray-400">{node.column}</span>
+                            </td>
+                            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-800 font-semibold">
+                                <CountButton count={node.count} onClick={onNodeClick && (() => onNodeClick(node))} />
+                            </td>
+                            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">{node.depth === 1 ? '—' : `${ofParent}%`}</td>
+                            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">{ofTotal}%</td>
+                        </tr>
+                    );
+                })}
+                {visible.length === 0 && (
+                    <tr><td colSpan={4} className="text-center py-10 text-gray-500">No data for selected criteria.</td></tr>
+                )}
+            </tbody>
+        </table>
+    );
+};
+
+export default NestedTreeTable;
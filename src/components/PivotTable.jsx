@@ -0,0 +1,124 @@
+import React from 'react';
+import { formatMetric } from '../lib/spend.js';
+import { formatPValue } from '../lib/stats.js';
+import { valueLabel } from '../lib/pivot.js';
+import CountButton from './CountButton.jsx';
+import { campaignKey } from '../lib/hierarchy.js';
+
+const percent = (share) => (share * 100).toFixed(1);
+
+// Shading for a drill-down cell when significance testing is on.
+const cellTone = (stats) => {
+    if (!stats) return '';
+    if (stats.sparse) return 'opacity-50';
+    if (!stats.significant) return '';
+    return stats.direction === 'above' ? 'bg-green-50' : 'bg-red-50';
+};
+
+const cellTitle = (stats) => {
+    if (!stats || !stats.interval) return undefined;
+    const interval = `95% CI ${percent(stats.interval.low)}–${percent(stats.interval.high)}%`;
+    if (stats.sparse) return `${interval}. Too few contacts to test against the other rows.`;
+    return stats.pValue === null ? interval : `${interval}. Compared with all other rows: ${formatPValue(stats.pValue)}.`;
+};
+
+// --- Pivot Table ---
+// One row per primary value, one column per drill-down value, then any cost columns. Every header sorts the rows.
+// With `significance` (from computeSignificance), cells show confidence intervals and are shaded when they
+// differ significantly from the other rows; cells with too few contacts are faded.
+// Counts call `onCellClick(row, header)` so the contacts behind them can be listed.
+// In the campaign hierarchy, campaign rows carry their ad groups as `children` and open with `onToggle(key)`.
+const PivotTable = ({ tableHeaders, tableRows, sort, onSort, metricColumns = [], significance = null, onCellClick, expanded = new Set(), onToggle }) => {
+    const renderHeader = (header, key) => {
+        const isSorted = sort.column === header;
+        return (
+            <th key={key} scope="col" aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'} className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">
+                <button onClick={() => onSort(header)} className="text-left text-xs font-bold text-gray-600 uppercase tracking-wider hover:text-gray-800">
+                    {valueLabel(header)}
+                    <span className={`ml-2 ${isSorted ? 'text-indigo-600' : 'text-gray-400'}`}>{isSorted ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}</span>
+                </button>
+            </th>
+        );
+    };
+
+    const renderRow = (row, key, isExpanded = false) => {
+        const isChild = row.label !== undefined;
+        const rowStats = significance ? significance.get(row.primaryValue) : null;
+        return (
+            <tr key={key} className={isChild ? 'bg-gray-50 hover:bg-gray-100' : row.isOther ? 'bg-gray-50' : 'hover:bg-gray-50'}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900" style={isChild ? { paddingLeft: '3rem' } : undefined} title={row.isOther ? row.members.join(', ') : undefined}>
+                    {row.children ? (
+                        <button
+                            onClick={() => onToggle(key)}
+                            aria-expanded={isExpanded}
+                            className={`text-left p-1 rounded-md transition-colors ${isExpanded ? 'bg-indigo-100' : 'hover:bg-gray-100'}`}
+                        >
+                            <span className="text-gray-500">{isExpanded ? '▾' : '▸'}</span>
+                            <span className="ml-2">{row.primaryValue}</span>
+                            <span className="ml-2 text-xs text-gray-400">({row.children.length} ad group{row.children.length === 1 ? '' : 's'})</span>
+                        </button>
+                    ) : (
+                        <span className={isChild ? 'font-normal' : undefined}>{row.label ?? valueLabel(row.primaryValue)}</span>
+                    )}
+                    {row.isOther && <span className="ml-2 text-xs text-gray-400">({row.members.length} groups)</span>}
+                    {rowStats && rowStats.significant && (
+                        <span className="ml-2 text-xs font-semibold text-indigo-600" title={`Chi-square ${rowStats.test.statistic.toFixed(1)} on ${rowStats.test.df} df against all other rows`}>
+                            differs ({formatPValue(rowStats.test.pValue)})
+                        </span>
+                    )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800 font-semibold">
+                    <CountButton count={row.total} onClick={onCellClick && (() => onCellClick(row, tableHeaders[1]))} />
+                </td>
+                {tableHeaders.slice(2).map((header, colIndex) => {
+                    const count = row.breakdown[header] || 0;
+                    const percentage = row.total > 0 ? ((count / row.total) * 100).toFixed(1) : 0;
+                    const stats = rowStats ? rowStats.cells[header] : null;
+                    return (
+                        <td key={colIndex} className={`px-6 py-4 whitespace-nowrap text-sm text-gray-500 ${cellTone(stats)}`} title={cellTitle(stats)}>
+                            {count > 0 ? (
+                                <div>
+                                    <CountButton count={count} onClick={onCellClick && (() => onCellClick(row, header))} />
+                                    <span className="ml-2 text-gray-500">({percentage}%)</span>
+                                    {stats && stats.significant && (
+                                        <span className={`ml-2 ${stats.direction === 'above' ? 'text-green-600' : 'text-red-600'}`}>{stats.direction === 'above' ? '▲' : '▼'}</span>
+                                    )}
+                                </div>
+                            ) : (<span className="text-gray-400">0</span>)}
+                            {stats && stats.interval && (
+                                <div className="text-xs text-gray-400">{percent(stats.interval.low)}–{percent(stats.interval.high)}%</div>
+                            )}
+                        </td>
+                    );
+                })}
+                {metricColumns.map(({ key: metricKey, format }) => (
+                    <td key={metricKey} className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">{formatMetric(row.metrics?.[metricKey], format)}</td>
+                ))}
+            </tr>
+        );
+    };
+
+    return (
+        <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+                <tr>
+                    {tableHeaders.map((header, index) => renderHeader(header, index))}
+                    {metricColumns.map(({ key }) => renderHeader(key, key))}
+                </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+                {tableRows.flatMap((row, rowIndex) => {
+                    if (!row.children) return [renderRow(row, rowIndex)];
+                    const key = campaignKey(row);
+                    const isExpanded = expanded.has(key);
+                    return [renderRow(row, key, isExpanded), ...(isExpanded ? row.children.map(child => renderRow(child, `${key}:${child.primaryValue}`)) : [])];
+                })}
+                {tableRows.length === 0 && (
+                    <tr><td colSpan={tableHeaders.length + metricColumns.length || 1} className="text-center py-10 text-gray-500">No data for selected criteria.</td></tr>
+                )}
+            </tbody>
+        </table>
+    );
+};
+
+export default PivotTable;
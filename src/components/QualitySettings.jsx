@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from 'react';
+import { DEFAULT_QUALITY_PROFILE, loadQualityProfiles, saveQualityProfile, deleteQualityProfile } from '../lib/quality.js';
+
+const MAX_VALUES = 50;
+
+// --- Quality Score Settings ---
+// Turns the quality columns on and edits the weight given to each value of the weighted columns.
+const QualitySettings = ({ enabled, onEnabledChange, profile, onProfileChange, columns, rows, onRankByQuality }) => {
+    const [profiles, setProfiles] = useState(loadQualityProfiles);
+    const [isEditing, setIsEditing] = useState(false);
+    const [profileName, setProfileName] = useState(profile.name);
+
+    const weightedColumns = Object.keys(profile.weights);
+
+    // The most common values in the data, then any other weighted values.
+    const valuesByColumn = useMemo(() => {
+        if (!isEditing) return {};
+        return Object.fromEntries(weightedColumns.map(column => {
+            const counts = new Map();
+            rows.forEach(row => {
+                const value = row[column];
+                if (value) counts.set(value, (counts.get(value) || 0) + 1);
+            });
+            const present = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a)).slice(0, MAX_VALUES);
+            const extra = Object.keys(profile.weights[column]).filter(value => !present.includes(value));
+            return [column, [...present, ...extra]];
+        }));
+    }, [isEditing, rows, profile.weights]);
+
+    // Edited weights no longer match any saved profile until they are saved again.
+    const setWeights = (weights) => onProfileChange({ ...profile, id: '', weights });
+
+    const setWeight = (column, value, text) => {
+        const columnWeights = { ...profile.weights[column] };
+        if (text === '') delete columnWeights[value];
+        else columnWeights[value] = Number(text);
+        setWeights({ ...profile.weights, [column]: columnWeights });
+    };
+
+    const removeColumn = (column) => {
+        const { [column]: _removed, ...rest } = profile.weights;
+        setWeights(rest);
+    };
+
+    const handleProfileLoad = (e) => {
+        const loaded = profiles.find(p => p.id === e.target.value) || (e.target.value === DEFAULT_QUALITY_PROFILE.id ? DEFAULT_QUALITY_PROFILE : null);
+        if (!loaded) return;
+        onProfileChange(loaded);
+        setProfileName(loaded.name);
+    };
+
+    const handleSave = () => {
+        const name = profileName.trim();
+        if (!name) return;
+        const saved = saveQualityProfile(name, profile.weights);
+        setProfiles(saved);
+        onProfileChange(saved.find(p => p.name === name));
+    };
+
+    const handleDelete = () => {
+        setProfiles(deleteQualityProfile(profile.id));
+        onProfileChange(DEFAULT_QUALITY_PROFILE);
+        setProfileName(DEFAULT_QUALITY_PROFILE.name);
+    };
+
+    const isSaved = profiles.some(p => p.id === profile.id);
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex flex-wrap gap-4 items-center">
+                <label className="flex items-center gap-2 font-medium text-gray-700">
+                    <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} />
+                    Score contact quality
+                </label>
+                {enabled && (
+                    <>
+                        <div>
+                            <label htmlFor="quality-profile" className="font-medium text-gray-700 mr-2">Weight profile:</label>
+                            <select id="quality-profile" value={isSaved || profile.id === DEFAULT_QUALITY_PROFILE.id ? profile.id : ''} onChange={handleProfileLoad} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                                {!isSaved && profile.id !== DEFAULT_QUALITY_PROFILE.id && <option value="">{profile.name} (unsaved)</option>}
+                                <option value={DEFAULT_QUALITY_PROFILE.id}>{DEFAULT_QUALITY_PROFILE.name}</option>
+                                {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                        </div>
+                        <span className="text-gray-500">Weighted: {weightedColumns.join(', ') || 'nothing yet'}</span>
+                        <button onClick={() => setIsEditing(!isEditing)} className="text-xs text-indigo-600 hover:text-gray-800">{isEditing ? 'Done' : 'Edit weights'}</button>
+                        <button onClick={onRankByQuality} className="text-xs text-indigo-600 hover:text-gray-800">Rank by average quality</button>
+                    </>
+                )}
+            </div>
+            {enabled && isEditing && (
+                <div className="mt-4">
+                    <div className="flex flex-wrap gap-8">
+                        {weightedColumns.map(column => (
+                            <div key={column}>
+                                <div className="flex justify-between items-center gap-4 mb-1">
+                                    <span className="font-semibold text-gray-700">{column}</span>
+                                    <button onClick={() => removeColumn(column)} className="text-gray-500 hover:text-gray-800" aria-label={`Stop weighting ${column}`}>&times;</button>
+                                </div>
+                                <ul className="max-h-48 overflow-y-auto">
+                                    {valuesByColumn[column].map(value => (
+                                        <li key={value} className="flex justify-between items-center gap-4 py-1">
+                                            <span className="text-gray-900">{value}</span>
+                                            <input
+                                                type="number"
+                                                value={profile.weights[column][value] ?? ''}
+                                                onChange={(e) => setWeight(column, value, e.target.value)}
+                                                aria-label={`Weight for ${column} ${value}`}
+                                                className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                                            />
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap gap-2 items-center mt-4">
+                        <select value="" onChange={(e) => setWeights({ ...profile.weights, [e.target.value]: {} })} aria-label="Weight another column" className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                            <option value="" disabled>Weight another column (e.g. Department)…</option>
+                            {columns.filter(col => !weightedColumns.includes(col)).map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                        <input type="text" value={profileName} onChange={(e) => setProfileName(e.target.value)} placeholder="Profile name" aria-label="Profile name" className="px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        <button onClick={handleSave} disabled={!profileName.trim()} className="bg-indigo-600 text-white font-bold py-1 px-2 rounded-md hover:bg-indigo-700 transition-colors text-sm disabled:opacity-50">Save Profile</button>
+                        {isSaved && (
+                            <button onClick={handleDelete} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Delete "{profile.name}"</button>
+                        )}
+                    </div>
+                    <p className="mt-2 text-xs text-gray-500">Each contact scores the sum of its weights; values left blank score 0.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QualitySettings;
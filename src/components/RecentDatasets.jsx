@@ -0,0 +1,34 @@
+import React from 'react';
+
+const formatSavedAt = (timestamp) => new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// --- Recent Datasets ---
+// Datasets kept in this browser, shown on the upload screen so they can be re-opened without uploading again.
+const RecentDatasets = ({ datasets, onOpen, onDelete, onDeleteAll, isLoading }) => (
+    <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200 mt-6 text-left text-sm">
+        <div className="flex justify-between items-center mb-2">
+            <h2 className="font-bold text-gray-700">Recent Datasets</h2>
+            <button onClick={onDeleteAll} className="text-xs text-red-600 hover:text-gray-800">Delete All Stored Data</button>
+        </div>
+        {datasets.length === 0 ? (
+            <p className="text-gray-500">Nothing is stored in this browser.</p>
+        ) : (
+            <ul className="divide-y divide-gray-200">
+                {datasets.map(dataset => (
+                    <li key={dataset.id} className="flex justify-between items-center gap-4 py-2">
+                        <button onClick={() => onOpen(dataset.id)} disabled={isLoading} className="text-left hover:text-indigo-600 disabled:opacity-50">
+                            <span className="block font-medium text-gray-900">{dataset.name}</span>
+                            <span className="block text-xs text-gray-500">
+                                {dataset.rowCount} rows in {dataset.fileCount} file{dataset.fileCount === 1 ? '' : 's'} · saved {formatSavedAt(dataset.savedAt)}
+                            </span>
+                        </button>
+                        <button onClick={() => onDelete(dataset.id)} className="text-gray-500 hover:text-gray-800" aria-label={`Delete ${dataset.name}`}>&times;</button>
+                    </li>
+                ))}
+            </ul>
+        )}
+        <p className="mt-2 text-xs text-gray-500">Uploaded files are kept only in this browser until you delete them.</p>
+    </div>
+);
+
+export default RecentDatasets;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { layoutSankey, sankeyPath, truncate, FONT_FAMILY } from '../lib/charts.js';
+
+const WIDTH = 900;
+const PLOT_HEIGHT = 460;
+const TITLE_HEIGHT = 56;
+const SIDE_MARGIN = 150;
+const NODE_WIDTH = 14;
+const NODE_PADDING = 10;
+
+// --- Sankey Chart ---
+// Contacts flowing from the primary dimension through the following columns, e.g. Campaign → ICP → Lifecycle Stage.
+const SankeyChart = ({ title, rows, levels }) => {
+    const plotWidth = WIDTH - SIDE_MARGIN * 2;
+    const { nodes, links, included } = layoutSankey(rows, levels, { width: plotWidth, height: PLOT_HEIGHT, nodeWidth: NODE_WIDTH, nodePadding: NODE_PADDING });
+    const height = TITLE_HEIGHT + PLOT_HEIGHT + 16;
+    const step = levels.length > 1 ? (plotWidth - NODE_WIDTH) / (levels.length - 1) : 0;
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" fontFamily={FONT_FAMILY} fontSize="11" role="img" aria-label={title}>
+            <rect width={WIDTH} height={height} fill="#ffffff" />
+            <text x={8} y={22} fontSize="14" fontWeight="bold" fill="#1f2937">{title}</text>
+            <text x={8} y={40} fill="#6b7280">{included} of {rows.length} contacts have a value in every column.</text>
+            <g transform={`translate(${SIDE_MARGIN}, ${TITLE_HEIGHT})`}>
+                {levels.map((level, i) => (
+                    <text key={level} x={i * step + NODE_WIDTH / 2} y={-4} textAnchor="middle" fontWeight="bold" fill="#4b5563">{truncate(level, 30)}</text>
+                ))}
+                {links.map(link => (
+                    <path key={`${link.source.id}>${link.target.id}`} d={sankeyPath(link, NODE_WIDTH)} fill={link.source.color} fillOpacity="0.35">
+                        <title>{`${link.source.label} → ${link.target.label}: ${link.value}`}</title>
+                    </path>
+                ))}
+                {nodes.map(node => {
+                    const isLast = node.level === levels.length - 1;
+                    return (
+                        <g key={node.id}>
+                            <rect x={node.x} y={node.y} width={NODE_WIDTH} height={Math.max(1, node.height)} fill={node.color}>
+                                <title>{`${node.label}: ${node.value}`}</title>
+                            </rect>
+                            {node.height >= 8 && (
+                                <text x={isLast ? node.x + NODE_WIDTH + 6 : node.x - 6} y={node.y + node.height / 2 + 4} textAnchor={isLast ? 'start' : 'end'} fill="#111827">
+                                    {truncate(node.label, 22)} ({node.value})
+                                </text>
+                            )}
+                        </g>
+                    );
+                })}
+            </g>
+        </svg>
+    );
+};
+
+export default SankeyChart;
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { loadSavedViews, saveView, deleteView, missingViewColumns } from '../lib/views.js';
+
+// --- Saved Views ---
+// Saves the current grouping, drill-down and filters under a name and re-opens them in one click.
+const SavedViews = ({ currentState, columns, rows, onOpen }) => {
+    const [views, setViews] = useState(loadSavedViews);
+    const [name, setName] = useState('');
+
+    const handleSave = () => {
+        setViews(saveView(name.trim(), currentState));
+        setName('');
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm flex flex-wrap gap-4 items-center">
+            <span className="font-medium text-gray-700">Saved views:</span>
+            {views.length === 0 && <span className="text-gray-500">none yet</span>}
+            {views.map(view => {
+                const missing = missingViewColumns(view.state, columns, rows);
+                return (
+                    <span key={view.id} className="inline-flex items-center gap-1 border border-gray-300 rounded-md">
+                        <button
+                            onClick={() => onOpen(view.state)}
+                            disabled={missing.length > 0}
+                            title={missing.length > 0 ? `Needs columns not in this data: ${missing.join(', ')}` : undefined}
+                            className="py-1 px-2 text-gray-800 hover:bg-gray-100 disabled:opacity-50"
+                        >
+                            {view.name}
+                        </button>
+                        <button onClick={() => setViews(deleteView(view.id))} className="pr-2 text-gray-500 hover:text-gray-800" aria-label={`Delete view ${view.name}`}>&times;</button>
+                    </span>
+                );
+            })}
+            <div className="flex gap-2 items-center">
+                <input value={name} onChange={(e) => setName(e.target.value)} placeholder="View name" aria-label="View name" className="px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                <button onClick={handleSave} disabled={!name.trim()} className="bg-indigo-600 text-white font-bold py-1 px-2 rounded-md hover:bg-indigo-700 transition-colors text-sm disabled:opacity-50">Save View</button>
+            </div>
+        </div>
+    );
+};
+
+export default SavedViews;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// --- Sheet Picker ---
+// Shown when a workbook has more than one sheet with data.
+const SheetPicker = ({ fileName, tables, onPick, onCancel }) => (
+    <div className="bg-gray-50 min-h-screen flex flex-col justify-center items-center p-4 font-sans">
+        <div className="w-full max-w-lg text-center">
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Choose a Sheet</h1>
+            <p className="text-gray-600 mb-8">
+                <span className="font-semibold text-indigo-600">{fileName}</span> contains {tables.length} sheets.
+            </p>
+            <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+                <ul className="divide-y divide-gray-200 text-left mb-6">
+                    {tables.map(table => (
+                        <li key={table.name}>
+                            <button onClick={() => onPick(table)} className="w-full text-left p-2 rounded-md hover:bg-gray-100 transition-colors flex justify-between items-center">
+                                <span className="font-medium text-gray-900">{table.name}</span>
+                                <span className="text-sm text-gray-500">{table.rows.length} rows · {table.headers.length} columns</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+                <button onClick={onCancel} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors">Cancel</button>
+            </div>
+        </div>
+    </div>
+);
+
+export default SheetPicker;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+// --- Loaded Sources Panel ---
+// Lists the uploaded files and controls how contacts found in several of them are de-duplicated.
+const SourcesPanel = ({ sources, columns, dedupeKey, onDedupeKeyChange, keep, onKeepChange, report, onRemove }) => (
+    <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+        <div className="flex flex-wrap gap-4 items-start justify-between">
+            <div className="flex-grow">
+                <h3 className="text-sm font-bold text-gray-700 mb-2">Loaded Files</h3>
+                <ul className="text-sm divide-y divide-gray-200">
+                    {sources.map(source => (
+                        <li key={source.id} className="flex justify-between items-center gap-4 py-1">
+                            <span>
+                                <span className="font-medium text-gray-900">{source.name}</span>
+                                <span className="ml-2 text-gray-500">{source.rows.length} rows</span>
+                                {source.preset && <span className="ml-2 text-gray-400">mapped with "{source.preset.source} — {source.preset.name}"</span>}
+                            </span>
+                            <button onClick={() => onRemove(source.id)} className="text-gray-500 hover:text-gray-800 text-sm" aria-label={`Remove ${source.name}`}>&times;</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+            <div>
+                <label htmlFor="dedupe-key" className="block text-sm font-medium text-gray-700 mb-1">De-duplicate contacts on:</label>
+                <select id="dedupe-key" value={dedupeKey} onChange={(e) => onDedupeKeyChange(e.target.value)} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                    <option value="">No de-duplication</option>
+                    {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                </select>
+            </div>
+            <div>
+                <label htmlFor="dedupe-keep" className="block text-sm font-medium text-gray-700 mb-1">When duplicated, keep:</label>
+                <select id="dedupe-keep" value={keep} onChange={(e) => onKeepChange(e.target.value)} disabled={!dedupeKey} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                    <option value="first">Earliest uploaded file</option>
+                    <option value="last">Latest uploaded file</option>
+                </select>
+            </div>
+        </div>
+        {dedupeKey && (
+            <div className="mt-4 text-sm text-gray-600">
+                <p>
+                    {report.duplicates} duplicate(s) on "{dedupeKey}" collapsed — {report.totalRows - report.duplicates} of {report.totalRows} rows kept.
+                    {report.blankKeys > 0 && ` ${report.blankKeys} row(s) with a blank "${dedupeKey}" were kept as-is.`}
+                </p>
+                {report.collapsed.length > 0 && (
+                    <ul className="mt-1 text-gray-500">
+                        {report.collapsed.map(({ winner, loser, count }) => (
+                            <li key={`${winner}|${loser}`}>
+                                <span className="font-medium text-gray-700">{winner}</span> won over {winner === loser ? 'itself' : <span className="font-medium text-gray-700">{loser}</span>}: {count}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        )}
+    </div>
+);
+
+export default SourcesPanel;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { SPEND_FIELDS, formatMetric } from '../lib/spend.js';
+import { acceptedExtensions } from '../lib/importers.js';
+
+// --- Ad Spend Panel ---
+// Uploads a spend file, maps its columns and reports spend that could not be joined to the contacts.
+// Spend is matched to the contacts' period through one of their date columns, or summed over the whole file.
+const SpendPanel = ({ spend, entries, errors, join, primaryDimension, dateColumns, dateColumn, splitFilters, onUpload, onMappingChange, onDateColumnChange, onRemove, isLoading }) => {
+    if (!spend) {
+        return (
+            <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm flex flex-wrap gap-4 items-center justify-between">
+                <p className="text-gray-600">Upload an ad spend export (campaign or ad group, date, spend; impressions and clicks optional) to see cost per contact.</p>
+                <label htmlFor="spend-upload" className="cursor-pointer bg-white hover:bg-gray-100 text-gray-800 font-semibold py-2 px-4 border border-gray-300 rounded-lg shadow-sm transition-colors">
+                    {isLoading ? 'Processing...' : 'Add Spend File'}
+                </label>
+                <input id="spend-upload" type="file" className="hidden" accept={acceptedExtensions()} onChange={onUpload} disabled={isLoading} />
+            </div>
+        );
+    }
+
+    const totalSpend = entries.reduce((sum, entry) => sum + entry.spend, 0);
+    const unmatchedSpend = join ? join.unmatchedSpend.reduce((sum, item) => sum + item.spend, 0) : 0;
+    const day = (date) => date.toISOString().slice(0, 10);
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex justify-between items-center gap-4 mb-2">
+                <h3 className="text-sm font-bold text-gray-700">
+                    Ad Spend: <span className="font-medium text-gray-900">{spend.name}</span>
+                    <span className="ml-2 font-normal text-gray-500">{formatMetric(totalSpend, 'currency')} across {entries.length} rows</span>
+                </h3>
+                <button onClick={onRemove} className="text-gray-500 hover:text-gray-800 text-sm" aria-label={`Remove ${spend.name}`}>&times;</button>
+            </div>
+            <div className="flex flex-wrap gap-4">
+                {SPEND_FIELDS.map(({ key, label }) => (
+                    <div key={key}>
+                        <label htmlFor={`spend-map-${key}`} className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                        <select id={`spend-map-${key}`} value={spend.mapping[key]} onChange={(e) => onMappingChange({ ...spend.mapping, [key]: e.target.value })} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                            <option value="">— Not in file —</option>
+                            {spend.headers.map(header => <option key={header} value={header}>{header}</option>)}
+                        </select>
+                    </div>
+                ))}
+                {spend.mapping.date && dateColumns.length > 0 && (
+                    <div>
+                        <label htmlFor="spend-date-column" className="block text-xs font-medium text-gray-700 mb-1">Match to Contact Dates In</label>
+                        <select id="spend-date-column" value={dateColumn} onChange={(e) => onDateColumnChange(e.target.value)} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                            <option value="">— Whole spend file —</option>
+                            {dateColumns.map(column => <option key={column} value={column}>{column}</option>)}
+                        </select>
+                    </div>
+                )}
+            </div>
+            {join && join.period && (
+                <p className="mt-2 text-gray-600">
+                    Counting spend from {day(join.period.start)} to {day(join.period.end)}, the {join.period.dateColumn} dates of the contacts in view.
+                    {join.outsidePeriod.rows > 0 && ` ${formatMetric(join.outsidePeriod.spend, 'currency')} from ${join.outsidePeriod.rows} row(s) outside that period is left out.`}
+                </p>
+            )}
+            {join && !join.period && (
+                <p className="mt-2 text-gray-500">
+                    Spend is summed over the whole file, whatever period the contacts cover.
+                    {!spend.mapping.date ? ' Map the spend date to count only the days the contacts span.' : dateColumns.length === 0 ? ' The contacts have no date column to match it to.' : ''}
+                </p>
+            )}
+            {join && splitFilters.length > 0 && (
+                <p className="mt-2 text-gray-600">
+                    Cost per contact is hidden while filtering on {Array.from(new Set(splitFilters.map(filter => filter.column))).join(', ')}: the filters drop some of each {primaryDimension}'s contacts, but its spend can't be split the same way.
+                </p>
+            )}
+            {errors.length > 0 && (
+                <p className="mt-2 text-red-600">{errors.length} row(s) without a readable spend amount were skipped (first: line {errors[0].line}).</p>
+            )}
+            {!join && (
+                <p className="mt-2 text-gray-500">Cost columns appear when measuring by Ad Group Name, Ad Campaign Name or Campaign → Ad Group and the matching spend columns are mapped. Currently measuring by {primaryDimension}.</p>
+            )}
+            {join && (join.unmatchedSpend.length > 0 || join.unmatchedGroups.length > 0) && (
+                <div className="mt-4 flex flex-wrap gap-8">
+                    {join.unmatchedSpend.length > 0 && (
+                        <div>
+                            <p className="font-semibold text-gray-700 mb-1">Spend with no matching {primaryDimension} ({formatMetric(unmatchedSpend, 'currency')}):</p>
+                            <ul className="max-h-48 overflow-y-auto text-gray-600">
+                                {join.unmatchedSpend.map(item => (
+                                    <li key={item.value}>{item.value}: {formatMetric(item.spend, 'currency')} <span className="text-gray-400">({item.rows} rows)</span></li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {join.unmatchedGroups.length > 0 && (
+                        <div>
+                            <p className="font-semibold text-gray-700 mb-1">{primaryDimension} values with no spend:</p>
+                            <ul className="max-h-48 overflow-y-auto text-gray-600">
+                                {join.unmatchedGroups.map(value => <li key={value}>{value}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SpendPanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { stackBars, niceTicks, truncate, FONT_FAMILY } from '../lib/charts.js';
+
+const LABEL_WIDTH = 180;
+const PLOT_WIDTH = 560;
+const RIGHT_MARGIN = 60;
+const BAR_HEIGHT = 20;
+const BAR_GAP = 8;
+const TITLE_HEIGHT = 36;
+const AXIS_HEIGHT = 28;
+const LEGEND_COLUMNS = 4;
+const LEGEND_ROW_HEIGHT = 18;
+
+// --- Stacked Bar Chart ---
+// One horizontal bar per primary value, split by drill-down value; either counts or 100%-stacked shares.
+const StackedBarChart = ({ title, tableHeaders, tableRows, normalized }) => {
+    const { bars, max } = stackBars(tableHeaders, tableRows, normalized);
+    const ticks = niceTicks(max);
+    const axisMax = ticks[ticks.length - 1] || 1;
+    const x = (value) => LABEL_WIDTH + (value / axisMax) * PLOT_WIDTH;
+
+    const legend = [];
+    bars.forEach(bar => bar.segments.forEach(segment => {
+        if (!legend.some(item => item.label === segment.label)) legend.push({ label: segment.label, color: segment.color });
+    }));
+
+    const plotBottom = TITLE_HEIGHT + bars.length * (BAR_HEIGHT + BAR_GAP);
+    const legendTop = plotBottom + AXIS_HEIGHT + 8;
+    const width = LABEL_WIDTH + PLOT_WIDTH + RIGHT_MARGIN;
+    const height = legendTop + Math.ceil(legend.length / LEGEND_COLUMNS) * LEGEND_ROW_HEIGHT + 8;
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} width="100%" fontFamily={FONT_FAMILY} fontSize="11" role="img" aria-label={title}>
+            <rect width={width} height={height} fill="#ffffff" />
+            <text x={8} y={22} fontSize="14" fontWeight="bold" fill="#1f2937">{title}</text>
+            {ticks.map(tick => (
+                <g key={tick}>
+                    <line x1={x(tick)} x2={x(tick)} y1={TITLE_HEIGHT - 4} y2={plotBottom} stroke="#e5e7eb" />
+                    <text x={x(tick)} y={plotBottom + 16} textAnchor="middle" fill="#6b7280">{normalized ? `${tick}%` : tick}</text>
+                </g>
+            ))}
+            {bars.map((bar, i) => {
+                const y = TITLE_HEIGHT + i * (BAR_HEIGHT + BAR_GAP);
+                return (
+                    <g key={`${bar.label}-${i}`}>
+                        <text x={LABEL_WIDTH - 8} y={y + BAR_HEIGHT / 2 + 4} textAnchor="end" fill="#111827">{truncate(bar.label, 28)}</text>
+                        {bar.segments.map(segment => (
+                            <rect key={segment.label} x={x(segment.start)} y={y} width={Math.max(0, x(segment.start + segment.size) - x(segment.start))} height={BAR_HEIGHT} fill={segment.color}>
+                                <title>{`${bar.label} — ${segment.label}: ${segment.count} (${(segment.share * 100).toFixed(1)}%)`}</title>
+                            </rect>
+                        ))}
+                        {!normalized && <text x={x(bar.total) + 4} y={y + BAR_HEIGHT / 2 + 4} fill="#374151">{bar.total}</text>}
+                    </g>
+                );
+            })}
+            {legend.map((item, i) => {
+                const lx = 8 + (i % LEGEND_COLUMNS) * ((width - 16) / LEGEND_COLUMNS);
+                const ly = legendTop + Math.floor(i / LEGEND_COLUMNS) * LEGEND_ROW_HEIGHT;
+                return (
+                    <g key={item.label}>
+                        <rect x={lx} y={ly} width={10} height={10} fill={item.color} />
+                        <text x={lx + 14} y={ly + 9} fill="#374151">{truncate(item.label, 26)}</text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+export default StackedBarChart;
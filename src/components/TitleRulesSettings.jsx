@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { DEFAULT_TITLE_RULES, SENIORITY, JOB_FUNCTION, TITLE_FIELDS, parseTitleRules, validateTitleRules, unclassifiedTitles } from '../lib/titles.js';
+import { downloadBlob } from '../lib/export.js';
+
+const FIELD_LABELS = { seniority: SENIORITY, function: JOB_FUNCTION };
+
+// Keywords are edited as one comma-separated string per rule.
+const toDraft = (rules) => rules.map(rule => ({ ...rule, keywords: rule.keywords.join(', ') }));
+const fromDraft = (draft) => draft.map(rule => ({
+    ...rule,
+    value: rule.value.trim(),
+    keywords: rule.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean),
+    regex: rule.regex.trim(),
+    priority: Number(rule.priority),
+}));
+
+// --- Title Rules Settings ---
+// Shows how job titles were classified and edits, imports and exports the rule set.
+const TitleRulesSettings = ({ rules, onRulesChange, rows }) => {
+    const [draft, setDraft] = useState(null); // null while not editing
+    const [problems, setProblems] = useState([]);
+
+    const unclassified = unclassifiedTitles(rows);
+
+    const updateRule = (index, changes) => setDraft(draft.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+
+    const save = () => {
+        const next = fromDraft(draft);
+        const found = validateTitleRules(next);
+        setProblems(found);
+        if (found.length > 0) return;
+        onRulesChange(next);
+        setDraft(null);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseTitleRules(await file.text());
+            setDraft(toDraft(imported));
+            setProblems([]);
+        } catch (err) {
+            setProblems([err.message]);
+        }
+    };
+
+    const handleExport = () => {
+        const current = draft ? fromDraft(draft) : rules;
+        downloadBlob(new Blob([JSON.stringify({ rules: current }, null, 2)], { type: 'application/json' }), 'title-rules.json');
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex flex-wrap gap-4 items-center justify-between">
+                <p className="text-gray-700">
+                    <span className="font-medium">Job titles</span> are classified into {SENIORITY} and {JOB_FUNCTION} by {rules.length} rules.
+                    <button onClick={() => { setDraft(draft ? null : toDraft(rules)); setProblems([]); }} className="ml-2 text-xs text-indigo-600 hover:text-gray-800">{draft ? 'Cancel' : 'Edit Rules'}</button>
+                </p>
+                <div className="flex gap-2">
+                    <label htmlFor="title-rules-import" className="cursor-pointer bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Import Rules</label>
+                    <input id="title-rules-import" type="file" className="hidden" accept=".json,application/json" onChange={handleImport} />
+                    <button onClick={handleExport} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Export Rules</button>
+                </div>
+            </div>
+            {unclassified.length > 0 && (
+                <p className="mt-2 text-xs text-gray-500">
+                    Most common titles without a function: {unclassified.map(({ title, count }) => `${title} (${count})`).join(', ')}
+                </p>
+            )}
+            {problems.length > 0 && (
+                <ul className="mt-2 text-red-600">
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                </ul>
+            )}
+            {draft && (
+                <div className="mt-4">
+                    <p className="text-xs text-gray-500 mb-2">
+                        A rule applies when any keyword appears as a whole word or phrase in the title, or when its regular expression matches.
+                        When several rules match, the highest priority wins. Titles matching no rule count as IC and Unclassified.
+                    </p>
+                    <div className="max-h-64 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['Field', 'Value', 'Keywords', 'Regex', 'Priority', ''].map(header => (
+                                        <th key={header} scope="col" className="px-2 py-2 text-left text-xs font-bold text-gray-600 uppercase tracking-wider">{header}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {draft.map((rule, i) => (
+                                    <tr key={i}>
+                                        <td className="px-2 py-1">
+                                            <select value={rule.field} onChange={(e) => updateRule(i, { field: e.target.value })} aria-label={`Rule ${i + 1} field`} className="py-1 text-sm border border-gray-300 rounded-md">
+                                                {TITLE_FIELDS.map(({ key }) => <option key={key} value={key}>{FIELD_LABELS[key]}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className="px-2 py-1"><input value={rule.value} onChange={(e) => updateRule(i, { value: e.target.value })} aria-label={`Rule ${i + 1} value`} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" /></td>
+                                        <td className="px-2 py-1"><input value={rule.keywords} onChange={(e) => updateRule(i, { keywords: e.target.value })} aria-label={`Rule ${i + 1} keywords`} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" /></td>
+                                        <td className="px-2 py-1"><input value={rule.regex} onChange={(e) => updateRule(i, { regex: e.target.value })} aria-label={`Rule ${i + 1} regex`} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md font-mono" /></td>
+                                        <td className="px-2 py-1"><input type="number" value={rule.priority} onChange={(e) => updateRule(i, { priority: e.target.value })} aria-label={`Rule ${i + 1} priority`} className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md" /></td>
+                                        <td className="px-2 py-1">
+                                            <button onClick={() => setDraft(draft.filter((_, j) => j !== i))} className="text-gray-500 hover:text-gray-800" aria-label={`Remove rule ${i + 1}`}>&times;</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex gap-2 mt-2">
+                        <button onClick={() => setDraft([...draft, { field: 'function', value: '', keywords: '', regex: '', priority: 50 }])} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">+ Add Rule</button>
+                        <button onClick={save} className="bg-indigo-600 text-white font-bold py-1 px-2 rounded-md hover:bg-indigo-700 transition-colors text-sm">Save Rules</button>
+                        <button onClick={() => setDraft(toDraft(DEFAULT_TITLE_RULES))} className="bg-white hover:bg-gray-100 text-gray-800 font-semibold py-1 px-2 border border-gray-300 rounded-md text-sm">Reset to Default</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TitleRulesSettings;
@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { DATE_FORMATS, GRANULARITIES, buildTrend, comparePeriods, previousBucket, bucketLabel } from '../lib/dates.js';
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+const formatChange = (change) => (change === null ? 'new' : `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%`);
+
+// --- Period Comparison Table ---
+const PeriodComparison = ({ title, comparison, currentLabel, previousLabel }) => (
+    <div className="mb-6">
+        <h3 className="text-sm font-bold text-gray-700 mb-2">{title}</h3>
+        <div className="overflow-x-auto bg-white rounded-lg shadow">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                    <tr>
+                        {['Value', previousLabel, currentLabel, 'Change', '% Change'].map(header => (
+                            <th key={header} scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">{header}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {comparison.map(({ value, previous, current, delta, change }) => (
+                        <tr key={value} className="hover:bg-gray-50">
+                            <td className="px-6 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{value}</td>
+                            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">{previous}</td>
+                            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-800 font-semibold">{current}</td>
+                            <td className={`px-6 py-2 whitespace-nowrap text-sm font-semibold ${delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-500'}`}>{formatDelta(delta)}</td>
+                            <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">{formatChange(change)}</td>
+                        </tr>
+                    ))}
+                    {comparison.length === 0 && (
+                        <tr><td colSpan={5} className="text-center py-10 text-gray-500">No contacts in either period.</td></tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    </div>
+);
+
+// --- Trend View ---
+// Buckets the primary dimension by day, week or month using a detected date column,
+// and compares a period with the one before it.
+const TrendView = ({ rows, primaryDimension, drillDownColumn, dateColumns }) => {
+    const detected = Object.keys(dateColumns);
+    const [selectedColumn, setSelectedColumn] = useState(null);
+    const [formatOverrides, setFormatOverrides] = useState({});
+    const [granularity, setGranularity] = useState('month');
+    const [currentBucket, setCurrentBucket] = useState('');
+
+    // Falls back to a default when the chosen column disappears with a removed file.
+    const dateColumn = detected.includes(selectedColumn) ? selectedColumn : (detected.find(col => /create/i.test(col)) || detected[0] || '');
+    const formatId = formatOverrides[dateColumn] || dateColumns[dateColumn];
+
+    const trend = useMemo(
+        () => (dateColumn ? buildTrend(rows, { dimension: primaryDimension, dateColumn, formatId, granularity }) : null),
+        [rows, primaryDimension, dateColumn, formatId, granularity]
+    );
+
+    const buckets = trend ? trend.buckets : [];
+    const current = buckets.includes(currentBucket) ? currentBucket : buckets[buckets.length - 1];
+    const previous = current ? previousBucket(current, granularity) : null;
+
+    const comparisons = useMemo(() => {
+        if (!current) return null;
+        const options = { dateColumn, formatId, granularity, current, previous };
+        return {
+            primary: comparePeriods(rows, { ...options, dimension: primaryDimension }),
+            drillDown: drillDownColumn ? comparePeriods(rows, { ...options, dimension: drillDownColumn }) : null,
+        };
+    }, [rows, primaryDimension, drillDownColumn, dateColumn, formatId, granularity, current, previous]);
+
+    if (detected.length === 0) {
+        return <div className="bg-white p-6 rounded-lg shadow text-gray-500 text-center">No date columns were found in the loaded data.</div>;
+    }
+
+    const sortedRows = [...trend.rows].sort((a, b) => b.total - a.total);
+
+    return (
+        <div>
+            <div className="bg-white p-4 rounded-lg shadow-sm mb-6 flex flex-wrap gap-4 items-center">
+                <div>
+                    <label htmlFor="trend-date-column" className="block text-sm font-medium text-gray-700 mb-1">Date Column:</label>
+                    <select id="trend-date-column" value={dateColumn} onChange={(e) => setSelectedColumn(e.target.value)} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                        {detected.map(col => <option key={col} value={col}>{col}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="trend-date-format" className="block text-sm font-medium text-gray-700 mb-1">Date Format:</label>
+                    <select id="trend-date-format" value={formatId} onChange={(e) => setFormatOverrides({ ...formatOverrides, [dateColumn]: e.target.value })} className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md">
+                        {Object.entries(DATE_FORMATS).map(([id, { label }]) => (
+                            <option key={id} value={id}>{label}{id === dateColumns[dateColumn] ? ' (detected)' : ''}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-1">Bucket By:</span>
+                    <div className="flex rounded-md shadow-sm">
+                        {Object.entries(GRANULARITIES).map(([id, label], index, all) => (
+                            <button
+                                key={id}
+                                onClick={() => setGranularity(id)}
+                                className={`${index > 0 ? '-ml-px ' : ''}px-4 py-2 text-sm font-medium ${index === 0 ? 'rounded-l-md' : ''} ${index === all.length - 1 ? 'rounded-r-md' : ''} ${granularity === id ? 'bg-indigo-600 text-white z-10' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                {trend.undated > 0 && (
+                    <p className="text-sm text-gray-500">{trend.undated} contact(s) without a readable {dateColumn} are left out.</p>
+                )}
+            </div>
+
+            <div className="overflow-x-auto bg-white rounded-lg shadow mb-6">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">{primaryDimension}</th>
+                            {buckets.map(bucket => (
+                                <th key={bucket} scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">{bucketLabel(bucket, granularity)}</th>
+                            ))}
+                            <th scope="col" className="px-6 py-3 text-left text-xs font-bold text-gray-600 uppercase tracking-wider whitespace-nowrap">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {sortedRows.map(row => (
+                            <tr key={row.value} className="hover:bg-gray-50">
+                                <td className="px-6 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{row.value}</td>
+                                {buckets.map(bucket => (
+                                    <td key={bucket} className={`px-6 py-2 whitespace-nowrap text-sm ${row.counts[bucket] ? 'text-gray-800' : 'text-gray-400'}`}>{row.counts[bucket] || 0}</td>
+                                ))}
+                                <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-800 font-semibold">{row.total}</td>
+                            </tr>
+                        ))}
+                        <tr className="bg-indigo-50">
+                            <td className="px-6 py-2 whitespace-nowrap text-sm font-bold text-indigo-900">All contacts</td>
+                            {buckets.map(bucket => (
+                                <td key={bucket} className="px-6 py-2 whitespace-nowrap text-sm font-semibold text-indigo-900">{trend.totals[bucket] || 0}</td>
+                            ))}
+                            <td className="px-6 py-2 whitespace-nowrap text-sm font-bold text-indigo-900">{rows.length - trend.undated}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            {current && (
+                <>
+                    <div className="flex flex-wrap gap-2 items-center mb-4 text-sm">
+                        <label htmlFor="trend-current" className="font-medium text-gray-700">Compare</label>
+                        <select id="trend-current" value={current} onChange={(e) => setCurrentBucket(e.target.value)} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                            {[...buckets].reverse().map(bucket => <option key={bucket} value={bucket}>{bucketLabel(bucket, granularity)}</option>)}
+                        </select>
+                        <span className="text-gray-700">with the {GRANULARITIES[granularity].toLowerCase()} before ({bucketLabel(previous, granularity)})</span>
+                    </div>
+                    <PeriodComparison title={`Change by ${primaryDimension}`} comparison={comparisons.primary} currentLabel={bucketLabel(current, granularity)} previousLabel={bucketLabel(previous, granularity)} />
+                    {comparisons.drillDown && (
+                        <PeriodComparison title={`Change by ${drillDownColumn}`} comparison={comparisons.drillDown} currentLabel={bucketLabel(current, granularity)} previousLabel={bucketLabel(previous, granularity)} />
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TrendView;
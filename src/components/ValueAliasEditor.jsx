@@ -0,0 +1,118 @@
+import React, { useMemo, useState } from 'react';
+import { FIELDS } from '../lib/columnMapping.js';
+import { suggestValueClusters, mergeValues, removeAlias, countAliases } from '../lib/aliases.js';
+
+const DEFAULT_ALIAS_COLUMNS = [FIELDS.department, FIELDS.icp, FIELDS.lifecycle];
+
+const clusterKey = (cluster) => cluster.values.map(item => item.value).join('\u0000');
+
+// --- Value Alias Cluster ---
+// One suggested cluster: pick the spellings to merge and the value they become.
+const AliasCluster = ({ cluster, onMerge, onDismiss }) => {
+    const [selected, setSelected] = useState(() => new Set(cluster.values.map(item => item.value)));
+    const [canonical, setCanonical] = useState(cluster.canonical);
+
+    const toggle = (value) => {
+        const next = new Set(selected);
+        if (next.has(value)) next.delete(value);
+        else next.add(value);
+        setSelected(next);
+    };
+
+    return (
+        <li className="border border-gray-200 rounded-md p-2">
+            <div className="flex flex-wrap gap-4">
+                {cluster.values.map(({ value, count }) => (
+                    <label key={value} className="flex items-center gap-2 text-gray-700">
+                        <input type="checkbox" checked={selected.has(value)} onChange={() => toggle(value)} />
+                        {value} <span className="text-xs text-gray-400">({count})</span>
+                    </label>
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-2 items-center mt-2">
+                <label className="text-xs font-medium text-gray-700">
+                    Merge into:
+                    <input value={canonical} onChange={(e) => setCanonical(e.target.value)} className="ml-2 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                </label>
+                <button
+                    onClick={() => onMerge(canonical.trim(), Array.from(selected))}
+                    disabled={!canonical.trim() || !Array.from(selected).some(value => value !== canonical.trim())}
+                    className="bg-indigo-600 text-white font-bold py-1 px-2 rounded-md hover:bg-indigo-700 transition-colors text-sm disabled:opacity-50"
+                >
+                    Merge
+                </button>
+                <button onClick={onDismiss} className="text-xs text-gray-500 hover:text-gray-800">Not the same</button>
+            </div>
+        </li>
+    );
+};
+
+// --- Value Alias Editor ---
+// Suggests clusters of differently spelled values per column and keeps the confirmed merges.
+// `rows` already have the saved aliases applied, so merged values no longer show up as suggestions.
+const ValueAliasEditor = ({ aliases, onChange, columns, rows }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [column, setColumn] = useState(() => DEFAULT_ALIAS_COLUMNS.find(col => columns.includes(col)) || columns[0] || '');
+    const [dismissed, setDismissed] = useState(() => new Set()); // column and cluster keys of rejected suggestions
+
+    const clusters = useMemo(
+        () => (isOpen && column ? suggestValueClusters(rows, column) : []),
+        [isOpen, rows, column]
+    );
+    const visibleClusters = clusters.filter(cluster => !dismissed.has(`${column}\u0000${clusterKey(cluster)}`));
+    const columnAliases = Object.entries(aliases[column] || {}).sort(([a], [b]) => a.localeCompare(b));
+    const total = countAliases(aliases);
+
+    const dismiss = (cluster) => setDismissed(new Set(dismissed).add(`${column}\u0000${clusterKey(cluster)}`));
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6 text-sm">
+            <div className="flex justify-between items-center gap-4">
+                <p className="text-gray-700">
+                    <span className="font-medium">Value aliases:</span> {total === 0 ? 'none yet' : `${total} value${total === 1 ? '' : 's'} merged across ${Object.keys(aliases).length} column${Object.keys(aliases).length === 1 ? '' : 's'}`}
+                </p>
+                <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} className="text-xs text-indigo-600 hover:text-gray-800">{isOpen ? 'Close' : 'Clean Up Values'}</button>
+            </div>
+            {isOpen && (
+                <div className="mt-4">
+                    <label htmlFor="alias-column" className="font-medium text-gray-700 mr-2">Column:</label>
+                    <select id="alias-column" value={column} onChange={(e) => setColumn(e.target.value)} className="pl-3 pr-10 py-1 text-sm border border-gray-300 rounded-md">
+                        {columns.map(col => <option key={col} value={col}>{col}{aliases[col] ? ` (${Object.keys(aliases[col]).length} merged)` : ''}</option>)}
+                    </select>
+
+                    <h4 className="font-semibold text-gray-700 mt-4 mb-2">Suggested merges</h4>
+                    {visibleClusters.length === 0 ? (
+                        <p className="text-gray-500">No similar values found in {column}.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {visibleClusters.map(cluster => (
+                                <AliasCluster
+                                    key={clusterKey(cluster)}
+                                    cluster={cluster}
+                                    onMerge={(canonical, variants) => onChange(mergeValues(aliases, column, canonical, variants))}
+                                    onDismiss={() => dismiss(cluster)}
+                                />
+                            ))}
+                        </ul>
+                    )}
+
+                    {columnAliases.length > 0 && (
+                        <>
+                            <h4 className="font-semibold text-gray-700 mt-4 mb-2">Merged values in {column}</h4>
+                            <ul className="max-h-48 overflow-y-auto text-gray-700">
+                                {columnAliases.map(([variant, canonical]) => (
+                                    <li key={variant} className="flex items-center gap-2">
+                                        {variant} → <span className="font-medium">{canonical}</span>
+                                        <button onClick={() => onChange(removeAlias(aliases, column, variant))} className="text-gray-500 hover:text-gray-800" aria-label={`Stop merging ${variant}`}>&times;</button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ValueAliasEditor;
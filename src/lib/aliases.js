@@ -0,0 +1,166 @@
+import { normalizeLabel, levenshtein } from './text.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- Value Aliases ---
+// Category columns often spell the same value several ways ("Marketing",
+// "marketing", "Mktg"). Aliases map each variant to one canonical value per
+// column and are applied to the rows before anything is grouped. Clusters of
+// likely variants are suggested; nothing is merged until the user confirms.
+
+const ALIASES_KEY = 'value-aliases';
+
+// Fuzzy comparison is quadratic in the number of distinct values; beyond this only case and punctuation are folded.
+const MAX_FUZZY_VALUES = 400;
+
+/**
+ * @typedef {Object<string, Object<string, string>>} ValueAliases Column -> variant -> canonical value.
+ */
+
+/**
+ * @returns {ValueAliases} The saved aliases.
+ */
+export const loadValueAliases = () => loadJSON(ALIASES_KEY, {});
+
+/**
+ * @param {ValueAliases} aliases The aliases to remember.
+ */
+export const saveValueAliases = (aliases) => saveJSON(ALIASES_KEY, aliases);
+
+/**
+ * Replaces aliased values with their canonical value.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {ValueAliases} aliases The aliases.
+ * @returns {Array<Object>} New rows where a value changed, the original rows otherwise.
+ */
+export const applyValueAliases = (rows, aliases) => {
+    const active = Object.entries(aliases).filter(([, map]) => Object.keys(map).length > 0);
+    if (active.length === 0) return rows;
+    return rows.map(row => {
+        let changed = null;
+        active.forEach(([column, map]) => {
+            const value = row[column];
+            if (value !== undefined && Object.prototype.hasOwnProperty.call(map, value)) {
+                changed = changed || { ...row };
+                changed[column] = map[value];
+            }
+        });
+        return changed || row;
+    });
+};
+
+// Allowed edits grow with the length of the shorter value, so short codes like "SQL" and "MQL" stay apart.
+const maxEdits = (length) => (length <= 4 ? 0 : length <= 8 ? 1 : 2);
+
+// "mktg" in "marketing": same first letter, every letter in order. Short forms of long phrases
+// ("mql" in "marketingqualifiedlead") are left to the user, or every cluster would chain together.
+const isAbbreviation = (short, long) => {
+    if (short.length < 3 || short.length > 5 || short.length * 3 < long.length || short[0] !== long[0]) return false;
+    let i = 0;
+    for (const char of long) if (char === short[i]) i++;
+    return i === short.length;
+};
+
+const digits = (value) => value.replace(/\D/g, '');
+
+/**
+ * Decides whether two normalized values look like spellings of the same thing.
+ * Values with different numbers ("Tier 1", "Tier 2") never match.
+ * @param {string} a A normalized value.
+ * @param {string} b Another normalized value.
+ * @returns {boolean}
+ */
+export const looksAlike = (a, b) => {
+    if (a === b) return true;
+    if (digits(a) !== digits(b)) return false;
+    const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+    return levenshtein(a, b) <= maxEdits(short.length) || isAbbreviation(short, long);
+};
+
+/**
+ * @typedef {Object} ValueCluster
+ * @property {string} canonical The suggested canonical value: the most frequent spelling.
+ * @property {Array<{value: string, count: number}>} values Every spelling, most frequent first.
+ * @property {number} total Rows across all spellings.
+ */
+
+/**
+ * Suggests groups of values in a column that are probably the same value spelled differently.
+ * @param {Array<Object>} rows The dataset rows, with existing aliases already applied.
+ * @param {string} column The column to look at.
+ * @returns {Array<ValueCluster>} Clusters of two or more values, largest first.
+ */
+export const suggestValueClusters = (rows, column) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = row[column];
+        if (value !== undefined && value !== '') counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    const values = Array.from(counts.keys());
+    const normalized = values.map(normalizeLabel);
+
+    // Union-find over the distinct values.
+    const parent = values.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const fuzzy = values.length <= MAX_FUZZY_VALUES;
+    for (let i = 0; i < values.length; i++) {
+        for (let j = i + 1; j < values.length; j++) {
+            if (!normalized[i] || !normalized[j]) continue;
+            const same = fuzzy ? looksAlike(normalized[i], normalized[j]) : normalized[i] === normalized[j];
+            if (same) parent[find(i)] = find(j);
+        }
+    }
+
+    const groups = new Map();
+    values.forEach((value, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push({ value, count: counts.get(value) });
+    });
+    return Array.from(groups.values())
+        .filter(group => group.length > 1)
+        .map(group => {
+            const sorted = group.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+            return { canonical: sorted[0].value, values: sorted, total: sorted.reduce((sum, item) => sum + item.count, 0) };
+        })
+        .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Maps variants of a column to a canonical value. Aliases that pointed at one of the variants follow it.
+ * @param {ValueAliases} aliases The current aliases.
+ * @param {string} column The column.
+ * @param {string} canonical The value to keep.
+ * @param {Array<string>} variants The values to replace; the canonical value itself is ignored.
+ * @returns {ValueAliases} The updated aliases.
+ */
+export const mergeValues = (aliases, column, canonical, variants) => {
+    const map = { ...(aliases[column] || {}) };
+    const merged = new Set(variants.filter(value => value !== canonical));
+    Object.keys(map).forEach(variant => {
+        if (merged.has(map[variant])) map[variant] = canonical;
+    });
+    merged.forEach(variant => { map[variant] = canonical; });
+    delete map[canonical];
+    return { ...aliases, [column]: map };
+};
+
+/**
+ * Removes one alias.
+ * @param {ValueAliases} aliases The current aliases.
+ * @param {string} column The column.
+ * @param {string} variant The aliased value.
+ * @returns {ValueAliases} The updated aliases; columns left without aliases are dropped.
+ */
+export const removeAlias = (aliases, column, variant) => {
+    const map = { ...(aliases[column] || {}) };
+    delete map[variant];
+    const next = { ...aliases, [column]: map };
+    if (Object.keys(map).length === 0) delete next[column];
+    return next;
+};
+
+/**
+ * @param {ValueAliases} aliases The aliases.
+ * @returns {number} The number of aliased values across all columns.
+ */
+export const countAliases = (aliases) => Object.values(aliases).reduce((sum, map) => sum + Object.keys(map).length, 0);
@@ -0,0 +1,220 @@
+import { OTHER_BUCKET, valueLabel } from './pivot.js';
+
+// --- Chart Layouts ---
+// Pure geometry for the chart views. Components turn these into SVG; keeping
+// the maths here means the SVG elements only need plain attributes, which is
+// what makes the exported files look the same as the screen.
+
+export const PALETTE = ['#4f46e5', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#14b8a6', '#f97316', '#ec4899', '#84cc16', '#6366f1', '#64748b'];
+export const BLANK_COLOR = '#e5e7eb';
+export const FONT_FAMILY = 'Inter, system-ui, sans-serif';
+
+/**
+ * Picks a color for the i-th series.
+ * @param {number} index The series index.
+ * @returns {string} A hex color.
+ */
+export const seriesColor = (index) => PALETTE[index % PALETTE.length];
+
+/**
+ * Shortens a label to fit a given number of characters.
+ * @param {string} label The label.
+ * @param {number} max Maximum characters.
+ * @returns {string} The label, with an ellipsis when cut.
+ */
+export const truncate = (label, max) => (label.length > max ? `${label.slice(0, max - 1)}…` : label);
+
+/**
+ * Chooses round, whole-number axis ticks from 0 up to at least the maximum.
+ * @param {number} max The largest value on the axis.
+ * @param {number} [count] Roughly how many ticks to aim for.
+ * @returns {Array<number>} Tick values, starting at 0.
+ */
+export const niceTicks = (max, count = 5) => {
+    if (max <= 0) return [0];
+    const rough = max / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = Math.max(1, [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough));
+    const ticks = [];
+    for (let tick = 0; tick < max + step; tick += step) ticks.push(tick);
+    return ticks;
+};
+
+/**
+ * @typedef {Object} BarSegment
+ * @property {string} label The drill-down value, or "(no value)" for contacts without one.
+ * @property {number} count
+ * @property {number} share Share of the row total.
+ * @property {number} start Where the segment starts, in axis units.
+ * @property {number} size Segment length, in axis units.
+ * @property {string} color
+ */
+
+/**
+ * Splits every table row into bar segments, one per drill-down column.
+ * Contacts with a blank drill-down value form a final grey segment so bars add up to the row total.
+ * @param {Array<string>} tableHeaders The pivot headers.
+ * @param {Array<Object>} tableRows The pivot rows.
+ * @param {boolean} normalized Scale every bar to 100%.
+ * @returns {{bars: Array<{label: string, total: number, segments: Array<BarSegment>}>, max: number}} `max` is the axis length.
+ */
+export const stackBars = (tableHeaders, tableRows, normalized) => {
+    const valueHeaders = tableHeaders.slice(2);
+    const bars = tableRows.map(row => {
+        const counts = valueHeaders.map(header => row.breakdown[header] || 0);
+        const blank = row.total - counts.reduce((sum, count) => sum + count, 0);
+        const parts = [
+            ...valueHeaders.map((header, i) => ({ label: valueLabel(header), count: counts[i], color: seriesColor(i) })),
+            ...(blank > 0 ? [{ label: valueHeaders.length ? '(no value)' : 'Contacts', count: blank, color: valueHeaders.length ? BLANK_COLOR : seriesColor(0) }] : []),
+        ];
+        let start = 0;
+        const segments = parts.filter(part => part.count > 0).map(part => {
+            const share = row.total > 0 ? part.count / row.total : 0;
+            const size = normalized ? share * 100 : part.count;
+            const segment = { ...part, share, start, size };
+            start += size;
+            return segment;
+        });
+        return { label: String(valueLabel(row.primaryValue)), total: row.total, segments };
+    });
+    const max = normalized ? 100 : Math.max(0, ...bars.map(bar => bar.total));
+    return { bars, max };
+};
+
+/**
+ * Builds heatmap cells of drill-down shares.
+ * @param {Array<string>} tableHeaders The pivot headers.
+ * @param {Array<Object>} tableRows The pivot rows.
+ * @returns {{columns: Array<string>, rows: Array<{label: string, cells: Array<{count: number, share: number}>}>, maxShare: number}}
+ */
+export const heatmapCells = (tableHeaders, tableRows) => {
+    const columns = tableHeaders.slice(2);
+    const rows = tableRows.map(row => ({
+        label: String(valueLabel(row.primaryValue)),
+        cells: columns.map(header => {
+            const count = row.breakdown[header] || 0;
+            return { count, share: row.total > 0 ? count / row.total : 0 };
+        }),
+    }));
+    const maxShare = Math.max(0, ...rows.flatMap(row => row.cells.map(cell => cell.share)));
+    return { columns: columns.map(valueLabel), rows, maxShare };
+};
+
+/**
+ * Blends white into a color by the given intensity.
+ * @param {string} hex A "#rrggbb" color.
+ * @param {number} intensity 0 (white) to 1 (the color).
+ * @returns {string} An "rgb()" color.
+ */
+export const shade = (hex, intensity) => {
+    const channel = (offset) => parseInt(hex.slice(offset, offset + 2), 16);
+    const mix = (value) => Math.round(255 - (255 - value) * Math.min(1, Math.max(0, intensity)));
+    return `rgb(${mix(channel(1))}, ${mix(channel(3))}, ${mix(channel(5))})`;
+};
+
+// --- Sankey ---
+
+const SANKEY_MAX_NODES = 12;
+
+/**
+ * @typedef {Object} SankeyNode
+ * @property {string} id Level index and value.
+ * @property {number} level
+ * @property {string} label
+ * @property {number} value Contacts passing through the node.
+ * @property {number} x
+ * @property {number} y
+ * @property {number} height
+ * @property {string} color
+ */
+
+/**
+ * @typedef {Object} SankeyLink
+ * @property {SankeyNode} source
+ * @property {SankeyNode} target
+ * @property {number} value
+ * @property {number} sourceY Top of the band where it leaves the source.
+ * @property {number} targetY Top of the band where it enters the target.
+ * @property {number} width Band thickness.
+ */
+
+/**
+ * Lays out a Sankey diagram of contacts flowing through a sequence of columns.
+ * Only contacts with a value in every column are drawn, so each node's inflow equals its outflow.
+ * Past SANKEY_MAX_NODES values per column, the smallest are merged into "Other".
+ * @param {Array<Object>} rows The contacts.
+ * @param {Array<string>} levels Column names, left to right.
+ * @param {{width: number, height: number, nodeWidth: number, nodePadding: number}} size Drawing size.
+ * @returns {{nodes: Array<SankeyNode>, links: Array<SankeyLink>, included: number}}
+ */
+export const layoutSankey = (rows, levels, { width, height, nodeWidth, nodePadding }) => {
+    const complete = rows.filter(row => levels.every(level => row[level]));
+
+    // Fold rare values into "Other" per level.
+    const keepers = levels.map(level => {
+        const counts = new Map();
+        complete.forEach(row => counts.set(row[level], (counts.get(row[level]) || 0) + 1));
+        const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+        return ranked.length > SANKEY_MAX_NODES ? new Set(ranked.slice(0, SANKEY_MAX_NODES - 1).map(([value]) => value)) : null;
+    });
+    const valueAt = (row, i) => (keepers[i] && !keepers[i].has(row[levels[i]]) ? OTHER_BUCKET : row[levels[i]]);
+
+    const nodeMap = new Map();
+    const linkMap = new Map();
+    complete.forEach(row => {
+        const path = levels.map((_, i) => `${i}:${valueAt(row, i)}`);
+        path.forEach((id, i) => {
+            if (!nodeMap.has(id)) nodeMap.set(id, { id, level: i, label: valueLabel(valueAt(row, i)), value: 0 });
+            nodeMap.get(id).value++;
+        });
+        for (let i = 0; i < path.length - 1; i++) {
+            const key = `${path[i]}\u0000${path[i + 1]}`;
+            if (!linkMap.has(key)) linkMap.set(key, { source: nodeMap.get(path[i]), target: nodeMap.get(path[i + 1]), value: 0 });
+            linkMap.get(key).value++;
+        }
+    });
+
+    const columns = levels.map((_, i) => Array.from(nodeMap.values()).filter(node => node.level === i).sort((a, b) => b.value - a.value));
+    const mostNodes = Math.max(1, ...columns.map(column => column.length));
+    const scale = complete.length > 0 ? (height - nodePadding * (mostNodes - 1)) / complete.length : 0;
+    const step = levels.length > 1 ? (width - nodeWidth) / (levels.length - 1) : 0;
+
+    columns.forEach((column, i) => {
+        let y = 0;
+        column.forEach((node, j) => {
+            Object.assign(node, { x: i * step, y, height: node.value * scale, color: seriesColor(i === 0 ? j : j + i * 3) });
+            y += node.height + nodePadding;
+        });
+    });
+
+    const links = Array.from(linkMap.values());
+    const outOffset = new Map();
+    const inOffset = new Map();
+    [...links].sort((a, b) => a.source.y - b.source.y || a.target.y - b.target.y).forEach(link => {
+        const offset = outOffset.get(link.source.id) || 0;
+        link.sourceY = link.source.y + offset;
+        link.width = link.value * scale;
+        outOffset.set(link.source.id, offset + link.width);
+    });
+    [...links].sort((a, b) => a.target.y - b.target.y || a.source.y - b.source.y).forEach(link => {
+        const offset = inOffset.get(link.target.id) || 0;
+        link.targetY = link.target.y + offset;
+        inOffset.set(link.target.id, offset + link.width);
+    });
+
+    return { nodes: columns.flat(), links, included: complete.length };
+};
+
+/**
+ * SVG path for a Sankey band.
+ * @param {SankeyLink} link The laid-out link.
+ * @param {number} nodeWidth Node width, so bands start at the node's right edge.
+ * @returns {string} The path data.
+ */
+export const sankeyPath = (link, nodeWidth) => {
+    const x0 = link.source.x + nodeWidth;
+    const x1 = link.target.x;
+    const xm = (x0 + x1) / 2;
+    const { sourceY: y0, targetY: y1, width: w } = link;
+    return `M${x0},${y0} C${xm},${y0} ${xm},${y1} ${x1},${y1} L${x1},${y1 + w} C${xm},${y1 + w} ${xm},${y0 + w} ${x0},${y0 + w} Z`;
+};
@@ -0,0 +1,155 @@
+import { normalizeLabel, similarity } from './text.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- Canonical Fields ---
+// The analyzer works on these column names. Exports from other systems are
+// renamed onto them before aggregation.
+
+export const FIELDS = {
+    adGroup: 'Ad Group Name',
+    campaign: 'Ad Campaign Name',
+    icp: 'Company ICP Priority for Contacts',
+    lifecycle: 'Lifecycle Stage',
+    jobTitle: 'Job Title',
+    department: 'Department',
+};
+
+export const CANONICAL_FIELDS = [
+    { key: FIELDS.adGroup, aliases: ['Ad Group', 'Ad Set Name', 'Ad Set', 'Campaign Group', 'Creative Name'] },
+    { key: FIELDS.campaign, aliases: ['Campaign Name', 'Campaign', 'UTM Campaign', 'Original Source Drill-Down 2'] },
+    { key: FIELDS.icp, aliases: ['ICP Priority', 'ICP Tier', 'ICP', 'Account Tier', 'Company Priority'] },
+    { key: FIELDS.lifecycle, aliases: ['Lifecycle', 'Lead Status', 'Stage', 'Funnel Stage', 'Lead Stage'] },
+    { key: FIELDS.jobTitle, aliases: ['Title', 'Position', 'Job Function Title'] },
+    { key: FIELDS.department, aliases: ['Dept', 'Job Function', 'Function', 'Team'] },
+];
+
+export const REQUIRED_COLUMNS = CANONICAL_FIELDS.map(field => field.key);
+
+const SUGGESTION_THRESHOLD = 0.6;
+
+/**
+ * Lists the canonical columns a header row does not provide.
+ * @param {Array<string>} headers The parsed header names.
+ * @returns {Array<string>} The missing canonical column names.
+ */
+export const findMissingColumns = (headers) => REQUIRED_COLUMNS.filter(col => !headers.includes(col));
+
+/**
+ * Proposes a source header for every canonical field using exact, alias and fuzzy name matches.
+ * Each header is suggested for at most one field, best matches first.
+ * @param {Array<string>} headers The parsed header names.
+ * @param {Array<{key: string, aliases: Array<string>}>} [fields] The fields to map onto; the contact fields by default.
+ * @returns {Object<string, string>} Field key -> source header ('' when nothing fits).
+ */
+export const suggestMapping = (headers, fields = CANONICAL_FIELDS) => {
+    const candidates = [];
+    fields.forEach(({ key, aliases }) => {
+        headers.forEach(header => {
+            const score = Math.max(...[key, ...aliases].map(name => similarity(name, header)));
+            if (score >= SUGGESTION_THRESHOLD) candidates.push({ key, header, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const mapping = Object.fromEntries(fields.map(({ key }) => [key, '']));
+    const usedHeaders = new Set();
+    candidates.forEach(({ key, header }) => {
+        if (mapping[key] || usedHeaders.has(header)) return;
+        mapping[key] = header;
+        usedHeaders.add(header);
+    });
+    return mapping;
+};
+
+/**
+ * Copies mapped source columns onto their canonical names. Unmapped canonical
+ * fields are filled with '' so downstream code can rely on every key existing.
+ * Other columns are kept as they are.
+ * @param {Array<Object>} rows The parsed rows.
+ * @param {Object<string, string>} mapping Canonical field name -> source header.
+ * @returns {Array<Object>} New row objects using the canonical names.
+ */
+export const applyMapping = (rows, mapping) => rows.map(row => {
+    const entry = { ...row };
+    REQUIRED_COLUMNS.forEach(key => {
+        const source = mapping[key];
+        if (source && source !== key) {
+            entry[key] = row[source] ?? '';
+            if (!REQUIRED_COLUMNS.includes(source)) delete entry[source];
+        } else if (!(key in entry)) {
+            entry[key] = '';
+        }
+    });
+    return entry;
+});
+
+// --- Mapping Presets ---
+// Presets are stored per source system (e.g. "Salesforce") under a user-chosen name.
+
+const PRESETS_KEY = 'mapping-presets';
+
+/**
+ * @typedef {Object} MappingPreset
+ * @property {string} id
+ * @property {string} name
+ * @property {string} source The source system the preset was made for.
+ * @property {Object<string, string>} mapping Canonical field name -> source header.
+ * @property {number} lastUsed Epoch milliseconds.
+ */
+
+/**
+ * @returns {Array<MappingPreset>} The saved presets, most recently used first.
+ */
+export const loadPresets = () => loadJSON(PRESETS_KEY, []).sort((a, b) => b.lastUsed - a.lastUsed);
+
+/**
+ * Saves a preset, replacing any preset with the same source and name.
+ * @param {{name: string, source: string, mapping: Object<string, string>}} preset
+ * @returns {Array<MappingPreset>} The updated preset list.
+ */
+export const savePreset = ({ name, source, mapping }) => {
+    const id = `${normalizeLabel(source)}:${normalizeLabel(name)}`;
+    const others = loadPresets().filter(preset => preset.id !== id);
+    const presets = [{ id, name, source, mapping, lastUsed: Date.now() }, ...others];
+    saveJSON(PRESETS_KEY, presets);
+    return presets;
+};
+
+/**
+ * Deletes a preset.
+ * @param {string} id The preset id.
+ * @returns {Array<MappingPreset>} The updated preset list.
+ */
+export const deletePreset = (id) => {
+    const presets = loadPresets().filter(preset => preset.id !== id);
+    saveJSON(PRESETS_KEY, presets);
+    return presets;
+};
+
+/**
+ * Marks a preset as just used so it wins the next automatic match.
+ * @param {string} id The preset id.
+ */
+export const touchPreset = (id) => {
+    saveJSON(PRESETS_KEY, loadPresets().map(preset => (preset.id === id ? { ...preset, lastUsed: Date.now() } : preset)));
+};
+
+/**
+ * Finds the most recently used preset whose mapped headers all exist in the given headers.
+ * @param {Array<string>} headers The parsed header names.
+ * @returns {MappingPreset|null} The matching preset, if any.
+ */
+export const findMatchingPreset = (headers) => loadPresets().find(({ mapping }) =>
+    REQUIRED_COLUMNS.some(key => mapping[key]) &&
+    REQUIRED_COLUMNS.every(key => !mapping[key] || headers.includes(mapping[key]))
+) || null;
+
+/**
+ * Checks whether a preset maps every canonical column the headers lack, so it can be applied
+ * without asking. A preset saved with fields left unmapped would otherwise fill them with ''.
+ * @param {MappingPreset} preset The preset.
+ * @param {Array<string>} headers The parsed header names.
+ * @returns {boolean}
+ */
+export const presetCoversHeaders = ({ mapping }, headers) =>
+    findMissingColumns(headers).every(key => mapping[key] && headers.includes(mapping[key]));
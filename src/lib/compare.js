@@ -0,0 +1,143 @@
+import { buildPivot } from './pivot.js';
+
+// --- Snapshot Comparison ---
+// Two exports of the same report, e.g. last Monday's and this Monday's, are
+// pivoted the same way and lined up cell by cell. Every cell holds both counts,
+// the change in count and the change in mix: the cell's share of its row, or
+// for the total column the row's share of all contacts, in percentage points.
+
+/**
+ * @typedef {Object} ComparedCell
+ * @property {number} baseline Count in the baseline snapshot.
+ * @property {number} current Count in the current snapshot.
+ * @property {number} delta Current minus baseline.
+ * @property {number|null} baselineShare Share of the row (0–1); null when the row is empty in the baseline.
+ * @property {number|null} currentShare Share of the row (0–1); null when the row is empty now.
+ * @property {number|null} shareDelta Change in share in percentage points; null unless both shares exist.
+ */
+
+/**
+ * @typedef {Object} ComparedRow
+ * @property {string} primaryValue
+ * @property {'new'|'gone'|null} status Only in the current snapshot, only in the baseline, or in both.
+ * @property {ComparedCell} total
+ * @property {Object<string, ComparedCell>} cells Drill-down header -> cell.
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {Array<string>} tableHeaders Primary dimension, 'Total Contacts', then every drill-down value of either snapshot.
+ * @property {Array<ComparedRow>} tableRows Current rows in grouping order, then the rows that are gone.
+ * @property {Object<string, 'new'|'gone'>} columnStatus Drill-down values found in only one snapshot.
+ */
+
+const compareCell = (baseline, current, baselineTotal, currentTotal) => {
+    const baselineShare = baselineTotal > 0 ? baseline / baselineTotal : null;
+    const currentShare = currentTotal > 0 ? current / currentTotal : null;
+    return {
+        baseline,
+        current,
+        delta: current - baseline,
+        baselineShare,
+        currentShare,
+        shareDelta: baselineShare !== null && currentShare !== null ? (currentShare - baselineShare) * 100 : null,
+    };
+};
+
+const statusOf = (inBaseline, inCurrent) => {
+    if (inBaseline && inCurrent) return null;
+    return inCurrent ? 'new' : 'gone';
+};
+
+/**
+ * Pivots both snapshots and lines them up by primary value and drill-down value.
+ * @param {Array<Object>} baselineRows The earlier snapshot's rows, filtered like the current ones.
+ * @param {Array<Object>} currentRows The current rows.
+ * @param {Object} view
+ * @param {string} view.primaryDimension Column that defines the table rows.
+ * @param {string} view.drillDown 'none' or a column whose values become table columns.
+ * @returns {Comparison}
+ */
+export const compareSnapshots = (baselineRows, currentRows, { primaryDimension, drillDown }) => {
+    const view = { primaryDimension, drillDown, nestedLevels: [] };
+    const before = buildPivot(baselineRows, view);
+    const after = buildPivot(currentRows, view);
+    const beforeByValue = new Map(before.tableRows.map(row => [row.primaryValue, row]));
+    const afterByValue = new Map(after.tableRows.map(row => [row.primaryValue, row]));
+
+    const beforeHeaders = new Set(before.tableHeaders.slice(2));
+    const afterHeaders = new Set(after.tableHeaders.slice(2));
+    const valueHeaders = Array.from(new Set([...beforeHeaders, ...afterHeaders])).sort();
+    const columnStatus = {};
+    valueHeaders.forEach(header => {
+        const status = statusOf(beforeHeaders.has(header), afterHeaders.has(header));
+        if (status) columnStatus[header] = status;
+    });
+
+    const grandTotal = (pivot) => pivot.tableRows.reduce((sum, row) => sum + row.total, 0);
+    const beforeTotal = grandTotal(before);
+    const afterTotal = grandTotal(after);
+    const empty = { total: 0, breakdown: {} };
+
+    const values = [...afterByValue.keys(), ...Array.from(beforeByValue.keys()).filter(value => !afterByValue.has(value))];
+    const tableRows = values.map(value => {
+        const was = beforeByValue.get(value) || empty;
+        const is = afterByValue.get(value) || empty;
+        return {
+            primaryValue: value,
+            status: statusOf(beforeByValue.has(value), afterByValue.has(value)),
+            total: compareCell(was.total, is.total, beforeTotal, afterTotal),
+            cells: Object.fromEntries(valueHeaders.map(header => [
+                header,
+                compareCell(was.breakdown[header] || 0, is.breakdown[header] || 0, was.total, is.total),
+            ])),
+        };
+    });
+
+    return { tableHeaders: [primaryDimension, 'Total Contacts', ...valueHeaders], tableRows, columnStatus };
+};
+
+/**
+ * Sorts compared rows by one column. The first column sorts by name; the others by the size
+ * of the change, whichever its direction, so "descending" puts the largest changes first.
+ * @param {Array<string>} tableHeaders The comparison headers.
+ * @param {Array<ComparedRow>} tableRows The compared rows.
+ * @param {Object} sort
+ * @param {string|null} sort.column Header to sort by; null keeps the grouping order.
+ * @param {'count'|'percent'} sort.metric Change in count or change in mix.
+ * @param {'asc'|'desc'} sort.direction
+ * @returns {Array<ComparedRow>} A new, sorted row array.
+ */
+export const sortComparison = (tableHeaders, tableRows, { column, metric, direction }) => {
+    const headerIndex = tableHeaders.indexOf(column);
+    if (headerIndex === -1) return tableRows;
+    const sign = direction === 'asc' ? 1 : -1;
+    if (headerIndex === 0) return [...tableRows].sort((a, b) => sign * String(a.primaryValue).localeCompare(String(b.primaryValue)));
+
+    const change = (row) => {
+        const cell = headerIndex === 1 ? row.total : row.cells[column];
+        const value = metric === 'percent' ? cell.shareDelta : cell.delta;
+        return value === null ? null : Math.abs(value);
+    };
+    return [...tableRows].sort((a, b) => {
+        const x = change(a);
+        const y = change(b);
+        if (x === null || y === null) return (x === null) - (y === null);
+        return sign * (x - y);
+    });
+};
+
+/**
+ * Counts the rows and drill-down values found in only one snapshot.
+ * @param {Comparison} comparison The comparison.
+ * @returns {{newRows: number, goneRows: number, newColumns: number, goneColumns: number}}
+ */
+export const summarizeComparison = ({ tableRows, columnStatus }) => {
+    const statuses = Object.values(columnStatus);
+    return {
+        newRows: tableRows.filter(row => row.status === 'new').length,
+        goneRows: tableRows.filter(row => row.status === 'gone').length,
+        newColumns: statuses.filter(status => status === 'new').length,
+        goneColumns: statuses.filter(status => status === 'gone').length,
+    };
+};
@@ -0,0 +1,54 @@
+import { REQUIRED_COLUMNS } from './columnMapping.js';
+import { suggestDedupeKey } from './merge.js';
+
+// --- Contact Lists ---
+// Helpers for browsing the contacts behind a count: which columns to show,
+// searching, sorting and paging.
+
+export const CONTACTS_PAGE_SIZE = 25;
+
+/**
+ * Picks the columns a contact list starts with: the contact's key (usually email) and the mapped fields.
+ * @param {Array<string>} columns All dataset columns.
+ * @returns {Array<string>} The columns to show first, in dataset order.
+ */
+export const defaultContactColumns = (columns) => {
+    const key = suggestDedupeKey(columns);
+    const chosen = columns.filter(col => col === key || REQUIRED_COLUMNS.includes(col));
+    return chosen.length > 0 ? chosen : columns.slice(0, 6);
+};
+
+/**
+ * Keeps the contacts where any of the given columns contains every word of the query.
+ * @param {Array<Object>} rows The contacts.
+ * @param {Array<string>} columns The columns to search.
+ * @param {string} query Free text; case-insensitive.
+ * @returns {Array<Object>} The matching contacts.
+ */
+export const searchContacts = (rows, columns, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return rows;
+    return rows.filter(row => {
+        const haystack = columns.map(col => String(row[col] ?? '').toLowerCase()).join('\n');
+        return words.every(word => haystack.includes(word));
+    });
+};
+
+/**
+ * Sorts contacts by one column, comparing numbers numerically. Blank values sort last either way.
+ * @param {Array<Object>} rows The contacts.
+ * @param {string|null} column The column to sort by; null keeps the order.
+ * @param {'asc'|'desc'} direction
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export const sortContacts = (rows, column, direction) => {
+    if (!column) return rows;
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const x = a[column] ?? '';
+        const y = b[column] ?? '';
+        if (x === '' || y === '') return (x === '') - (y === '');
+        if (typeof x === 'number' && typeof y === 'number') return sign * (x - y);
+        return sign * String(x).localeCompare(String(y), undefined, { numeric: true });
+    });
+};
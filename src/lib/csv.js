@@ -0,0 +1,170 @@
+// --- CSV Tokenizer ---
+// RFC 4180 parser: quoted fields may contain delimiters, line breaks and
+// escaped quotes (""). Records that cannot be read unambiguously are reported
+// in `errors` with the line they start on and left out of `rows`.
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guesses the delimiter by counting candidates on the first line, ignoring quoted sections.
+ * @param {string} text The raw CSV string.
+ * @returns {string} The detected delimiter, `,` when nothing better is found.
+ */
+export const detectDelimiter = (text) => {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+            break;
+        } else if (!inQuotes && ch in counts) {
+            counts[ch]++;
+        }
+    }
+    return CANDIDATE_DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+/**
+ * Splits CSV text into records of raw field values.
+ * @param {string} text The raw CSV string, BOM already removed.
+ * @param {string} delimiter The field delimiter.
+ * @returns {{records: Array<{line: number, fields: Array<string>}>, errors: Array<{line: number, message: string}>}}
+ */
+const tokenize = (text, delimiter) => {
+    const records = [];
+    const errors = [];
+
+    let fields = [];
+    let field = '';
+    let quoted = false;      // current field started with a quote
+    let inQuotes = false;    // currently between an opening and closing quote
+    let recordError = null;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+    };
+
+    const endRecord = () => {
+        endField();
+        const isBlank = fields.length === 1 && fields[0] === '';
+        if (recordError) {
+            errors.push({ line: recordLine, message: recordError });
+        } else if (!isBlank) {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        recordError = null;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                field += '\n';
+                line++;
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === delimiter) {
+            endField();
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (ch === '"') {
+            if (!quoted && field.trim() === '') {
+                field = '';
+                quoted = true;
+                inQuotes = true;
+            } else if (!recordError) {
+                recordError = quoted
+                    ? `Unexpected quote after closing quote in field ${fields.length + 1}.`
+                    : `Unexpected quote inside unquoted field ${fields.length + 1}.`;
+            }
+        } else if (quoted) {
+            if (ch.trim() !== '' && !recordError) {
+                recordError = `Unexpected character after closing quote in field ${fields.length + 1}.`;
+            }
+        } else {
+            field += ch;
+        }
+    }
+
+    if (inQuotes) {
+        recordError = recordError || `Unterminated quoted field ${fields.length + 1}.`;
+    }
+    if (fields.length > 0 || field !== '' || quoted || recordError) endRecord();
+
+    return { records, errors };
+};
+
+/**
+ * Makes header names unique so no column silently overwrites another.
+ * @param {Array<string>} names The raw header names.
+ * @returns {Array<string>} The de-duplicated header names.
+ */
+export const uniqueHeaders = (names) => {
+    const seen = {};
+    return names.map((name, index) => {
+        const base = name || `Column ${index + 1}`;
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+    });
+};
+
+/**
+ * Parses a CSV string into an array of objects keyed by the header row.
+ * @param {string} csvText The raw CSV string.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] Forces a delimiter instead of auto-detecting `,`, `;` or tab.
+ * @returns {{headers: Array<string>, rows: Array<Object>, errors: Array<{line: number, message: string}>, delimiter: string}}
+ */
+export const parseCSV = (csvText, { delimiter } = {}) => {
+    if (!csvText) return { headers: [], rows: [], errors: [], delimiter: delimiter || ',' };
+
+    const text = csvText.charCodeAt(0) === 0xFEFF ? csvText.slice(1) : csvText;
+    const sep = delimiter || detectDelimiter(text);
+    const { records, errors } = tokenize(text, sep);
+
+    if (records.length === 0 || (errors.length > 0 && errors[0].line < records[0].line)) {
+        return { headers: [], rows: [], errors, delimiter: sep };
+    }
+
+    const [headerRecord, ...dataRecords] = records;
+    const headers = uniqueHeaders(headerRecord.fields);
+
+    const rows = [];
+    dataRecords.forEach(({ line, fields }) => {
+        if (fields.length !== headers.length) {
+            errors.push({ line, message: `Expected ${headers.length} fields but found ${fields.length}.` });
+            return;
+        }
+        const entry = {};
+        headers.forEach((key, index) => {
+            entry[key] = fields[index];
+        });
+        rows.push(entry);
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { headers, rows, errors, delimiter: sep };
+};
@@ -0,0 +1,104 @@
+import { BLANK_BUCKET } from './pivot.js';
+
+// --- Data Quality Report ---
+// Explains why the table's totals may not match the CRM: rows skipped while
+// parsing, rows the current view leaves out, blank and duplicated values.
+
+/**
+ * @param {*} value A cell value.
+ * @returns {boolean} Whether the value is missing or only whitespace.
+ */
+export const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Counts blank and distinct values per column.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Array<string>} columns The columns to profile.
+ * @returns {Array<{column: string, blank: number, blankRate: number, distinct: number}>} One entry per column, in column order.
+ */
+export const profileColumns = (rows, columns) => columns.map(column => {
+    const values = new Set();
+    let blank = 0;
+    rows.forEach(row => {
+        if (isBlank(row[column])) blank++;
+        else values.add(row[column]);
+    });
+    return { column, blank, blankRate: rows.length > 0 ? blank / rows.length : 0, distinct: values.size };
+});
+
+/**
+ * Finds rows that look like duplicates after the merge: rows identical on every column,
+ * and repeated values in a key column such as email.
+ * @param {Array<Object>} rows The merged rows.
+ * @param {Array<string>} columns The columns to compare; leave out columns that differ per file, like the source.
+ * @param {string} keyColumn A column expected to be unique, or '' to skip the key check.
+ * @returns {{identical: number, repeatedKeys: number, examples: Array<string>}} Counts of rows beyond the first
+ *     occurrence, and up to five repeated key values.
+ */
+export const findSuspectedDuplicates = (rows, columns, keyColumn) => {
+    const seenRows = new Set();
+    const keyCounts = new Map();
+    let identical = 0;
+    rows.forEach(row => {
+        const signature = JSON.stringify(columns.map(col => row[col] ?? ''));
+        if (seenRows.has(signature)) identical++;
+        else seenRows.add(signature);
+        if (keyColumn && !isBlank(row[keyColumn])) {
+            const key = String(row[keyColumn]).trim().toLowerCase();
+            keyCounts.set(key, (keyCounts.get(key) || 0) + 1);
+        }
+    });
+    const repeated = Array.from(keyCounts.entries()).filter(([, count]) => count > 1);
+    return {
+        identical,
+        repeatedKeys: repeated.reduce((sum, [, count]) => sum + count - 1, 0),
+        examples: repeated.sort((a, b) => b[1] - a[1]).slice(0, 5).map(([key]) => key),
+    };
+};
+
+/**
+ * @typedef {Object} Exclusion
+ * @property {number} count Rows affected.
+ * @property {string} reason What happens to them, in words.
+ * @property {boolean} dropped True when the rows are missing from the totals, false when only from the breakdown.
+ */
+
+/**
+ * Lists the rows the current view leaves out or cannot place, and why.
+ * @param {Object} view
+ * @param {number} view.totalCount Rows before filtering.
+ * @param {Array<Object>} view.rows Rows after filtering.
+ * @param {string} view.primaryDimension The grouping column.
+ * @param {Array<string>} view.breakdownColumns Columns the rows are broken down by (drill-down, nested levels or funnel split).
+ * @param {boolean} view.showBlanks Whether blanks are shown as a "(blank)" bucket instead.
+ * @returns {Array<Exclusion>} Only reasons that affect at least one row.
+ */
+export const describeExclusions = ({ totalCount, rows, primaryDimension, breakdownColumns, showBlanks }) => {
+    const exclusions = [];
+    if (totalCount > rows.length) {
+        exclusions.push({ count: totalCount - rows.length, reason: 'are removed by the active filters', dropped: true });
+    }
+    if (showBlanks) return exclusions;
+
+    const grouped = rows.filter(row => !isBlank(row[primaryDimension]));
+    if (grouped.length < rows.length) {
+        exclusions.push({ count: rows.length - grouped.length, reason: `have a blank ${primaryDimension} and appear in no row`, dropped: true });
+    }
+    breakdownColumns.filter(col => col !== primaryDimension).forEach(col => {
+        const blank = grouped.filter(row => isBlank(row[col])).length;
+        if (blank > 0) exclusions.push({ count: blank, reason: `have a blank ${col}: they count toward their row's total but appear under no ${col} value`, dropped: false });
+    });
+    return exclusions;
+};
+
+/**
+ * Replaces blanks in the given columns with the "(blank)" bucket so they are grouped like any other value.
+ * @param {Array<Object>} rows The rows.
+ * @param {Array<string>} columns The columns the view groups on.
+ * @returns {Array<Object>} New rows where a value was filled, the original rows otherwise.
+ */
+export const fillBlanks = (rows, columns) => rows.map(row => {
+    const blank = columns.filter(col => isBlank(row[col]));
+    if (blank.length === 0) return row;
+    return { ...row, ...Object.fromEntries(blank.map(col => [col, BLANK_BUCKET])) };
+});
@@ -0,0 +1,124 @@
+// --- Dataset Store ---
+// Loaded datasets are kept in IndexedDB so a page reload does not mean
+// uploading the same exports again. Like the settings in storage.js, nothing
+// leaves the browser. Summaries live in their own store so the recent list can
+// be shown without reading every saved row.
+
+const DB_NAME = 'campaign-analyzer';
+const DB_VERSION = 1;
+const DATASETS = 'datasets';
+const SUMMARIES = 'dataset-summaries';
+
+export const MAX_STORED_DATASETS = 10;
+
+/**
+ * @typedef {Object} StoredDataset
+ * @property {string} id
+ * @property {Array<Object>} sources The loaded sources, as held in App state.
+ * @property {Object|null} spend The ad spend file, if any.
+ * @property {string|null} dedupeKey
+ * @property {'first'|'last'} dedupeKeep
+ */
+
+/**
+ * @typedef {Object} DatasetSummary
+ * @property {string} id
+ * @property {string} name The file names.
+ * @property {number} rowCount Rows across all files.
+ * @property {number} fileCount
+ * @property {number} savedAt Timestamp of the last save.
+ */
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('This browser cannot store datasets.'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(DATASETS, { keyPath: 'id' });
+                req.result.createObjectStore(SUMMARIES, { keyPath: 'id' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // A failed open (e.g. private browsing) may succeed later.
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+// Runs `work` against both stores in one transaction and resolves when it commits.
+const transact = async (mode, work) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([DATASETS, SUMMARIES], mode);
+        let result;
+        Promise.resolve(work(tx.objectStore(DATASETS), tx.objectStore(SUMMARIES))).then(value => { result = value; }, reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('The dataset store was not updated.'));
+    });
+};
+
+/**
+ * Lists the stored datasets, most recently saved first.
+ * @returns {Promise<Array<DatasetSummary>>}
+ */
+export const listDatasets = () => transact('readonly', (_, summaries) => request(summaries.getAll()))
+    .then(list => list.sort((a, b) => b.savedAt - a.savedAt));
+
+/**
+ * Saves a dataset, replacing any earlier save with the same id. Only the newest
+ * MAX_STORED_DATASETS are kept.
+ * @param {StoredDataset} dataset The dataset.
+ * @returns {Promise<void>}
+ */
+export const saveDataset = async (dataset) => {
+    const summary = {
+        id: dataset.id,
+        name: dataset.sources.map(source => source.name).join(', '),
+        rowCount: dataset.sources.reduce((sum, source) => sum + source.rows.length, 0),
+        fileCount: dataset.sources.length,
+        savedAt: Date.now(),
+    };
+    await transact('readwrite', (datasets, summaries) => {
+        datasets.put(dataset);
+        summaries.put(summary);
+    });
+    const stale = (await listDatasets()).slice(MAX_STORED_DATASETS);
+    await Promise.all(stale.map(item => deleteDataset(item.id)));
+};
+
+/**
+ * @param {string} id The dataset id.
+ * @returns {Promise<StoredDataset|undefined>} The dataset, or undefined when it is no longer stored.
+ */
+export const loadDataset = (id) => transact('readonly', (datasets) => request(datasets.get(id)));
+
+/**
+ * @param {string} id The dataset id.
+ * @returns {Promise<void>}
+ */
+export const deleteDataset = (id) => transact('readwrite', (datasets, summaries) => {
+    datasets.delete(id);
+    summaries.delete(id);
+});
+
+/**
+ * Deletes every stored dataset.
+ * @returns {Promise<void>}
+ */
+export const clearDatasets = () => transact('readwrite', (datasets, summaries) => {
+    datasets.clear();
+    summaries.clear();
+});
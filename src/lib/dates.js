@@ -0,0 +1,187 @@
+// --- Date Parsing and Bucketing ---
+// Exports write dates in different layouts, and DD/MM vs MM/DD cannot be
+// told apart from a single value. Each date column is therefore parsed with
+// one format, either detected from its values or chosen by the user.
+// All dates are handled in UTC so buckets don't shift with the browser's timezone.
+
+const TIME_SUFFIX = '(?:[ T]\\d{1,2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?\\s*(?:[AaPp][Mm])?\\s*(?:Z|[+-]\\d{2}:?\\d{2})?)?';
+
+const makeParser = (pattern, order) => {
+    const regex = new RegExp(`^${pattern}${TIME_SUFFIX}$`);
+    return (value) => {
+        const match = regex.exec(value);
+        if (!match) return null;
+        const parts = { [order[0]]: Number(match[1]), [order[1]]: Number(match[2]), [order[2]]: Number(match[3]) };
+        const year = parts.y < 100 ? 2000 + parts.y : parts.y;
+        const date = new Date(Date.UTC(year, parts.m - 1, parts.d));
+        // Reject rollovers such as 31/02.
+        return date.getUTCMonth() === parts.m - 1 && date.getUTCDate() === parts.d ? date : null;
+    };
+};
+
+// Listed in the order auto-detection prefers them when several fit equally well.
+export const DATE_FORMATS = {
+    iso: { label: 'YYYY-MM-DD', parse: makeParser('(\\d{4})-(\\d{1,2})-(\\d{1,2})', 'ymd') },
+    mdy: { label: 'MM/DD/YYYY', parse: makeParser('(\\d{1,2})/(\\d{1,2})/(\\d{2}|\\d{4})', 'mdy') },
+    dmy: { label: 'DD/MM/YYYY', parse: makeParser('(\\d{1,2})/(\\d{1,2})/(\\d{2}|\\d{4})', 'dmy') },
+    dmyDot: { label: 'DD.MM.YYYY', parse: makeParser('(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2}|\\d{4})', 'dmy') },
+    ymdSlash: { label: 'YYYY/MM/DD', parse: makeParser('(\\d{4})/(\\d{1,2})/(\\d{1,2})', 'ymd') },
+};
+
+const DETECTION_SAMPLE = 500;
+const DETECTION_THRESHOLD = 0.8;
+
+/**
+ * Parses a date string with the given format.
+ * @param {string} value The raw value.
+ * @param {string} formatId A key of DATE_FORMATS.
+ * @returns {Date|null} The date at UTC midnight, or null if the value doesn't fit the format.
+ */
+export const parseDate = (value, formatId) => {
+    const format = DATE_FORMATS[formatId];
+    if (!value || !format) return null;
+    return format.parse(String(value).trim());
+};
+
+/**
+ * Finds columns whose values are mostly dates and the format that reads them best.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Array<string>} columns The column names.
+ * @returns {Object<string, string>} Column name -> format id, for date columns only.
+ */
+export const detectDateColumns = (rows, columns) => {
+    const step = Math.max(1, Math.floor(rows.length / DETECTION_SAMPLE));
+    const sample = rows.filter((_, index) => index % step === 0);
+    const detected = {};
+
+    columns.forEach(column => {
+        const values = sample.map(row => row[column]).filter(Boolean);
+        if (values.length === 0) return;
+        let best = null;
+        Object.keys(DATE_FORMATS).forEach(formatId => {
+            const parsed = values.filter(value => parseDate(value, formatId) !== null).length;
+            if (!best || parsed > best.parsed) best = { formatId, parsed };
+        });
+        if (best.parsed / values.length >= DETECTION_THRESHOLD) detected[column] = best.formatId;
+    });
+    return detected;
+};
+
+// --- Time Buckets ---
+
+export const GRANULARITIES = { day: 'Day', week: 'Week', month: 'Month' };
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDay = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * Returns the bucket a date falls into. Weeks start on Monday and are keyed by that day.
+ * @param {Date} date The date.
+ * @param {'day'|'week'|'month'} granularity The bucket size.
+ * @returns {string} A key that sorts chronologically as a string.
+ */
+export const bucketKey = (date, granularity) => {
+    if (granularity === 'month') return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+    if (granularity === 'week') {
+        const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * 86400000);
+        return isoDay(monday);
+    }
+    return isoDay(date);
+};
+
+/**
+ * Returns the bucket immediately before the given one.
+ * @param {string} key A bucket key.
+ * @param {'day'|'week'|'month'} granularity The bucket size.
+ * @returns {string} The previous bucket key.
+ */
+export const previousBucket = (key, granularity) => {
+    if (granularity === 'month') {
+        const [year, month] = key.split('-').map(Number);
+        return month === 1 ? `${year - 1}-12` : `${year}-${pad(month - 1)}`;
+    }
+    const date = new Date(`${key}T00:00:00Z`);
+    return isoDay(new Date(date.getTime() - (granularity === 'week' ? 7 : 1) * 86400000));
+};
+
+/**
+ * Formats a bucket key for display.
+ * @param {string} key A bucket key.
+ * @param {'day'|'week'|'month'} granularity The bucket size.
+ * @returns {string} The label.
+ */
+export const bucketLabel = (key, granularity) => (granularity === 'week' ? `Wk of ${key}` : key);
+
+/**
+ * Counts contacts per primary value and time bucket.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Object} options
+ * @param {string} options.dimension The grouping column.
+ * @param {string} options.dateColumn The date column.
+ * @param {string} options.formatId How to parse the date column.
+ * @param {'day'|'week'|'month'} options.granularity The bucket size.
+ * @returns {{buckets: Array<string>, rows: Array<{value: string, counts: Object<string, number>, total: number}>, totals: Object<string, number>, undated: number}}
+ */
+export const buildTrend = (rows, { dimension, dateColumn, formatId, granularity }) => {
+    const bucketSet = new Set();
+    const totals = {};
+    const byValue = new Map();
+    let undated = 0;
+
+    rows.forEach(row => {
+        const date = parseDate(row[dateColumn], formatId);
+        if (!date) {
+            undated++;
+            return;
+        }
+        const key = bucketKey(date, granularity);
+        bucketSet.add(key);
+        totals[key] = (totals[key] || 0) + 1;
+
+        const value = row[dimension];
+        if (!value) return;
+        if (!byValue.has(value)) byValue.set(value, { value, counts: {}, total: 0 });
+        const entry = byValue.get(value);
+        entry.counts[key] = (entry.counts[key] || 0) + 1;
+        entry.total++;
+    });
+
+    const buckets = Array.from(bucketSet).sort();
+    const trendRows = Array.from(byValue.values());
+    return { buckets, rows: trendRows, totals, undated };
+};
+
+/**
+ * Compares two buckets value by value.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Object} options
+ * @param {string} options.dimension The column whose values are compared.
+ * @param {string} options.dateColumn The date column.
+ * @param {string} options.formatId How to parse the date column.
+ * @param {'day'|'week'|'month'} options.granularity The bucket size.
+ * @param {string} options.current The current bucket key.
+ * @param {string} options.previous The bucket to compare against.
+ * @returns {Array<{value: string, previous: number, current: number, delta: number, change: number|null}>} Sorted by absolute delta, largest first.
+ */
+export const comparePeriods = (rows, { dimension, dateColumn, formatId, granularity, current, previous }) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = row[dimension];
+        if (!value) return;
+        const date = parseDate(row[dateColumn], formatId);
+        if (!date) return;
+        const key = bucketKey(date, granularity);
+        if (key !== current && key !== previous) return;
+        if (!counts.has(value)) counts.set(value, { previous: 0, current: 0 });
+        counts.get(value)[key === current ? 'current' : 'previous']++;
+    });
+    return Array.from(counts.entries())
+        .map(([value, { previous: before, current: now }]) => ({
+            value,
+            previous: before,
+            current: now,
+            delta: now - before,
+            change: before > 0 ? (now - before) / before : null,
+        }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+};
@@ -0,0 +1,47 @@
+import { FIELDS } from './columnMapping.js';
+import { SOURCE_COLUMN } from './merge.js';
+import { SENIORITY, JOB_FUNCTION } from './titles.js';
+import { CAMPAIGN_HIERARCHY } from './hierarchy.js';
+
+// --- Pivot Dimensions ---
+// Any column of the loaded data can be pivoted on. The canonical ones are
+// listed first so the usual views stay one click away.
+
+export const DEFAULT_PRIMARY_DIMENSIONS = [FIELDS.adGroup, FIELDS.campaign, CAMPAIGN_HIERARCHY, SOURCE_COLUMN];
+
+export const DEFAULT_DRILL_DOWNS = [
+    { column: FIELDS.icp, label: 'Company ICP Priority' },
+    { column: FIELDS.lifecycle, label: 'Lifecycle Stage' },
+    { column: FIELDS.jobTitle, label: 'Job Title' },
+    { column: SENIORITY, label: 'Seniority (from Job Title)' },
+    { column: JOB_FUNCTION, label: 'Job Function (from Job Title)' },
+    { column: FIELDS.department, label: 'Department' },
+];
+
+/**
+ * Counts the distinct non-blank values of each column.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Array<string>} columns The column names.
+ * @returns {Object<string, number>} Column name -> number of distinct values.
+ */
+export const countDistinctValues = (rows, columns) => {
+    const sets = Object.fromEntries(columns.map(col => [col, new Set()]));
+    rows.forEach(row => {
+        columns.forEach(col => {
+            const value = row[col];
+            if (value !== undefined && value !== '') sets[col].add(value);
+        });
+    });
+    return Object.fromEntries(columns.map(col => [col, sets[col].size]));
+};
+
+/**
+ * Splits the available columns into the canonical defaults and everything else.
+ * @param {Array<string>} defaults The default column names, in display order.
+ * @param {Array<string>} columns The columns present in the data.
+ * @returns {{common: Array<string>, other: Array<string>}} The present defaults and the remaining columns, sorted.
+ */
+export const groupColumns = (defaults, columns) => ({
+    common: defaults.filter(col => columns.includes(col)),
+    other: columns.filter(col => !defaults.includes(col)).sort((a, b) => a.localeCompare(b)),
+});
@@ -0,0 +1,259 @@
+import { FIELDS } from './columnMapping.js';
+import { valueLabel } from './pivot.js';
+
+// --- File Export ---
+// Turns what is on screen into files the user can take elsewhere.
+
+/**
+ * Saves a blob through a temporary download link.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The suggested file name.
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Makes a file name out of a title.
+ * @param {string} title E.g. "Ad Group Name by Lifecycle Stage".
+ * @returns {string} E.g. "ad-group-name-by-lifecycle-stage".
+ */
+export const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+
+/**
+ * Serializes an SVG element as a standalone document.
+ * @param {SVGSVGElement} svg The rendered chart.
+ * @returns {string} The SVG markup.
+ */
+export const serializeSvg = (svg) => {
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    const { width, height } = svg.viewBox.baseVal;
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+};
+
+/**
+ * Downloads a chart as an SVG file.
+ * @param {SVGSVGElement} svg The rendered chart.
+ * @param {string} fileName The file name without extension.
+ */
+export const exportSvg = (svg, fileName) => {
+    downloadBlob(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }), `${fileName}.svg`);
+};
+
+/**
+ * Downloads a chart as a PNG file on a white background.
+ * @param {SVGSVGElement} svg The rendered chart.
+ * @param {string} fileName The file name without extension.
+ * @param {number} [scale] Pixel density; 2 keeps text sharp on slides.
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+export const exportPng = (svg, fileName, scale = 2) => new Promise((resolve, reject) => {
+    const { width, height } = svg.viewBox.baseVal;
+    const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('The chart could not be converted to PNG.'));
+                return;
+            }
+            downloadBlob(blob, `${fileName}.png`);
+            resolve();
+        }, 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The chart could not be converted to PNG.'));
+    };
+    image.src = url;
+});
+
+// --- Table Export ---
+// Tables are built as plain matrices (header row first) and then written as CSV or XLSX.
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes a matrix as CSV text.
+ * @param {Array<Array<*>>} matrix Rows of cell values, header first.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+export const toCsv = (matrix) => matrix.map(row => row.map(csvField).join(',')).join('\r\n');
+
+/**
+ * Writes a matrix as tab-separated text, which spreadsheets split into cells on paste.
+ * @param {Array<Array<*>>} matrix Rows of cell values, header first.
+ * @returns {string} The text; tabs and line breaks inside cells become spaces.
+ */
+export const toTsv = (matrix) => matrix
+    .map(row => row.map(value => (value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' '))).join('\t'))
+    .join('\n');
+
+/**
+ * Downloads a matrix as a CSV or XLSX file.
+ * @param {Array<Array<*>>} matrix Rows of cell values, header first.
+ * @param {string} fileName The file name without extension.
+ * @param {'csv'|'xlsx'} format The file format.
+ * @param {string} [sheetName] Worksheet name for XLSX.
+ * @returns {Promise<void>}
+ */
+export const exportMatrix = async (matrix, fileName, format, sheetName = 'Export') => {
+    if (format === 'csv') {
+        // The BOM makes Excel read the file as UTF-8.
+        downloadBlob(new Blob(['\uFEFF', toCsv(matrix)], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+        return;
+    }
+    // Loaded on demand, like the workbook reader.
+    const { default: writeExcelFile } = await import('write-excel-file/browser');
+    const data = matrix.map((row, rowIndex) => row.map(value => {
+        if (value === null || value === undefined || value === '') return null;
+        return rowIndex === 0 ? { value: String(value), fontWeight: 'bold' } : { value };
+    }));
+    const blob = await writeExcelFile(data, { sheet: sheetName.slice(0, 31), stickyRowsCount: 1 }).toBlob();
+    downloadBlob(blob, `${fileName}.xlsx`);
+};
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+/**
+ * Builds the pivot table as a matrix, with a count and a percentage column per drill-down value.
+ * @param {Array<string>} tableHeaders The pivot headers.
+ * @param {Array<Object>} tableRows The pivot rows, as displayed.
+ * @param {Array<{key: string}>} [metricColumns] Computed columns such as cost and quality.
+ * @returns {Array<Array<*>>} The matrix.
+ */
+export const pivotMatrix = (tableHeaders, tableRows, metricColumns = []) => {
+    const valueHeaders = tableHeaders.slice(2);
+    return [
+        [tableHeaders[0], tableHeaders[1], ...valueHeaders.flatMap(header => [`${valueLabel(header)} (count)`, `${valueLabel(header)} (%)`]), ...metricColumns.map(({ key }) => key)],
+        ...tableRows.map(row => [
+            valueLabel(row.primaryValue),
+            row.total,
+            ...valueHeaders.flatMap(header => [row.breakdown[header] || 0, percentOf(row.breakdown[header] || 0, row.total)]),
+            ...metricColumns.map(({ key }) => row.metrics?.[key] ?? null),
+        ]),
+    ];
+};
+
+/**
+ * Builds the campaign hierarchy as a matrix: each campaign subtotal followed by all of its ad
+ * groups, whether or not they are expanded on screen. The campaign is repeated on ad group rows
+ * and the ad group cell is left empty on subtotals, so the sheet can be filtered either way.
+ * @param {Array<string>} tableHeaders The pivot headers.
+ * @param {Array<Object>} campaignRows Rows from groupByCampaign, as displayed.
+ * @param {Array<{key: string}>} [metricColumns] Computed columns such as cost and quality.
+ * @returns {Array<Array<*>>} The matrix.
+ */
+export const campaignMatrix = (tableHeaders, campaignRows, metricColumns = []) => {
+    const lines = campaignRows.flatMap(row => [
+        { campaign: valueLabel(row.primaryValue), adGroup: null, row },
+        ...(row.children || []).map(child => ({ campaign: row.primaryValue, adGroup: child.label, row: child })),
+    ]);
+    const [header, ...rows] = pivotMatrix(tableHeaders, lines.map(({ row }) => row), metricColumns);
+    return [
+        [FIELDS.campaign, FIELDS.adGroup, ...header.slice(1)],
+        ...rows.map(([, ...values], i) => [lines[i].campaign, lines[i].adGroup, ...values]),
+    ];
+};
+
+/**
+ * Builds a nested tree as a matrix with one row per node. Ancestor values are repeated on
+ * every row so the sheet can be filtered and pivoted again.
+ * @param {import('./pivot.js').TreeNode} root The tree root.
+ * @param {Array<string>} levels The tree's columns, outermost first.
+ * @returns {Array<Array<*>>} The matrix.
+ */
+export const treeMatrix = (root, levels) => {
+    const matrix = [[...levels, 'Contacts', '% of Parent', '% of Total']];
+    const walk = (parent) => parent.children.forEach(node => {
+        matrix.push([
+            ...levels.map((_, i) => node.path[i] ?? null),
+            node.count,
+            percentOf(node.count, parent.count),
+            percentOf(node.count, root.count),
+        ]);
+        walk(node);
+    });
+    walk(root);
+    return matrix;
+};
+
+/**
+ * Builds the lifecycle funnel as a matrix: contacts reaching each stage and the conversion from the stage before.
+ * @param {{overall: Object, rows: Array<Object>}} funnelData Output of buildFunnelRows.
+ * @param {Array<{label: string}>} stages The parsed stages.
+ * @param {string} primaryDimension The grouping column.
+ * @param {string|null} splitColumn The column each row is split by, if any.
+ * @returns {Array<Array<*>>} The matrix.
+ */
+export const funnelMatrix = ({ overall, rows }, stages, primaryDimension, splitColumn) => {
+    const line = (primaryValue, splitValue, funnel) => [
+        primaryValue,
+        ...(splitColumn ? [splitValue] : []),
+        funnel.total,
+        ...stages.flatMap((_, i) => [funnel.reached[i], i > 0 && funnel.conversions[i - 1] !== null ? Math.round(funnel.conversions[i - 1] * 1000) / 10 : null]),
+        funnel.unranked,
+    ];
+    return [
+        [primaryDimension, ...(splitColumn ? [splitColumn] : []), 'Total Contacts', ...stages.flatMap(stage => [`${stage.label} (count)`, `${stage.label} (% from previous)`]), 'Unranked'],
+        line('All contacts', null, overall),
+        ...rows.flatMap(row => [
+            line(row.primaryValue, null, row.funnel),
+            ...row.children.map(child => line(row.primaryValue, child.value, child.funnel)),
+        ]),
+    ];
+};
+
+/**
+ * Builds a snapshot comparison as a matrix: for the total and every drill-down value, the baseline
+ * and current counts, the change, and the change in mix in percentage points.
+ * @param {import('./compare.js').Comparison} comparison Output of compareSnapshots.
+ * @returns {Array<Array<*>>} The matrix.
+ */
+export const comparisonMatrix = ({ tableHeaders, tableRows }) => {
+    const valueHeaders = tableHeaders.slice(1);
+    const points = (value) => (value === null ? null : Math.round(value * 10) / 10);
+    return [
+        [tableHeaders[0], 'Status', ...valueHeaders.flatMap(header => [`${header} (baseline)`, `${header} (current)`, `${header} (change)`, `${header} (mix change, pp)`])],
+        ...tableRows.map(row => [
+            row.primaryValue,
+            row.status || '',
+            ...valueHeaders.flatMap((header, i) => {
+                const cell = i === 0 ? row.total : row.cells[header];
+                return [cell.baseline, cell.current, cell.delta, points(cell.shareDelta)];
+            }),
+        ]),
+    ];
+};
+
+/**
+ * Builds the contacts behind the current view as a matrix, in view order, with the group each belongs to first.
+ * @param {Array<{label: string, rows: Array<Object>}>} groups The view's groups.
+ * @param {Array<string>} columns The contact columns to write.
+ * @returns {Array<Array<*>>} The matrix.
+ */
+export const contactsMatrix = (groups, columns) => [
+    ['View Group', ...columns],
+    ...groups.flatMap(({ label, rows }) => rows.map(row => [label, ...columns.map(col => row[col] ?? '')])),
+];
@@ -0,0 +1,108 @@
+// --- Row Filters ---
+// Filters narrow the dataset before it is grouped. A row must pass every
+// active filter. Each filter either keeps (include) or drops (exclude) the
+// rows it matches.
+
+export const FILTER_TYPES = {
+    values: 'Is one of',
+    contains: 'Contains',
+    regex: 'Matches regex',
+};
+
+/**
+ * @typedef {Object} Filter
+ * @property {string} id
+ * @property {string} column
+ * @property {'values'|'contains'|'regex'} type
+ * @property {Array<string>} values Selected values, for the 'values' type.
+ * @property {string} pattern Search text or regular expression, for the text types.
+ * @property {boolean} exclude Drop matching rows instead of keeping them.
+ */
+
+let nextFilterId = 1;
+
+/**
+ * Creates an empty filter; it has no effect until values or a pattern are set.
+ * @param {string} column The column to filter on.
+ * @param {'values'|'contains'|'regex'} type The filter type.
+ * @returns {Filter} The new filter.
+ */
+export const createFilter = (column, type = 'values') => ({
+    id: `filter-${nextFilterId++}`,
+    column,
+    type,
+    values: [],
+    pattern: '',
+    exclude: false,
+});
+
+/**
+ * @param {Filter} filter The filter.
+ * @returns {boolean} Whether the filter restricts anything yet.
+ */
+export const isFilterActive = (filter) => (filter.type === 'values' ? filter.values.length > 0 : filter.pattern !== '');
+
+/**
+ * Turns the filters into a single row predicate. Filters with an invalid regex are skipped and reported.
+ * @param {Array<Filter>} filters The filters.
+ * @returns {{predicate: (row: Object) => boolean, errors: Object<string, string>}} The predicate and error messages by filter id.
+ */
+export const compileFilters = (filters) => {
+    const errors = {};
+    const tests = filters.filter(isFilterActive).map(filter => {
+        let matches;
+        if (filter.type === 'values') {
+            const selected = new Set(filter.values);
+            matches = (value) => selected.has(value);
+        } else if (filter.type === 'contains') {
+            const needle = filter.pattern.toLowerCase();
+            matches = (value) => value.toLowerCase().includes(needle);
+        } else {
+            try {
+                const regex = new RegExp(filter.pattern, 'i');
+                matches = (value) => regex.test(value);
+            } catch (err) {
+                errors[filter.id] = err.message;
+                return null;
+            }
+        }
+        return (row) => matches(String(row[filter.column] ?? '')) !== filter.exclude;
+    }).filter(Boolean);
+
+    return { predicate: (row) => tests.every(test => test(row)), errors };
+};
+
+/**
+ * Keeps the rows that pass every active filter.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Array<Filter>} filters The filters.
+ * @returns {{rows: Array<Object>, errors: Object<string, string>}} The remaining rows and any filter errors.
+ */
+export const applyFilters = (rows, filters) => {
+    const { predicate, errors } = compileFilters(filters);
+    return { rows: filters.some(isFilterActive) ? rows.filter(predicate) : rows, errors };
+};
+
+/**
+ * Describes a filter in a short sentence, e.g. `Department is not one of Sales, HR`.
+ * @param {Filter} filter The filter.
+ * @returns {string} The description.
+ */
+export const describeFilter = (filter) => {
+    if (filter.type === 'values') {
+        const shown = filter.values.slice(0, 3).join(', ');
+        const more = filter.values.length > 3 ? ` +${filter.values.length - 3} more` : '';
+        return `${filter.column} ${filter.exclude ? 'is not' : 'is'} one of ${shown}${more}`;
+    }
+    const verb = filter.type === 'contains'
+        ? (filter.exclude ? 'does not contain' : 'contains')
+        : (filter.exclude ? 'does not match' : 'matches');
+    return `${filter.column} ${verb} "${filter.pattern}"`;
+};
+
+/**
+ * Copies filters with fresh ids, e.g. when restoring a saved view, so they cannot clash with filters created since.
+ * @param {Array<Filter>} filters The filters.
+ * @returns {Array<Filter>} The copies.
+ */
+export const cloneFilters = (filters) => filters.map(filter => ({ ...filter, values: [...filter.values], id: `filter-${nextFilterId++}` }));
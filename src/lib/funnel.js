@@ -0,0 +1,162 @@
+import { FIELDS } from './columnMapping.js';
+import { groupBy } from './pivot.js';
+import { normalizeLabel } from './text.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- Lifecycle Funnel ---
+// Lifecycle stages are ordered, so a contact at a later stage has also passed
+// every earlier one. The funnel counts contacts at or beyond each stage and
+// the conversion rate between neighbouring stages.
+
+export const FUNNEL_DRILL_DOWN = 'funnel';
+
+// One stage per entry; alternative spellings of the same stage are separated by "|".
+export const DEFAULT_STAGE_ORDER = [
+    'Subscriber',
+    'Lead',
+    'MQL | Marketing Qualified Lead',
+    'SQL | Sales Qualified Lead',
+    'Opportunity',
+    'Customer',
+];
+
+const STAGE_ORDER_KEY = 'funnel-stage-order';
+
+/**
+ * @returns {Array<string>} The saved stage order, or the default one.
+ */
+export const loadStageOrder = () => loadJSON(STAGE_ORDER_KEY, DEFAULT_STAGE_ORDER);
+
+/**
+ * @param {Array<string>} order The stage order to remember.
+ */
+export const saveStageOrder = (order) => saveJSON(STAGE_ORDER_KEY, order);
+
+/**
+ * @typedef {Object} Stage
+ * @property {string} label The first spelling, used for display.
+ * @property {Set<string>} names Every spelling, normalized.
+ */
+
+/**
+ * Parses stage entries such as "MQL | Marketing Qualified Lead".
+ * @param {Array<string>} order The stage entries, earliest first.
+ * @returns {Array<Stage>} The stages; blank entries are dropped.
+ */
+export const parseStages = (order) => order
+    .map(entry => entry.split('|').map(name => name.trim()).filter(Boolean))
+    .filter(names => names.length > 0)
+    .map(names => ({ label: names[0], names: new Set(names.map(normalizeLabel)) }));
+
+/**
+ * Creates a lookup from a lifecycle value to its position in the stage order.
+ * @param {Array<Stage>} stages The parsed stages.
+ * @returns {(value: string) => number} Stage index, or -1 when the value matches no stage.
+ */
+export const createStageLookup = (stages) => {
+    const index = new Map();
+    stages.forEach((stage, i) => stage.names.forEach(name => index.set(name, i)));
+    return (value) => index.get(normalizeLabel(value)) ?? -1;
+};
+
+/**
+ * Lists lifecycle values in the data that match none of the configured stages.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Array<Stage>} stages The parsed stages.
+ * @returns {Array<string>} The unmatched, non-blank values.
+ */
+export const findUnrankedStages = (rows, stages) => {
+    const lookup = createStageLookup(stages);
+    const values = new Set(rows.map(row => row[FIELDS.lifecycle]).filter(value => value && lookup(value) === -1));
+    return Array.from(values).sort();
+};
+
+/**
+ * @typedef {Object} Funnel
+ * @property {number} total All contacts in the group.
+ * @property {number} unranked Contacts whose stage is blank or not in the stage order.
+ * @property {Array<number>} reached Contacts at or beyond each stage.
+ * @property {Array<number|null>} conversions Share of contacts reaching stage i + 1 out of those reaching stage i.
+ */
+
+/**
+ * Computes the cumulative funnel for a group of contacts.
+ * @param {Array<Object>} rows The contacts.
+ * @param {Array<Stage>} stages The parsed stages.
+ * @param {(value: string) => number} [lookup] A lookup from createStageLookup, to avoid rebuilding it.
+ * @returns {Funnel}
+ */
+export const computeFunnel = (rows, stages, lookup = createStageLookup(stages)) => {
+    const atStage = new Array(stages.length).fill(0);
+    let unranked = 0;
+    rows.forEach(row => {
+        const index = lookup(row[FIELDS.lifecycle]);
+        if (index === -1) unranked++;
+        else atStage[index]++;
+    });
+
+    const reached = new Array(stages.length).fill(0);
+    for (let i = stages.length - 1, running = 0; i >= 0; i--) {
+        running += atStage[i];
+        reached[i] = running;
+    }
+    const conversions = reached.slice(1).map((count, i) => (reached[i] > 0 ? count / reached[i] : null));
+    return { total: rows.length, unranked, reached, conversions };
+};
+
+/**
+ * Builds one funnel per primary value, optionally split by a second column (ICP priority by default).
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {string} primaryDimension The grouping column.
+ * @param {Array<Stage>} stages The parsed stages.
+ * @param {string|null} splitColumn Column to break every group down by, or null.
+ * @returns {{overall: Funnel, rows: Array<{primaryValue: string, rows: Array<Object>, funnel: Funnel, children: Array<{value: string, rows: Array<Object>, funnel: Funnel}>}>}}
+ *     `overall` also carries every row as `rows`.
+ */
+export const buildFunnelRows = (rows, primaryDimension, stages, splitColumn = FIELDS.icp) => {
+    const lookup = createStageLookup(stages);
+    const funnelRows = Array.from(groupBy(rows, primaryDimension).entries()).map(([primaryValue, contacts]) => ({
+        primaryValue,
+        rows: contacts,
+        funnel: computeFunnel(contacts, stages, lookup),
+        children: splitColumn
+            ? Array.from(groupBy(contacts, splitColumn).entries())
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([value, splitContacts]) => ({ value, rows: splitContacts, funnel: computeFunnel(splitContacts, stages, lookup) }))
+            : [],
+    }));
+    return { overall: { ...computeFunnel(rows, stages, lookup), rows }, rows: funnelRows };
+};
+
+/**
+ * Lists the contacts behind one funnel count.
+ * @param {Array<Object>} rows The group's contacts.
+ * @param {Array<Stage>} stages The parsed stages.
+ * @param {number|null} stageIndex Contacts at or beyond this stage; null for the unranked ones.
+ * @returns {Array<Object>} The matching contacts.
+ */
+export const funnelCellRows = (rows, stages, stageIndex) => {
+    const lookup = createStageLookup(stages);
+    if (stageIndex === null) return rows.filter(row => lookup(row[FIELDS.lifecycle]) === -1);
+    return rows.filter(row => lookup(row[FIELDS.lifecycle]) >= stageIndex);
+};
+
+/**
+ * Writes funnels as text lines for the insights prompt.
+ * @param {{overall: Funnel, rows: Array<Object>}} funnelData Output of buildFunnelRows.
+ * @param {Array<Stage>} stages The parsed stages.
+ * @returns {string} The text summary.
+ */
+export const summarizeFunnel = ({ overall, rows }, stages) => {
+    const describe = (funnel) => stages.map((stage, i) => {
+        const conversion = i > 0 && funnel.conversions[i - 1] !== null ? ` (${(funnel.conversions[i - 1] * 100).toFixed(1)}% from ${stages[i - 1].label})` : '';
+        return `${stage.label}: ${funnel.reached[i]}${conversion}`;
+    }).join(', ');
+    return [
+        `All contacts (Total: ${overall.total}): ${describe(overall)}`,
+        ...rows.flatMap(row => [
+            `${row.primaryValue} (Total: ${row.funnel.total}): ${describe(row.funnel)}`,
+            ...row.children.map(child => `  ${child.value} (Total: ${child.funnel.total}): ${describe(child.funnel)}`),
+        ]),
+    ].join('\n');
+};
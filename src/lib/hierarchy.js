@@ -0,0 +1,82 @@
+import { FIELDS } from './columnMapping.js';
+import { BLANK_BUCKET, pathKey } from './pivot.js';
+
+// --- Campaign Hierarchy ---
+// Ad groups belong to campaigns, and the same ad group name often turns up in
+// several campaigns. The hierarchy dimension keys every contact by campaign and
+// ad group together so those groups stay apart. In the pivot table the ad
+// groups are nested under collapsible campaign rows with subtotals; in nested
+// mode campaign and ad group become the first two tree levels.
+
+export const CAMPAIGN_HIERARCHY = 'Campaign → Ad Group';
+
+const SEPARATOR = ' › ';
+
+/**
+ * Builds the composite key of a campaign and one of its ad groups.
+ * @param {string} campaign The campaign name.
+ * @param {string} adGroup The ad group name.
+ * @returns {string} The key, e.g. "Brand › Retargeting", or '' when either name is blank.
+ */
+export const hierarchyKey = (campaign, adGroup) => (campaign && adGroup ? `${campaign}${SEPARATOR}${adGroup}` : '');
+
+/**
+ * Adds the composite campaign and ad group key to every row.
+ * @param {Array<Object>} rows The dataset rows.
+ * @returns {Array<Object>} New rows with the CAMPAIGN_HIERARCHY column.
+ */
+export const addHierarchyField = (rows) => rows.map(row => ({ ...row, [CAMPAIGN_HIERARCHY]: hierarchyKey(row[FIELDS.campaign], row[FIELDS.adGroup]) }));
+
+/**
+ * Replaces the hierarchy dimension in a list of tree levels with its two columns.
+ * @param {Array<string>} levels Column names, outermost first.
+ * @returns {Array<string>} The levels, each column listed once.
+ */
+export const expandHierarchyLevels = (levels) => Array.from(new Set(
+    levels.flatMap(level => (level === CAMPAIGN_HIERARCHY ? [FIELDS.campaign, FIELDS.adGroup] : [level]))
+));
+
+/**
+ * Nests ad group rows of the pivot table under one row per campaign, keeping their order.
+ * Campaign rows sum their ad groups and list them in `members`, so cost metrics can charge
+ * them the spend of every ad group. The "Other" and "(blank)" rows are not tied to one
+ * campaign and stay at the top level.
+ * @param {Array<Object>} tableRows Pivot rows keyed by CAMPAIGN_HIERARCHY.
+ * @returns {Array<Object>} Campaign rows with `children`, followed by the rows left at the top level.
+ */
+export const groupByCampaign = (tableRows) => {
+    const campaigns = new Map();
+    const loose = [];
+    tableRows.forEach(row => {
+        if (row.isOther || row.primaryValue === BLANK_BUCKET) {
+            loose.push(row);
+            return;
+        }
+        const campaign = row.rows[0][FIELDS.campaign];
+        if (!campaigns.has(campaign)) {
+            campaigns.set(campaign, { primaryValue: campaign, total: 0, breakdown: {}, rows: [], members: [], children: [] });
+        }
+        const parent = campaigns.get(campaign);
+        parent.total += row.total;
+        parent.rows.push(...row.rows);
+        parent.members.push(row.primaryValue);
+        parent.children.push({ ...row, label: row.rows[0][FIELDS.adGroup] });
+        Object.entries(row.breakdown).forEach(([header, count]) => {
+            parent.breakdown[header] = (parent.breakdown[header] || 0) + count;
+        });
+    });
+    return [...campaigns.values(), ...loose];
+};
+
+/**
+ * @param {Object} row A campaign row.
+ * @returns {string} The key under which the row's expanded state is kept.
+ */
+export const campaignKey = (row) => pathKey([row.primaryValue]);
+
+/**
+ * Collects the expand keys of every campaign row.
+ * @param {Array<Object>} campaignRows Rows from groupByCampaign.
+ * @returns {Set<string>} The keys, as used by the shared expanded-branches Set.
+ */
+export const allCampaignKeys = (campaignRows) => new Set(campaignRows.filter(row => row.children).map(campaignKey));
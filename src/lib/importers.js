@@ -0,0 +1,196 @@
+import { parseCSV, uniqueHeaders } from './csv.js';
+
+// --- File Importers ---
+// Every importer turns a file into one or more tables of the shape produced by
+// parseCSV, so the rest of the analyzer never needs to know the source format.
+// Workbooks yield one table per sheet; everything else yields a single table.
+
+/**
+ * @typedef {Object} ImportedTable
+ * @property {string} name Sheet name, or the file name for single-table formats.
+ * @property {Array<string>} headers
+ * @property {Array<Object>} rows Row objects keyed by header, all values as strings.
+ * @property {Array<{line: number, message: string}>} errors
+ */
+
+/**
+ * @typedef {Object} Importer
+ * @property {string} id
+ * @property {string} label Shown in the upload screen.
+ * @property {Array<string>} extensions Lower-case, including the dot.
+ * @property {Array<string>} [mimeTypes]
+ * @property {(file: File) => Promise<Array<ImportedTable>>} load
+ */
+
+/**
+ * Converts a cell value from a non-text source into the string form CSV rows use.
+ * @param {*} value The cell value.
+ * @returns {string} The string value.
+ */
+const cellToString = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        const iso = value.toISOString();
+        return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value).trim();
+};
+
+/**
+ * Builds a table from a matrix of cells whose first non-empty row is the header.
+ * @param {string} name The table name.
+ * @param {Array<Array<*>>} matrix The cell values, row by row.
+ * @returns {ImportedTable}
+ */
+const tableFromMatrix = (name, matrix) => {
+    const lines = matrix.map((cells, index) => ({ line: index + 1, cells: cells.map(cellToString) }));
+    const nonEmpty = lines.filter(({ cells }) => cells.some(cell => cell !== ''));
+    if (nonEmpty.length === 0) return { name, headers: [], rows: [], errors: [] };
+
+    const [headerLine, ...dataLines] = nonEmpty;
+    const lastHeader = headerLine.cells.reduce((last, cell, index) => (cell !== '' ? index : last), 0);
+    const headers = uniqueHeaders(headerLine.cells.slice(0, lastHeader + 1));
+
+    const errors = [];
+    const rows = [];
+    dataLines.forEach(({ line, cells }) => {
+        if (cells.slice(headers.length).some(cell => cell !== '')) {
+            errors.push({ line, message: `Row has values beyond the ${headers.length} header columns.` });
+            return;
+        }
+        rows.push(Object.fromEntries(headers.map((key, index) => [key, cells[index] ?? ''])));
+    });
+    return { name, headers, rows, errors };
+};
+
+/**
+ * Builds a table from a list of plain objects, using the union of their keys as headers.
+ * @param {string} name The table name.
+ * @param {Array<Object>} records The records.
+ * @returns {ImportedTable}
+ */
+const tableFromRecords = (name, records) => {
+    const headerSet = new Set();
+    const errors = [];
+    const valid = [];
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ line: index + 1, message: 'Record is not an object.' });
+            return;
+        }
+        Object.keys(record).forEach(key => headerSet.add(key));
+        valid.push(record);
+    });
+    const headers = Array.from(headerSet);
+    const rows = valid.map(record => Object.fromEntries(headers.map(key => [key, cellToString(record[key])])));
+    return { name, headers, rows, errors };
+};
+
+const csvImporter = {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv', '.txt'],
+    mimeTypes: ['text/csv', 'text/plain'],
+    load: async (file) => [{ name: file.name, ...parseCSV(await file.text()) }],
+};
+
+const tsvImporter = {
+    id: 'tsv',
+    label: 'TSV',
+    extensions: ['.tsv', '.tab'],
+    mimeTypes: ['text/tab-separated-values'],
+    load: async (file) => [{ name: file.name, ...parseCSV(await file.text(), { delimiter: '\t' }) }],
+};
+
+const jsonImporter = {
+    id: 'json',
+    label: 'JSON',
+    extensions: ['.json', '.ndjson', '.jsonl'],
+    mimeTypes: ['application/json', 'application/x-ndjson'],
+    load: async (file) => {
+        const text = (await file.text()).replace(/^\uFEFF/, '').trim();
+        let records;
+        if (/\.(ndjson|jsonl)$/i.test(file.name)) {
+            records = [];
+            const errors = [];
+            text.split(/\r\n|\r|\n/).forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    records.push(JSON.parse(line));
+                } catch (err) {
+                    errors.push({ line: index + 1, message: `Invalid JSON: ${err.message}` });
+                }
+            });
+            const table = tableFromRecords(file.name, records);
+            return [{ ...table, errors: [...errors, ...table.errors].sort((a, b) => a.line - b.line) }];
+        }
+
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) {
+            records = parsed;
+        } else {
+            // Warehouse exports often wrap the rows, e.g. { "data": [...] }.
+            records = Object.values(parsed || {}).find(Array.isArray);
+            if (!records) throw new Error('JSON file must contain an array of records.');
+        }
+        return [tableFromRecords(file.name, records)];
+    },
+};
+
+const xlsxImporter = {
+    id: 'xlsx',
+    label: 'Excel',
+    extensions: ['.xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    load: async (file) => {
+        // Loaded on demand so CSV-only users don't download the workbook reader.
+        const { default: readExcelFile } = await import('read-excel-file/browser');
+        const sheets = await readExcelFile(file);
+        return sheets.map(({ sheet, data }) => tableFromMatrix(sheet, data));
+    },
+};
+
+const importers = [csvImporter, tsvImporter, jsonImporter, xlsxImporter];
+
+/**
+ * Adds an importer. Later registrations win when extensions overlap.
+ * @param {Importer} importer The importer to add.
+ */
+export const registerImporter = (importer) => {
+    importers.unshift(importer);
+};
+
+/**
+ * @returns {Array<Importer>} The registered importers.
+ */
+export const getImporters = () => [...importers];
+
+/**
+ * @returns {string} A value for the file input's `accept` attribute.
+ */
+export const acceptedExtensions = () => Array.from(new Set(importers.flatMap(importer => importer.extensions))).join(',');
+
+/**
+ * Picks the importer for a file by extension, then by MIME type. Unknown files are read as CSV.
+ * @param {File} file The selected file.
+ * @returns {Importer} The matching importer.
+ */
+export const findImporter = (file) => {
+    const name = file.name.toLowerCase();
+    return importers.find(importer => importer.extensions.some(ext => name.endsWith(ext)))
+        || importers.find(importer => (importer.mimeTypes || []).includes(file.type))
+        || csvImporter;
+};
+
+/**
+ * Reads a file with the matching importer.
+ * @param {File} file The selected file.
+ * @returns {Promise<Array<ImportedTable>>} The tables found in the file; sheets without data are left out.
+ */
+export const importFile = async (file) => {
+    const importer = findImporter(file);
+    const tables = await importer.load(file);
+    const withData = tables.filter(table => table.rows.length > 0);
+    return withData.length > 0 ? withData : tables.slice(0, 1);
+};
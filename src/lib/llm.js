@@ -0,0 +1,313 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- LLM Providers ---
+// Generate Insights sends its prompt to whichever provider is selected. Each
+// provider knows how to call one kind of endpoint and streams the reply back
+// piece by piece; its model, base URL, API key, temperature and timeout are
+// kept per provider in localStorage. Keys never leave the browser except in
+// requests to the provider's own base URL.
+
+const SETTINGS_KEY = 'llm-settings';
+
+/**
+ * @typedef {Object} ProviderSettings
+ * @property {string} model
+ * @property {string} baseUrl Without a trailing slash.
+ * @property {string} apiKey '' when the provider needs none.
+ * @property {number} temperature
+ * @property {number} timeoutSeconds How long to wait for the next piece of the reply.
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} id
+ * @property {string} label Shown in the settings.
+ * @property {string} [description] One line on when to use it.
+ * @property {boolean} needsKey Whether requests fail without an API key.
+ * @property {ProviderSettings} defaults
+ * @property {(prompt: string, settings: ProviderSettings, signal: AbortSignal, onDelta: (text: string) => void) => Promise<string|void>} generate
+ *   Calls onDelta with each piece of the reply as it arrives. A provider that cannot stream may
+ *   instead resolve with the whole reply.
+ */
+
+/**
+ * @typedef {Object} LlmSettings
+ * @property {string} providerId The selected provider.
+ * @property {Object<string, ProviderSettings>} providers Settings by provider id.
+ */
+
+// Reads the error message an API put in its response body, if any.
+const readError = async (response) => {
+    try {
+        const body = await response.json();
+        const message = body.error?.message ?? body.error ?? body.message;
+        return typeof message === 'string' ? message : '';
+    } catch {
+        return '';
+    }
+};
+
+const post = async (url, headers, body, signal) => {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal,
+        });
+    } catch (err) {
+        if (signal.aborted) throw err;
+        // Browsers report refused connections and CORS rejections alike, without details.
+        throw new Error(`Could not reach ${new URL(url).origin}. Check the base URL and that the server allows requests from this page.`);
+    }
+    if (!response.ok) {
+        const message = await readError(response);
+        throw new Error(`The request failed with status ${response.status}${message ? `: ${message}` : '.'}`);
+    }
+    return response;
+};
+
+// Calls onLine with every line of a streamed response body as soon as the line is complete.
+const readLines = async (response, onLine) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            lines.forEach(line => onLine(line.replace(/\r$/, '')));
+            if (done) return;
+        }
+    } catch (err) {
+        reader.cancel().catch(() => {});
+        throw err;
+    }
+};
+
+// Server-sent events: each "data:" line carries one JSON payload.
+const readEvents = (response, onPayload) => readLines(response, (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data && data !== '[DONE]') onPayload(JSON.parse(data));
+});
+
+// Errors reported inside a stream, after the response status was already 200.
+const throwStreamError = (payload) => {
+    const message = payload.error?.message ?? payload.error;
+    if (message) throw new Error(`The model reported an error: ${message}`);
+};
+
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    needsKey: true,
+    defaults: { model: 'gemini-2.0-flash', baseUrl: 'https://generativelanguage.googleapis.com/v1beta', apiKey: '', temperature: 0.4, timeoutSeconds: 60 },
+    generate: async (prompt, { model, baseUrl, apiKey, temperature }, signal, onDelta) => {
+        const response = await post(
+            `${baseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`,
+            { 'x-goog-api-key': apiKey },
+            { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig: { temperature } },
+            signal
+        );
+        await readEvents(response, (payload) => {
+            throwStreamError(payload);
+            const parts = payload.candidates?.[0]?.content?.parts || [];
+            onDelta(parts.map(part => part.text || '').join(''));
+        });
+    },
+};
+
+const openAiProvider = {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    description: 'Any endpoint that implements /chat/completions, e.g. OpenAI, Azure OpenAI, OpenRouter, LM Studio or vLLM.',
+    needsKey: false,
+    defaults: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1', apiKey: '', temperature: 0.4, timeoutSeconds: 60 },
+    generate: async (prompt, { model, baseUrl, apiKey, temperature }, signal, onDelta) => {
+        const response = await post(
+            `${baseUrl}/chat/completions`,
+            apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            { model, temperature, stream: true, messages: [{ role: 'user', content: prompt }] },
+            signal
+        );
+        await readEvents(response, (payload) => {
+            throwStreamError(payload);
+            onDelta(payload.choices?.[0]?.delta?.content || '');
+        });
+    },
+};
+
+const ollamaProvider = {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    description: 'A model server on this machine. Start Ollama with OLLAMA_ORIGINS set to this page\'s origin.',
+    needsKey: false,
+    defaults: { model: 'llama3.1', baseUrl: 'http://localhost:11434', apiKey: '', temperature: 0.4, timeoutSeconds: 180 },
+    generate: async (prompt, { model, baseUrl, apiKey, temperature }, signal, onDelta) => {
+        const response = await post(
+            `${baseUrl}/api/chat`,
+            apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            { model, stream: true, options: { temperature }, messages: [{ role: 'user', content: prompt }] },
+            signal
+        );
+        // Ollama streams one JSON object per line rather than server-sent events.
+        await readLines(response, (line) => {
+            if (!line.trim()) return;
+            const payload = JSON.parse(line);
+            throwStreamError(payload);
+            onDelta(payload.message?.content || '');
+        });
+    },
+};
+
+const MOCK_RESPONSES = [
+    `**Mock insights: canned response, no model was called.**
+
+1. The largest groups hold most of the Tier 1 contacts, so their budgets are working.
+2. Groups with a high share of early lifecycle stages may need better nurturing.
+3. Recommendation: shift spend toward the groups with the best Tier 1 share and review the smallest ones.`,
+    `**Mock insights: canned response, no model was called.**
+
+- Contacts are concentrated in a few groups; the long tail adds little.
+- Job titles skew toward individual contributors in several groups.
+- Recommendation: tighten targeting on seniority and compare next week's export against this one.`,
+];
+
+const MOCK_WORD_DELAY_MS = 40;
+
+const mockProvider = {
+    id: 'mock',
+    label: 'Mock (offline)',
+    description: 'Streams a canned response word by word, for trying the flow without a model.',
+    needsKey: false,
+    defaults: { model: 'canned', baseUrl: '', apiKey: '', temperature: 0, timeoutSeconds: 10 },
+    generate: (prompt, settings, signal, onDelta) => new Promise((resolve, reject) => {
+        const words = MOCK_RESPONSES[prompt.length % MOCK_RESPONSES.length].split(/(?<=\s)/);
+        let timer;
+        const next = (index) => {
+            if (index === words.length) return resolve();
+            onDelta(words[index]);
+            timer = setTimeout(() => next(index + 1), MOCK_WORD_DELAY_MS);
+        };
+        timer = setTimeout(() => next(0), 400);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        });
+    }),
+};
+
+const providers = [geminiProvider, openAiProvider, ollamaProvider, mockProvider];
+
+/**
+ * Adds a provider, or replaces the one with the same id.
+ * @param {LlmProvider} provider The provider to add.
+ */
+export const registerLlmProvider = (provider) => {
+    const index = providers.findIndex(p => p.id === provider.id);
+    if (index === -1) providers.push(provider);
+    else providers[index] = provider;
+};
+
+/**
+ * @returns {Array<LlmProvider>} The registered providers.
+ */
+export const getLlmProviders = () => [...providers];
+
+/**
+ * @param {string} id The provider id.
+ * @returns {LlmProvider|undefined} The provider.
+ */
+export const findLlmProvider = (id) => providers.find(provider => provider.id === id);
+
+/**
+ * Reads the stored settings. Providers without stored settings get their defaults.
+ * @returns {LlmSettings}
+ */
+export const loadLlmSettings = () => {
+    const stored = loadJSON(SETTINGS_KEY, {});
+    const storedProviders = stored.providers || {};
+    return {
+        providerId: findLlmProvider(stored.providerId) ? stored.providerId : providers[0].id,
+        providers: Object.fromEntries(providers.map(provider => [provider.id, { ...provider.defaults, ...storedProviders[provider.id] }])),
+    };
+};
+
+/**
+ * @param {LlmSettings} settings The settings now in use.
+ */
+export const saveLlmSettings = (settings) => saveJSON(SETTINGS_KEY, settings);
+
+/**
+ * Checks the selected provider's settings before a request is made.
+ * @param {LlmSettings} settings The settings.
+ * @returns {string|null} What to fix, or null when the settings are usable.
+ */
+export const validateLlmSettings = ({ providerId, providers: byId }) => {
+    const provider = findLlmProvider(providerId);
+    if (!provider) return `Unknown provider "${providerId}".`;
+    if (provider.id === mockProvider.id) return null;
+    const { model, baseUrl, apiKey, temperature, timeoutSeconds } = byId[providerId];
+    if (!model.trim()) return `Enter a model for ${provider.label}.`;
+    if (!/^https?:\/\/\S+$/.test(baseUrl)) return `Enter an http(s) base URL for ${provider.label}.`;
+    if (provider.needsKey && !apiKey.trim()) return `Enter an API key for ${provider.label} in the insights settings.`;
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) return 'Temperature must be between 0 and 2.';
+    if (!Number.isFinite(timeoutSeconds) || timeoutSeconds <= 0) return 'Timeout must be a positive number of seconds.';
+    return null;
+};
+
+/**
+ * Sends a prompt to the selected provider and streams its reply. The timeout restarts
+ * with every piece that arrives, so long replies are not cut off while still coming in.
+ * @param {LlmSettings} settings The settings.
+ * @param {string} prompt The prompt.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Cancels the request; the promise then rejects with the signal's reason.
+ * @param {(text: string) => void} [options.onText] Called with the reply so far whenever it grows.
+ * @returns {Promise<string>} The whole reply.
+ */
+export const generateText = async (settings, prompt, { signal, onText } = {}) => {
+    const problem = validateLlmSettings(settings);
+    if (problem) throw new Error(problem);
+    signal?.throwIfAborted();
+
+    const provider = findLlmProvider(settings.providerId);
+    const providerSettings = { ...settings.providers[provider.id] };
+    providerSettings.baseUrl = providerSettings.baseUrl.replace(/\/+$/, '');
+
+    const controller = new AbortController();
+    const cancel = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', cancel);
+    let timer;
+    const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(
+            () => controller.abort(new Error(`${provider.label} sent nothing for ${providerSettings.timeoutSeconds} seconds.`)),
+            providerSettings.timeoutSeconds * 1000
+        );
+    };
+
+    let text = '';
+    const onDelta = (delta) => {
+        restartTimer();
+        if (!delta) return;
+        text += delta;
+        onText?.(text);
+    };
+    restartTimer();
+    try {
+        const whole = await provider.generate(prompt, providerSettings, controller.signal, onDelta);
+        if (!text && typeof whole === 'string') onDelta(whole);
+        if (!text.trim()) throw new Error(`${provider.label} returned no text.`);
+        return text;
+    } catch (err) {
+        throw controller.signal.aborted ? controller.signal.reason : err;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+    }
+};
@@ -0,0 +1,328 @@
+// --- Markdown ---
+// Model replies are Markdown. They are parsed into plain objects that the
+// Markdown component turns into React elements, so nothing in a reply is ever
+// interpreted as HTML: tags show up as text, and links keep only http(s) and
+// mailto URLs. Covers what models write: headings, paragraphs, emphasis, code,
+// lists, block quotes, rules and pipe tables. Parsing is forgiving, because a
+// reply is re-parsed on every streamed chunk and is usually cut off mid-line.
+
+/**
+ * @typedef {Object} MdInline
+ * @property {'text'|'strong'|'em'|'del'|'code'|'link'|'break'} type
+ * @property {string} [text] For text and code.
+ * @property {string} [href] For links; always http(s) or mailto.
+ * @property {Array<MdInline>} [children] For strong, em, del and links.
+ */
+
+/**
+ * @typedef {Object} MdBlock
+ * @property {'heading'|'paragraph'|'list'|'code'|'quote'|'table'|'rule'} type
+ * @property {number} [level] Heading level, 1–6.
+ * @property {Array<MdInline>} [content] Heading and paragraph text.
+ * @property {boolean} [ordered] For lists.
+ * @property {number} [start] First number of an ordered list.
+ * @property {Array<Array<MdBlock>>} [items] Each list item's blocks.
+ * @property {string} [text] Code block text.
+ * @property {string} [language] Code block language, '' when not given.
+ * @property {Array<MdBlock>} [children] Block quote contents.
+ * @property {Array<'left'|'center'|'right'|null>} [align] Table column alignment.
+ * @property {Array<Array<MdInline>>} [header] Table header cells.
+ * @property {Array<Array<Array<MdInline>>>} [rows] Table body cells, padded to the header's width.
+ */
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING = /^\s{0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const SAFE_URL = /^(?:https?:\/\/|mailto:)/i;
+const ESCAPABLE = '\\`*_{}[]()#+-.!|>~<';
+
+const isBlank = (line) => line.trim() === '';
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+const isTableStart = (lines, i) => lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIMITER.test(lines[i + 1]);
+
+// Lines that end a paragraph without a blank line in between.
+const startsBlock = (lines, i) => {
+    const line = lines[i];
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i);
+};
+
+/**
+ * Checks a link target.
+ * @param {string} url The URL as written.
+ * @returns {string|null} The URL when it is http(s) or mailto, otherwise null.
+ */
+export const safeHref = (url) => {
+    const trimmed = url.trim();
+    return SAFE_URL.test(trimmed) ? trimmed : null;
+};
+
+// Finds the closing delimiter of an emphasis run opened at `from`, or -1.
+const findCloser = (text, delimiter, from) => {
+    const char = delimiter[0];
+    let at = text.indexOf(delimiter, from);
+    while (at !== -1) {
+        const fits = !/\s/.test(text[at - 1])
+            && text[at + delimiter.length] !== char
+            && text[at - 1] !== char
+            && (char !== '_' || !/\w/.test(text[at + delimiter.length] || ''));
+        if (fits) return at;
+        at = text.indexOf(delimiter, at + 1);
+    }
+    return -1;
+};
+
+/**
+ * Parses the text of one block: emphasis, code spans, links and line breaks.
+ * A single newline becomes a line break, as models mean it to.
+ * @param {string} text The text.
+ * @returns {Array<MdInline>}
+ */
+export const parseInline = (text) => {
+    const nodes = [];
+    let buffer = '';
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', text: buffer });
+        buffer = '';
+    };
+    const push = (node) => {
+        flush();
+        nodes.push(node);
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+        if (char === '\n') {
+            buffer = buffer.replace(/[ \t]+$/, '');
+            push({ type: 'break' });
+            i += 1;
+            continue;
+        }
+        if (char === '`') {
+            const ticks = text.slice(i).match(/^`+/)[0];
+            let close = text.indexOf(ticks, i + ticks.length);
+            while (close !== -1 && text[close + ticks.length] === '`') close = text.indexOf(ticks, close + ticks.length + 1);
+            if (close !== -1) {
+                const code = text.slice(i + ticks.length, close).replace(/\n/g, ' ');
+                push({ type: 'code', text: /^ .*[^ ].* $/.test(code) ? code.slice(1, -1) : code });
+                i = close + ticks.length;
+                continue;
+            }
+            buffer += ticks;
+            i += ticks.length;
+            continue;
+        }
+        if (char === '!' || char === '[') {
+            // Images are not loaded; their alt text stands in for them.
+            const link = text.slice(i).match(/^(!?)\[((?:\\.|[^\\[\]]|\[[^\]]*\])*)\]\(\s*<?([^()\s<>]*)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/);
+            if (link) {
+                const href = link[1] ? null : safeHref(link[3]);
+                const children = parseInline(link[2]);
+                if (href) push({ type: 'link', href, children });
+                else {
+                    flush();
+                    nodes.push(...children);
+                }
+                i += link[0].length;
+                continue;
+            }
+        }
+        if (char === '<') {
+            const autolink = text.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+            if (autolink) {
+                push({ type: 'link', href: autolink[1], children: [{ type: 'text', text: autolink[1] }] });
+                i += autolink[0].length;
+                continue;
+            }
+        }
+        if (char === '*' || char === '_' || char === '~') {
+            const run = text.slice(i).match(/^(\*+|_+|~+)/)[0];
+            const delimiter = run.slice(0, char === '~' ? 2 : 3);
+            const intraword = char === '_' && /\w/.test(text[i - 1] || '');
+            const opens = !intraword && (char !== '~' || delimiter.length === 2) && /\S/.test(text[i + delimiter.length] || '');
+            const close = opens ? findCloser(text, delimiter, i + delimiter.length + 1) : -1;
+            if (close !== -1) {
+                const children = parseInline(text.slice(i + delimiter.length, close));
+                let node;
+                if (char === '~') node = { type: 'del', children };
+                else if (delimiter.length === 1) node = { type: 'em', children };
+                else if (delimiter.length === 2) node = { type: 'strong', children };
+                else node = { type: 'strong', children: [{ type: 'em', children }] };
+                push(node);
+                i = close + delimiter.length;
+                continue;
+            }
+            buffer += run;
+            i += run.length;
+            continue;
+        }
+        buffer += char;
+        i += 1;
+    }
+    flush();
+    return nodes;
+};
+
+// Splits a table row on pipes that are not escaped or inside code spans.
+const splitRow = (line) => {
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    const trimmed = line.trim().replace(/^\|/, '');
+    for (let i = 0; i < trimmed.length; i++) {
+        const char = trimmed[i];
+        if (char === '\\' && trimmed[i + 1] === '|') {
+            cell += '|';
+            i += 1;
+        } else if (char === '|' && !inCode) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            if (char === '`') inCode = !inCode;
+            cell += char;
+        }
+    }
+    if (cell.trim() || !trimmed.endsWith('|')) cells.push(cell);
+    return cells.map(value => value.trim());
+};
+
+const parseTable = (lines, start) => {
+    const header = splitRow(lines[start]);
+    const align = splitRow(lines[start + 1]).slice(0, header.length).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+    while (align.length < header.length) align.push(null);
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]).slice(0, header.length);
+        while (cells.length < header.length) cells.push('');
+        rows.push(cells.map(parseInline));
+        i += 1;
+    }
+    return { block: { type: 'table', align, header: header.map(parseInline), rows }, next: i };
+};
+
+const parseList = (lines, start) => {
+    const first = lines[start].match(LIST_ITEM);
+    const ordered = /\d/.test(first[2]);
+    const baseIndent = indentOf(first[1]);
+    const isSibling = (line) => {
+        const match = line.match(LIST_ITEM);
+        return match && indentOf(match[1]) <= baseIndent + 1 && /\d/.test(match[2]) === ordered;
+    };
+
+    const items = [];
+    let i = start;
+    while (i < lines.length && isSibling(lines[i])) {
+        const match = lines[i].match(LIST_ITEM);
+        const contentIndent = indentOf(match[1]) + match[2].length + 1;
+        const body = [match[3] || ''];
+        i += 1;
+        while (i < lines.length && !isSibling(lines[i])) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                // A blank line stays inside the item only when indented text follows it.
+                let next = i + 1;
+                while (next < lines.length && isBlank(lines[next])) next += 1;
+                if (next < lines.length && isSibling(lines[next])) {
+                    i = next;
+                    break;
+                }
+                if (next >= lines.length || indentOf(lines[next]) <= baseIndent) break;
+                body.push('');
+            } else if (indentOf(line) > baseIndent) {
+                body.push(line.slice(Math.min(indentOf(line), contentIndent)));
+            } else if (!startsBlock(lines, i) && !isBlank(body[body.length - 1])) {
+                body.push(line); // lazy continuation of the item's paragraph
+            } else {
+                break;
+            }
+            i += 1;
+        }
+        items.push(parseBlocks(body));
+    }
+    return { block: { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items }, next: i };
+};
+
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            i += 1;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            i += 1;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            blocks.push({ type: 'code', language: fence[2], text: code.join('\n') });
+            i += 1;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, content: parseInline(heading[2] || '') });
+            i += 1;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i += 1;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ''));
+            blocks.push({ type: 'quote', children: parseBlocks(quoted) });
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const { block, next } = parseTable(lines, i);
+            blocks.push(block);
+            i = next;
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const { block, next } = parseList(lines, i);
+            blocks.push(block);
+            i = next;
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i += 1;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) paragraph.push(lines[i++].trim());
+        blocks.push({ type: 'paragraph', content: parseInline(paragraph.join('\n')) });
+    }
+    return blocks;
+};
+
+/**
+ * Parses Markdown into blocks.
+ * @param {string} text The Markdown, complete or cut off mid-stream.
+ * @returns {Array<MdBlock>}
+ */
+export const parseMarkdown = (text) => parseBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'));
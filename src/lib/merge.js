@@ -0,0 +1,101 @@
+import { normalizeLabel } from './text.js';
+
+// --- Multi-File Merge ---
+// Several uploads are stitched into one dataset. Every row carries the file it
+// came from, and contacts present in more than one file can be collapsed on a
+// chosen key column.
+
+export const SOURCE_COLUMN = 'Source File';
+
+const KEY_COLUMN_HINTS = ['email', 'emailaddress', 'recordid', 'contactid', 'id', 'leadid', 'hubspotid', 'salesforceid'];
+
+/**
+ * @typedef {Object} Source
+ * @property {string} id
+ * @property {string} name The file (and sheet) name shown to the user and stored in SOURCE_COLUMN.
+ * @property {Array<Object>} rows The mapped rows, not yet tagged.
+ * @property {Array<{line: number, message: string}>} errors
+ */
+
+/**
+ * @typedef {Object} MergeReport
+ * @property {number} totalRows Rows across all sources before de-duplication.
+ * @property {number} duplicates Rows dropped because an earlier winner had the same key.
+ * @property {number} blankKeys Rows kept without de-duplication because their key was blank.
+ * @property {Array<{winner: string, loser: string, count: number}>} collapsed Which source won against which, and how often.
+ */
+
+/**
+ * Makes a source name unique among the already loaded sources.
+ * @param {string} name The proposed name.
+ * @param {Array<Source>} sources The loaded sources.
+ * @returns {string} The name, with a counter appended if it was taken.
+ */
+export const uniqueSourceName = (name, sources) => {
+    const taken = new Set(sources.map(source => source.name));
+    if (!taken.has(name)) return name;
+    let counter = 2;
+    while (taken.has(`${name} (${counter})`)) counter++;
+    return `${name} (${counter})`;
+};
+
+/**
+ * Proposes a de-duplication key from the available columns, preferring email and record ids.
+ * @param {Array<string>} columns The column names.
+ * @returns {string} The suggested column, or '' for no de-duplication.
+ */
+export const suggestDedupeKey = (columns) => {
+    const byHint = KEY_COLUMN_HINTS.map(hint => columns.find(col => normalizeLabel(col) === hint)).find(Boolean);
+    return byHint || columns.find(col => /e-?mail/i.test(col)) || '';
+};
+
+/**
+ * Combines sources into a single row list, tagging each row with its source and
+ * collapsing rows that share the same key value.
+ * @param {Array<Source>} sources The loaded sources, in upload order.
+ * @param {Object} options
+ * @param {string} options.dedupeKey Column to de-duplicate on; '' disables de-duplication.
+ * @param {'first'|'last'} options.keep Whether the earliest or the latest uploaded source wins.
+ * @returns {{rows: Array<Object>, report: MergeReport}}
+ */
+export const mergeSources = (sources, { dedupeKey, keep }) => {
+    const ordered = keep === 'last' ? [...sources].reverse() : sources;
+    const winners = new Map(); // normalized key -> source name
+    const collapsed = new Map(); // "winner\u0000loser" -> count
+    const dropped = new Set();
+    let totalRows = 0;
+    let blankKeys = 0;
+
+    ordered.forEach(source => {
+        source.rows.forEach(row => {
+            totalRows++;
+            if (!dedupeKey) return;
+            const key = String(row[dedupeKey] ?? '').trim().toLowerCase();
+            if (!key) {
+                blankKeys++;
+            } else if (winners.has(key)) {
+                const pair = `${winners.get(key)}\u0000${source.name}`;
+                collapsed.set(pair, (collapsed.get(pair) || 0) + 1);
+                dropped.add(row);
+            } else {
+                winners.set(key, source.name);
+            }
+        });
+    });
+
+    // Output keeps upload order regardless of which source won.
+    const rows = sources.flatMap(source => source.rows
+        .filter(row => !dropped.has(row))
+        .map(row => ({ ...row, [SOURCE_COLUMN]: source.name })));
+
+    const report = {
+        totalRows,
+        duplicates: dropped.size,
+        blankKeys,
+        collapsed: Array.from(collapsed.entries()).map(([pair, count]) => {
+            const [winner, loser] = pair.split('\u0000');
+            return { winner, loser, count };
+        }),
+    };
+    return { rows, report };
+};
@@ -0,0 +1,299 @@
+// --- Pivot Aggregation ---
+// Groups the dataset by the primary dimension and breaks every group down
+// either by a single drill-down column (one table column per value) or, in
+// nested mode, into a tree over an ordered list of dimensions.
+
+export const NESTED_DRILL_DOWN = 'nested';
+
+// Shown in place of blank values when the view includes them; see fillBlanks in dataQuality.js.
+export const BLANK_BUCKET = '(blank)';
+
+/**
+ * Groups rows by the value of a column, skipping rows where it is blank.
+ * Groups keep the order in which their values first appear.
+ * @param {Array<Object>} rows The rows to group.
+ * @param {string} column The column to group by.
+ * @returns {Map<string, Array<Object>>} Value -> rows with that value.
+ */
+export const groupBy = (rows, column) => rows.reduce((acc, row) => {
+    const key = row[column];
+    if (!key) return acc;
+    if (!acc.has(key)) acc.set(key, []);
+    acc.get(key).push(row);
+    return acc;
+}, new Map());
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {string|null} value The group value; null for the root.
+ * @property {Array<string>} path Values from the top level down to this node.
+ * @property {number} depth 0 for the root, 1 for the top level, and so on.
+ * @property {string|null} column The column this level was grouped on.
+ * @property {number} count Rows in this group.
+ * @property {Array<Object>} rows The rows in this group.
+ * @property {Array<TreeNode>} children Sub-groups on the next level, alphabetical.
+ */
+
+/**
+ * Builds a tree that groups rows by each level in turn.
+ * @param {Array<Object>} rows The rows to group.
+ * @param {Array<string>} levels Column names, outermost first.
+ * @returns {TreeNode} The root node holding all rows.
+ */
+export const buildTree = (rows, levels) => {
+    const build = (value, path, column, groupRows) => {
+        const depth = path.length;
+        const children = depth < levels.length
+            ? Array.from(groupBy(groupRows, levels[depth]).entries())
+                .map(([childValue, childRows]) => build(childValue, [...path, childValue], levels[depth], childRows))
+            : [];
+        if (depth > 0) children.sort((a, b) => a.value.localeCompare(b.value));
+        return { value, path, depth, column, count: groupRows.length, rows: groupRows, children };
+    };
+    return build(null, [], null, rows);
+};
+
+/**
+ * Serializes a tree path so it can be kept in a Set of expanded branches.
+ * @param {Array<string>} path The node path.
+ * @returns {string} A stable key.
+ */
+export const pathKey = (path) => JSON.stringify(path);
+
+/**
+ * Lists the nodes that are visible given which branches are expanded, in display order.
+ * @param {TreeNode} root The tree root (not itself listed).
+ * @param {Set<string>} expanded Path keys of the expanded nodes.
+ * @returns {Array<{node: TreeNode, parent: TreeNode}>} The visible nodes with their parents.
+ */
+export const flattenTree = (root, expanded) => {
+    const visible = [];
+    const walk = (parent) => {
+        parent.children.forEach(node => {
+            visible.push({ node, parent });
+            if (node.children.length > 0 && expanded.has(pathKey(node.path))) walk(node);
+        });
+    };
+    walk(root);
+    return visible;
+};
+
+/**
+ * Collects the path keys of every node that has children.
+ * @param {TreeNode} root The tree root.
+ * @returns {Set<string>} All expandable path keys.
+ */
+export const allBranchKeys = (root) => {
+    const keys = new Set();
+    const walk = (node) => {
+        node.children.forEach(child => {
+            if (child.children.length > 0) {
+                keys.add(pathKey(child.path));
+                walk(child);
+            }
+        });
+    };
+    walk(root);
+    return keys;
+};
+
+/**
+ * Lists a tree's rows in display order, grouped by the deepest node each row reaches.
+ * Rows with a blank value on some level stay with the last node they reached.
+ * @param {TreeNode} root The tree root.
+ * @returns {Array<{label: string, rows: Array<Object>}>} Groups labelled with their path, e.g. "AG1 › Tier 1".
+ */
+export const treeGroups = (root) => {
+    const groups = [];
+    const walk = (node) => {
+        const inChildren = new Set(node.children.flatMap(child => child.rows));
+        const own = node.rows.filter(row => !inChildren.has(row));
+        if (node.depth > 0 && own.length > 0) groups.push({ label: node.path.join(' › '), rows: own });
+        node.children.forEach(walk);
+    };
+    walk(root);
+    return groups;
+};
+
+/**
+ * Aggregates the dataset into table headers and rows for the current view.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Object} view
+ * @param {string} view.primaryDimension Column that defines the table rows.
+ * @param {string} view.drillDown 'none', NESTED_DRILL_DOWN or a column whose values become table columns.
+ * @param {Array<string>} view.nestedLevels Columns below the primary dimension in nested mode.
+ * @returns {{tableHeaders: Array<string>, tableRows: Array<Object>, tree: TreeNode|null}}
+ */
+export const buildPivot = (rows, { primaryDimension, drillDown, nestedLevels }) => {
+    if (!rows.length) return { tableHeaders: [], tableRows: [], tree: null };
+
+    if (drillDown === NESTED_DRILL_DOWN) {
+        const tree = buildTree(rows, [primaryDimension, ...nestedLevels.filter(level => level !== primaryDimension)]);
+        const tableRows = tree.children.map(node => ({ primaryValue: node.value, total: node.count, breakdown: {}, rows: node.rows, node }));
+        return { tableHeaders: [primaryDimension, 'Total Contacts'], tableRows, tree };
+    }
+
+    let dynamicHeaders = [];
+    if (drillDown !== 'none') {
+        const allKeys = new Set(rows.map(row => row[drillDown]).filter(Boolean));
+        dynamicHeaders = Array.from(allKeys).sort();
+    }
+
+    const tableRows = Array.from(groupBy(rows, primaryDimension).entries()).map(([primaryValue, contacts]) => {
+        const rowData = { primaryValue, total: contacts.length, breakdown: {}, rows: contacts };
+        if (drillDown !== 'none') {
+            rowData.breakdown = contacts.reduce((acc, contact) => {
+                const key = contact[drillDown];
+                if (key) acc[key] = (acc[key] || 0) + 1;
+                return acc;
+            }, {});
+        }
+        return rowData;
+    });
+
+    return { tableHeaders: [primaryDimension, 'Total Contacts', ...dynamicHeaders], tableRows, tree: null };
+};
+
+/**
+ * Writes a tree as indented text lines, one per node, with counts and parent-relative shares.
+ * @param {TreeNode} root The tree root.
+ * @returns {string} The text summary.
+ */
+export const summarizeTree = (root) => {
+    const lines = [];
+    const walk = (parent) => {
+        parent.children.forEach(node => {
+            const share = parent.count > 0 ? ((node.count / parent.count) * 100).toFixed(1) : 0;
+            lines.push(`${'  '.repeat(node.depth - 1)}${node.column} = ${node.value}: ${node.count} (${share}% of parent)`);
+            walk(node);
+        });
+    };
+    walk(root);
+    return lines.join('\n');
+};
+
+// --- Sorting and Top-N ---
+
+// The Top-N bucket is keyed by a value that spreadsheet cells don't hold, so a real
+// "Other" value keeps its own row and column; valueLabel gives the text to show.
+export const OTHER_BUCKET = '\u0000other';
+export const OTHER_LABEL = 'Other';
+
+/**
+ * @param {string} value A row value or table header.
+ * @returns {string} OTHER_LABEL for the Top-N bucket, otherwise the value itself.
+ */
+export const valueLabel = (value) => (value === OTHER_BUCKET ? OTHER_LABEL : value);
+
+/**
+ * @typedef {Object} PivotSort
+ * @property {string|null} column Header to sort by; null keeps the grouping order.
+ * @property {'count'|'percent'} metric Sort drill-down columns by raw count or by share of the row.
+ * @property {'asc'|'desc'} direction
+ */
+
+/**
+ * Keeps the largest rows and drill-down columns and folds the rest into an "Other" row
+ * and column, so every total still adds up.
+ * @param {Array<string>} tableHeaders Headers from buildPivot.
+ * @param {Array<Object>} tableRows Rows from buildPivot.
+ * @param {Object} limits
+ * @param {number} limits.rowLimit Rows to keep; 0 keeps all.
+ * @param {number} limits.columnLimit Drill-down columns to keep; 0 keeps all.
+ * @returns {{tableHeaders: Array<string>, tableRows: Array<Object>}}
+ */
+export const applyTopN = (tableHeaders, tableRows, { rowLimit, columnLimit }) => {
+    let headers = tableHeaders;
+    let rows = tableRows;
+
+    const valueHeaders = tableHeaders.slice(2);
+    if (columnLimit > 0 && valueHeaders.length > columnLimit) {
+        const totals = Object.fromEntries(valueHeaders.map(header => [header, 0]));
+        rows.forEach(row => valueHeaders.forEach(header => { totals[header] += row.breakdown[header] || 0; }));
+        const kept = new Set([...valueHeaders].sort((a, b) => totals[b] - totals[a]).slice(0, columnLimit));
+        headers = [...tableHeaders.slice(0, 2), ...valueHeaders.filter(header => kept.has(header)), OTHER_BUCKET];
+        rows = rows.map(row => {
+            const breakdown = {};
+            Object.entries(row.breakdown).forEach(([header, count]) => {
+                const target = kept.has(header) ? header : OTHER_BUCKET;
+                breakdown[target] = (breakdown[target] || 0) + count;
+            });
+            return { ...row, breakdown };
+        });
+    }
+
+    if (rowLimit > 0 && rows.length > rowLimit) {
+        const ranked = [...rows].sort((a, b) => b.total - a.total);
+        const kept = new Set(ranked.slice(0, rowLimit));
+        const folded = ranked.slice(rowLimit);
+        const other = {
+            primaryValue: OTHER_BUCKET,
+            total: folded.reduce((sum, row) => sum + row.total, 0),
+            breakdown: {},
+            rows: folded.flatMap(row => row.rows),
+            isOther: true,
+            members: folded.map(row => row.primaryValue),
+        };
+        folded.forEach(row => Object.entries(row.breakdown).forEach(([header, count]) => {
+            other.breakdown[header] = (other.breakdown[header] || 0) + count;
+        }));
+        rows = [...rows.filter(row => kept.has(row)), other];
+    }
+
+    return { tableHeaders: headers, tableRows: rows };
+};
+
+/**
+ * Lists the contacts counted in one cell of the table.
+ * @param {Object} row A table row, possibly the "Other" row.
+ * @param {string} header The cell's header; the second header gives every contact in the row.
+ * @param {Array<string>} tableHeaders The table headers, after Top-N.
+ * @param {string} drillDown The drill-down column.
+ * @returns {Array<Object>} The contacts behind the count.
+ */
+export const cellRows = (row, header, tableHeaders, drillDown) => {
+    if (header === tableHeaders[1]) return row.rows;
+    // A folded "Other" column holds every value without a column of its own.
+    const named = new Set(tableHeaders.slice(2));
+    if (header === OTHER_BUCKET) return row.rows.filter(contact => contact[drillDown] && !named.has(contact[drillDown]));
+    return row.rows.filter(contact => contact[drillDown] === header);
+};
+
+/**
+ * Reads the value a row is sorted on for a given header.
+ * @param {Object} row A table row.
+ * @param {number} headerIndex Position of the header in tableHeaders; -1 for a computed column in `row.metrics`.
+ * @param {string} header The header.
+ * @param {'count'|'percent'} metric Count or share of the row total.
+ * @returns {string|number|null} The sort value; null when a computed column has no value.
+ */
+export const sortValue = (row, headerIndex, header, metric) => {
+    if (headerIndex === -1) return row.metrics?.[header] ?? null;
+    if (headerIndex === 0) return row.primaryValue;
+    if (headerIndex === 1) return row.total;
+    const count = row.breakdown[header] || 0;
+    return metric === 'percent' ? (row.total > 0 ? count / row.total : 0) : count;
+};
+
+/**
+ * Sorts table rows by one column: a table header or a computed column in `row.metrics`.
+ * The "Other" bucket always stays last, and rows without a computed value sort after the rest.
+ * @param {Array<string>} tableHeaders The table headers.
+ * @param {Array<Object>} tableRows The table rows.
+ * @param {PivotSort} sort The sort settings.
+ * @returns {Array<Object>} A new, sorted row array.
+ */
+export const sortPivotRows = (tableHeaders, tableRows, { column, metric, direction }) => {
+    const headerIndex = tableHeaders.indexOf(column);
+    if (headerIndex === -1 && !tableRows.some(row => row.metrics && column in row.metrics)) return tableRows;
+
+    const sign = direction === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+        const x = sortValue(a, headerIndex, column, metric);
+        const y = sortValue(b, headerIndex, column, metric);
+        if (x === null || y === null) return (x === null) - (y === null);
+        return sign * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+    };
+    const regular = tableRows.filter(row => !row.isOther).sort(compare);
+    return [...regular, ...tableRows.filter(row => row.isOther)];
+};
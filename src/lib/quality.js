@@ -0,0 +1,126 @@
+import { FIELDS } from './columnMapping.js';
+import { normalizeLabel } from './text.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- Contact Quality Score ---
+// Every contact scores the sum of the weights of its values in the weighted
+// columns (ICP priority and lifecycle stage by default). Values without a
+// weight score 0. Weight profiles let each team keep its own scoring.
+
+export const QUALITY_SCORE = 'Quality Score';
+export const AVERAGE_QUALITY = 'Avg Quality';
+
+export const QUALITY_COLUMNS = [
+    { key: QUALITY_SCORE, format: 'number' },
+    { key: AVERAGE_QUALITY, format: 'decimal' },
+];
+
+/**
+ * @typedef {Object} QualityProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {Object<string, Object<string, number>>} weights Column -> value -> weight.
+ */
+
+/** @type {QualityProfile} */
+export const DEFAULT_QUALITY_PROFILE = {
+    id: 'default',
+    name: 'Default',
+    weights: {
+        [FIELDS.icp]: { 'Tier 1': 3, 'Tier 2': 2, 'Tier 3': 1 },
+        [FIELDS.lifecycle]: {
+            'Subscriber': 0,
+            'Lead': 1,
+            'MQL': 2,
+            'Marketing Qualified Lead': 2,
+            'SQL': 3,
+            'Sales Qualified Lead': 3,
+            'Opportunity': 4,
+            'Customer': 5,
+        },
+    },
+};
+
+const PROFILES_KEY = 'quality-profiles';
+const ACTIVE_PROFILE_KEY = 'quality-profile';
+
+// Saved profiles are keyed by their name, ignoring case and surrounding spaces. The prefix keeps a
+// profile saved as "Default" from taking the built-in profile's id.
+const profileId = (name) => `saved:${name.trim().toLocaleLowerCase()}`;
+
+/**
+ * @returns {Array<QualityProfile>} The saved profiles, by name.
+ */
+export const loadQualityProfiles = () => loadJSON(PROFILES_KEY, []).sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Saves a profile under a name, replacing any profile with the same name.
+ * @param {string} name The profile name.
+ * @param {Object<string, Object<string, number>>} weights The weights.
+ * @returns {Array<QualityProfile>} The updated profile list.
+ */
+export const saveQualityProfile = (name, weights) => {
+    const id = profileId(name);
+    const profiles = [...loadQualityProfiles().filter(profile => profile.id !== id), { id, name, weights }];
+    saveJSON(PROFILES_KEY, profiles);
+    return loadQualityProfiles();
+};
+
+/**
+ * Deletes a saved profile.
+ * @param {string} id The profile id.
+ * @returns {Array<QualityProfile>} The updated profile list.
+ */
+export const deleteQualityProfile = (id) => {
+    saveJSON(PROFILES_KEY, loadQualityProfiles().filter(profile => profile.id !== id));
+    return loadQualityProfiles();
+};
+
+/**
+ * @returns {QualityProfile} The profile in use when the analyzer was last closed.
+ */
+export const loadActiveProfile = () => loadJSON(ACTIVE_PROFILE_KEY, DEFAULT_QUALITY_PROFILE);
+
+/**
+ * @param {QualityProfile} profile The profile now in use.
+ */
+export const saveActiveProfile = (profile) => saveJSON(ACTIVE_PROFILE_KEY, profile);
+
+/**
+ * Creates a scoring function for a set of weights. Values are matched ignoring case, spacing and punctuation.
+ * @param {Object<string, Object<string, number>>} weights Column -> value -> weight.
+ * @returns {(contact: Object) => number} The contact's score.
+ */
+export const createScorer = (weights) => {
+    const lookups = Object.entries(weights).map(([column, values]) => [
+        column,
+        new Map(Object.entries(values).map(([value, weight]) => [normalizeLabel(value), Number(weight) || 0])),
+    ]);
+    return (contact) => lookups.reduce((score, [column, lookup]) => score + (lookup.get(normalizeLabel(contact[column])) || 0), 0);
+};
+
+/**
+ * Adds the summed and the average quality score to pivot rows.
+ * @param {Array<Object>} tableRows Rows from buildPivot or applyTopN.
+ * @param {Object<string, Object<string, number>>} weights Column -> value -> weight.
+ * @returns {Array<Object>} New rows with the scores in their `metrics` object.
+ */
+export const addQualityMetrics = (tableRows, weights) => {
+    const score = createScorer(weights);
+    return tableRows.map(row => {
+        const total = row.rows.reduce((sum, contact) => sum + score(contact), 0);
+        return {
+            ...row,
+            metrics: { ...row.metrics, [QUALITY_SCORE]: total, [AVERAGE_QUALITY]: row.total > 0 ? total / row.total : null },
+        };
+    });
+};
+
+/**
+ * Describes the weights in one line per column for the insights prompt.
+ * @param {Object<string, Object<string, number>>} weights Column -> value -> weight.
+ * @returns {string} The description.
+ */
+export const describeWeights = (weights) => Object.entries(weights)
+    .map(([column, values]) => `${column}: ${Object.entries(values).map(([value, weight]) => `${value} = ${weight}`).join(', ')}`)
+    .join('\n');
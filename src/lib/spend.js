@@ -0,0 +1,302 @@
+import { FIELDS, suggestMapping } from './columnMapping.js';
+import { createStageLookup } from './funnel.js';
+import { detectDateColumns, parseDate } from './dates.js';
+import { normalizeLabel } from './text.js';
+import { CAMPAIGN_HIERARCHY, hierarchyKey } from './hierarchy.js';
+
+// --- Ad Spend ---
+// A spend export (one row per campaign or ad group, usually per day) is
+// summed per primary value and joined to the contacts by name, so the pivot
+// can show what each contact cost. When both sides have dates, only spend
+// from the days the contacts span is counted, so a month of contacts isn't
+// divided into a year of spend.
+
+export const SPEND_FIELDS = [
+    { key: 'campaign', label: 'Campaign', aliases: ['Campaign Name', FIELDS.campaign] },
+    { key: 'adGroup', label: 'Ad Group', aliases: [FIELDS.adGroup, 'Ad Set Name', 'Ad Set', 'Campaign Group'] },
+    { key: 'date', label: 'Date', aliases: ['Day', 'Reporting Starts', 'Start Date'] },
+    { key: 'spend', label: 'Spend', aliases: ['Cost', 'Amount Spent', 'Total Spent', 'Amount Spent (USD)'] },
+    { key: 'impressions', label: 'Impressions', aliases: ['Impr.', 'Impr'] },
+    { key: 'clicks', label: 'Clicks', aliases: ['Link Clicks'] },
+];
+
+// The spend columns that can be joined to each primary dimension.
+const JOIN_FIELDS = { [FIELDS.adGroup]: ['adGroup'], [FIELDS.campaign]: ['campaign'], [CAMPAIGN_HIERARCHY]: ['campaign', 'adGroup'] };
+
+// Reads the join key of a spend entry; the hierarchy joins on campaign and ad group together.
+const joinKey = (entry, fields) => (fields.length === 1 ? entry[fields[0]] : hierarchyKey(entry.campaign, entry.adGroup));
+
+/**
+ * Proposes a spend file header for every spend field.
+ * @param {Array<string>} headers The parsed header names.
+ * @returns {Object<string, string>} Spend field key -> source header ('' when nothing fits).
+ */
+export const suggestSpendMapping = (headers) => suggestMapping(headers, SPEND_FIELDS);
+
+/**
+ * Reads an amount such as "$1,234.50", "1.234,50 €" or "1234".
+ * A lone comma is read as the decimal separator unless exactly three digits follow it.
+ * @param {*} value The raw value.
+ * @returns {number|null} The number, or null when there is none.
+ */
+export const parseAmount = (value) => {
+    let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(text)) return null;
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot) {
+        const isThousands = lastDot === -1 && text.length - lastComma - 1 === 3;
+        text = isThousands ? text.replace(/,/g, '') : text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+    const amount = Number(text);
+    return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * @typedef {Object} SpendEntry
+ * @property {number} line Line in the spend file, counting the header as line 1.
+ * @property {string} campaign
+ * @property {string} adGroup
+ * @property {Date|null} date
+ * @property {number} spend
+ * @property {number|null} impressions
+ * @property {number|null} clicks
+ */
+
+/**
+ * Reads the mapped spend columns. Rows without a readable spend amount are reported instead.
+ * @param {Array<Object>} rows The spend file rows.
+ * @param {Object<string, string>} mapping Spend field key -> source header.
+ * @returns {{entries: Array<SpendEntry>, errors: Array<{line: number, message: string}>}}
+ */
+export const readSpendRows = (rows, mapping) => {
+    const dateFormat = mapping.date ? detectDateColumns(rows, [mapping.date])[mapping.date] : null;
+    const read = (row, key) => (mapping[key] ? String(row[mapping[key]] ?? '').trim() : '');
+    const entries = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const line = index + 2;
+        const spend = parseAmount(read(row, 'spend'));
+        if (spend === null) {
+            errors.push({ line, message: `No spend amount in "${read(row, 'spend')}".` });
+            return;
+        }
+        entries.push({
+            line,
+            campaign: read(row, 'campaign'),
+            adGroup: read(row, 'adGroup'),
+            date: dateFormat ? parseDate(read(row, 'date'), dateFormat) : null,
+            spend,
+            impressions: parseAmount(read(row, 'impressions')),
+            clicks: parseAmount(read(row, 'clicks')),
+        });
+    });
+    return { entries, errors };
+};
+
+/**
+ * @typedef {Object} SpendPeriod
+ * @property {string} dateColumn The contact date column the period comes from.
+ * @property {Date} start The earliest contact date, at UTC midnight.
+ * @property {Date} end The latest contact date, at UTC midnight.
+ */
+
+/**
+ * Finds the days the contacts span.
+ * @param {Array<Object>} rows The contacts in view.
+ * @param {string} dateColumn The contact date column.
+ * @param {string} formatId How to parse it; a key of DATE_FORMATS.
+ * @returns {SpendPeriod|null} The period, or null when no contact has a readable date.
+ */
+export const contactPeriod = (rows, dateColumn, formatId) => {
+    let start = null;
+    let end = null;
+    rows.forEach(row => {
+        const date = parseDate(row[dateColumn], formatId);
+        if (!date) return;
+        if (!start || date < start) start = date;
+        if (!end || date > end) end = date;
+    });
+    return start ? { dateColumn, start, end } : null;
+};
+
+/**
+ * @typedef {Object} SpendTotals
+ * @property {number} spend
+ * @property {number} impressions
+ * @property {number} clicks
+ */
+
+/**
+ * @typedef {Object} SpendJoin
+ * @property {Array<string>} joinFields The spend fields matched against the primary dimension.
+ * @property {SpendPeriod|null} period The contacts' period spend was limited to; null when all spend counts.
+ * @property {{spend: number, rows: number}} outsidePeriod Spend dated outside the period, left out.
+ * @property {Map<string, SpendTotals>} byValue Primary value -> summed spend.
+ * @property {Array<{value: string, spend: number, rows: number}>} unmatchedSpend Spend keys with no contacts, largest spend first.
+ * @property {Array<string>} unmatchedGroups Primary values with no spend.
+ * @property {boolean} hasImpressions Whether any spend row had impressions.
+ * @property {boolean} hasClicks Whether any spend row had clicks.
+ */
+
+/**
+ * Sums spend per primary value. Names are matched ignoring case, spacing and punctuation.
+ * With a period, spend rows dated outside it are left out; undated rows always count.
+ * @param {Array<SpendEntry>} entries The spend entries.
+ * @param {Array<Object>} rows The contacts, before filtering, so filtered-out groups don't show as unmatched.
+ * @param {string} primaryDimension The grouping column.
+ * @param {Object<string, string>} mapping Spend field key -> source header.
+ * @param {SpendPeriod|null} [period] The days the contacts in view span.
+ * @returns {SpendJoin|null} The join, or null when spend can't be joined to this dimension.
+ */
+export const joinSpend = (entries, rows, primaryDimension, mapping, period = null) => {
+    const joinFields = JOIN_FIELDS[primaryDimension];
+    if (!joinFields || !joinFields.every(field => mapping[field])) return null;
+
+    const valuesByKey = new Map();
+    rows.forEach(row => {
+        const value = row[primaryDimension];
+        if (value && !valuesByKey.has(normalizeLabel(value))) valuesByKey.set(normalizeLabel(value), value);
+    });
+
+    const byValue = new Map();
+    const unmatched = new Map();
+    const outsidePeriod = { spend: 0, rows: 0 };
+    entries.forEach(entry => {
+        if (period && entry.date && (entry.date < period.start || entry.date > period.end)) {
+            outsidePeriod.spend += entry.spend;
+            outsidePeriod.rows++;
+            return;
+        }
+        const key = joinKey(entry, joinFields);
+        const value = valuesByKey.get(normalizeLabel(key));
+        if (!value) {
+            const name = key || '(blank)';
+            if (!unmatched.has(name)) unmatched.set(name, { value: name, spend: 0, rows: 0 });
+            unmatched.get(name).spend += entry.spend;
+            unmatched.get(name).rows++;
+            return;
+        }
+        if (!byValue.has(value)) byValue.set(value, { spend: 0, impressions: 0, clicks: 0 });
+        const totals = byValue.get(value);
+        totals.spend += entry.spend;
+        totals.impressions += entry.impressions || 0;
+        totals.clicks += entry.clicks || 0;
+    });
+
+    return {
+        joinFields,
+        period,
+        outsidePeriod,
+        byValue,
+        unmatchedSpend: Array.from(unmatched.values()).sort((a, b) => b.spend - a.spend),
+        unmatchedGroups: Array.from(valuesByKey.values()).filter(value => !byValue.has(value)).sort(),
+        hasImpressions: entries.some(entry => entry.impressions !== null),
+        hasClicks: entries.some(entry => entry.clicks !== null),
+    };
+};
+
+// --- Cost Columns ---
+
+// "Tier 1", "Priority 1", "P1" and "1" all count as the top ICP tier.
+const isTierOne = (value) => /^(tier|priority|p)?1$/.test(normalizeLabel(value));
+
+/**
+ * @typedef {Object} CostColumn
+ * @property {string} key Header text, also used as the sort key.
+ * @property {'currency'|'number'|'decimal'} format
+ */
+
+/**
+ * Lists the filters that drop some of a spend group's contacts but not others. Spend can't be
+ * split the same way, so while one is active a group's whole spend would be divided by part of
+ * its contacts. Filters on the grouping columns keep or drop whole groups, and a filter on the
+ * date column spend is matched by narrows the spend along with the contacts.
+ * @param {Array<import('./filters.js').Filter>} filters The active filters.
+ * @param {string} primaryDimension The grouping column.
+ * @param {string} dateColumn The contact date column spend is matched by; '' for none.
+ * @returns {Array<import('./filters.js').Filter>}
+ */
+export const filtersSplittingSpend = (filters, primaryDimension, dateColumn) => {
+    const groupColumns = primaryDimension === CAMPAIGN_HIERARCHY ? [primaryDimension, FIELDS.campaign, FIELDS.adGroup] : [primaryDimension];
+    return filters.filter(filter => !groupColumns.includes(filter.column) && filter.column !== dateColumn);
+};
+
+/**
+ * Lists the cost columns the pivot shows once spend is joined.
+ * @param {SpendJoin} join The spend join.
+ * @param {Array<import('./funnel.js').Stage>} stages The lifecycle stages.
+ * @param {Object} [options]
+ * @param {boolean} [options.perContact] Include the cost per contact columns; off while filters split the spend groups.
+ * @returns {Array<CostColumn>}
+ */
+export const costColumns = (join, stages, { perContact = true } = {}) => [
+    { key: 'Spend', format: 'currency' },
+    ...(join.hasImpressions ? [{ key: 'Impressions', format: 'number' }] : []),
+    ...(join.hasClicks ? [{ key: 'Clicks', format: 'number' }, { key: 'Cost / Click', format: 'currency' }] : []),
+    ...(perContact ? [
+        { key: 'Cost / Contact', format: 'currency' },
+        { key: 'Cost / Tier-1 Contact', format: 'currency' },
+        ...stages.map(stage => ({ key: `Cost / ${stage.label}`, format: 'currency' })),
+    ] : []),
+];
+
+/**
+ * @param {string} key A column key.
+ * @returns {boolean} Whether costColumns can return a column with this key.
+ */
+export const isCostColumn = (key) => ['Spend', 'Impressions', 'Clicks'].includes(key) || key.startsWith('Cost / ');
+
+/**
+ * Adds cost metrics to pivot rows. The "Other" row and campaign rows are charged the spend of all their `members`.
+ * Costs are null where there is nothing to divide by.
+ * @param {Array<Object>} tableRows Rows from buildPivot or applyTopN.
+ * @param {SpendJoin} join The spend join.
+ * @param {Array<import('./funnel.js').Stage>} stages The lifecycle stages.
+ * @param {Object} [options]
+ * @param {boolean} [options.perContact] Add the cost per contact metrics, as for costColumns.
+ * @returns {Array<Object>} New rows with a `metrics` object keyed by cost column.
+ */
+export const addCostMetrics = (tableRows, join, stages, { perContact = true } = {}) => {
+    const lookup = createStageLookup(stages);
+    const per = (spend, count) => (count > 0 ? spend / count : null);
+
+    return tableRows.map(row => {
+        const totals = (row.members || [row.primaryValue])
+            .map(value => join.byValue.get(value))
+            .filter(Boolean)
+            .reduce((acc, t) => ({ spend: acc.spend + t.spend, impressions: acc.impressions + t.impressions, clicks: acc.clicks + t.clicks }), { spend: 0, impressions: 0, clicks: 0 });
+
+        const stageIndexes = row.rows.map(contact => lookup(contact[FIELDS.lifecycle]));
+        const metrics = {
+            'Spend': totals.spend,
+            'Impressions': totals.impressions,
+            'Clicks': totals.clicks,
+            'Cost / Click': per(totals.spend, totals.clicks),
+        };
+        if (perContact) {
+            metrics['Cost / Contact'] = per(totals.spend, row.total);
+            metrics['Cost / Tier-1 Contact'] = per(totals.spend, row.rows.filter(contact => isTierOne(contact[FIELDS.icp])).length);
+            stages.forEach((stage, i) => {
+                metrics[`Cost / ${stage.label}`] = per(totals.spend, stageIndexes.filter(index => index >= i).length);
+            });
+        }
+        return { ...row, metrics: { ...row.metrics, ...metrics } };
+    });
+};
+
+/**
+ * Formats a computed column value for display. Currency and decimal values get two decimals.
+ * @param {number|null} value The value.
+ * @param {'currency'|'number'|'decimal'} format The column format.
+ * @returns {string} The text, or "—" for missing values.
+ */
+export const formatMetric = (value, format) => {
+    if (value === null || value === undefined) return '—';
+    return format === 'number'
+        ? value.toLocaleString()
+        : value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
@@ -0,0 +1,196 @@
+// --- Significance Testing ---
+// Small groups produce noisy percentages. Each drill-down cell gets a Wilson
+// confidence interval, and each row is tested against the contacts in all
+// other rows: a two-proportion z-test per cell and a chi-square test of
+// independence for the whole distribution.
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Normal approximations are unreliable below this expected count per cell.
+export const MIN_EXPECTED_COUNT = 5;
+
+const Z_95 = 1.959964;
+
+/**
+ * Wilson score interval for a proportion.
+ * @param {number} successes Contacts with the value.
+ * @param {number} n Contacts in the group.
+ * @param {number} [z] Standard normal quantile; 95% by default.
+ * @returns {{low: number, high: number}|null} Bounds between 0 and 1, or null for an empty group.
+ */
+export const wilsonInterval = (successes, n, z = Z_95) => {
+    if (n === 0) return null;
+    const p = successes / n;
+    const z2 = z * z;
+    const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const margin = (z / (1 + z2 / n)) * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n));
+    return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+};
+
+// Abramowitz & Stegun 7.1.26; accurate to about 1.5e-7.
+const erf = (x) => {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return sign * (1 - poly * Math.exp(-x * x));
+};
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+/**
+ * Two-sided two-proportion z-test.
+ * @returns {{z: number, pValue: number}|null} Null when either group is empty or the pooled share is 0 or 1.
+ */
+export const twoProportionTest = (x1, n1, x2, n2) => {
+    if (n1 === 0 || n2 === 0) return null;
+    const pooled = (x1 + x2) / (n1 + n2);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    if (se === 0) return null;
+    const z = (x1 / n1 - x2 / n2) / se;
+    return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+};
+
+// Lanczos approximation of ln Γ(x).
+const LANCZOS = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+const logGamma = (x) => {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    const shifted = x - 1;
+    let sum = 0.99999999999980993;
+    LANCZOS.forEach((c, i) => { sum += c / (shifted + i + 1); });
+    const t = shifted + LANCZOS.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Regularized upper incomplete gamma Q(a, x), by series below a + 1 and continued fraction above.
+const upperGamma = (a, x) => {
+    if (x <= 0) return 1;
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 200 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return 1 - sum * Math.exp(logPrefix);
+    }
+    let b = x + 1 - a;
+    let c = 1e300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 200; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        d = Math.abs(d) < 1e-300 ? 1e-300 : d;
+        c = b + an / c;
+        c = Math.abs(c) < 1e-300 ? 1e-300 : c;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.exp(logPrefix) * h;
+};
+
+/**
+ * Upper tail probability of the chi-square distribution.
+ * @param {number} statistic The chi-square statistic.
+ * @param {number} df Degrees of freedom.
+ * @returns {number} P(X >= statistic).
+ */
+export const chiSquarePValue = (statistic, df) => upperGamma(df / 2, statistic / 2);
+
+/**
+ * Chi-square test of independence on a 2×k table: one group against everyone else.
+ * Categories empty in both groups are dropped.
+ * @param {Array<number>} group Counts per category in the group.
+ * @param {Array<number>} rest Counts per category in all other groups.
+ * @returns {{statistic: number, df: number, pValue: number, sparse: boolean}|null} Null when there is nothing to compare.
+ *   `sparse` is set when some expected count is below MIN_EXPECTED_COUNT.
+ */
+export const chiSquareTest = (group, rest) => {
+    const categories = group.map((count, i) => [count, rest[i]]).filter(([a, b]) => a + b > 0);
+    const groupTotal = categories.reduce((sum, [a]) => sum + a, 0);
+    const restTotal = categories.reduce((sum, [, b]) => sum + b, 0);
+    if (categories.length < 2 || groupTotal === 0 || restTotal === 0) return null;
+
+    const total = groupTotal + restTotal;
+    let statistic = 0;
+    let sparse = false;
+    categories.forEach(([a, b]) => {
+        const expectedA = (groupTotal * (a + b)) / total;
+        const expectedB = (restTotal * (a + b)) / total;
+        if (expectedA < MIN_EXPECTED_COUNT || expectedB < MIN_EXPECTED_COUNT) sparse = true;
+        statistic += (a - expectedA) ** 2 / expectedA + (b - expectedB) ** 2 / expectedB;
+    });
+    const df = categories.length - 1;
+    return { statistic, df, pValue: chiSquarePValue(statistic, df), sparse };
+};
+
+/**
+ * @typedef {Object} CellStats
+ * @property {{low: number, high: number}|null} interval 95% Wilson interval of the cell's share of the row.
+ * @property {number|null} pValue Two-proportion test against all other rows.
+ * @property {boolean} significant
+ * @property {'above'|'below'} direction Whether the row's share is above or below the other rows'.
+ * @property {boolean} sparse Too few contacts for the test to be trusted; never flagged significant.
+ */
+
+/**
+ * @typedef {Object} RowStats
+ * @property {{statistic: number, df: number, pValue: number, sparse: boolean}|null} test Chi-square test against all other rows.
+ * @property {boolean} significant
+ * @property {Object<string, CellStats>} cells Drill-down header -> cell statistics.
+ */
+
+/**
+ * Tests every row of a single-column drill-down against the rest of the table.
+ * Contacts with a blank drill-down value count as a category of their own.
+ * @param {Array<string>} tableHeaders Headers from buildPivot or applyTopN.
+ * @param {Array<Object>} tableRows The table rows.
+ * @param {number} [alpha] The significance level.
+ * @returns {Map<string, RowStats>} Primary value -> statistics.
+ */
+export const computeSignificance = (tableHeaders, tableRows, alpha = SIGNIFICANCE_LEVEL) => {
+    const valueHeaders = tableHeaders.slice(2);
+    const countsOf = (row) => {
+        const counts = valueHeaders.map(header => row.breakdown[header] || 0);
+        return [...counts, row.total - counts.reduce((sum, count) => sum + count, 0)];
+    };
+    const rowCounts = tableRows.map(countsOf);
+    const overall = rowCounts.reduce((acc, counts) => acc.map((sum, i) => sum + counts[i]), new Array(valueHeaders.length + 1).fill(0));
+    const grandTotal = tableRows.reduce((sum, row) => sum + row.total, 0);
+
+    const result = new Map();
+    tableRows.forEach((row, rowIndex) => {
+        const counts = rowCounts[rowIndex];
+        const rest = overall.map((sum, i) => sum - counts[i]);
+        const restTotal = grandTotal - row.total;
+        const test = chiSquareTest(counts, rest);
+
+        const cells = {};
+        valueHeaders.forEach((header, i) => {
+            const share = (counts[i] + rest[i]) / grandTotal;
+            const sparse = row.total * share < MIN_EXPECTED_COUNT || row.total * (1 - share) < MIN_EXPECTED_COUNT;
+            const z = twoProportionTest(counts[i], row.total, rest[i], restTotal);
+            cells[header] = {
+                interval: wilsonInterval(counts[i], row.total),
+                pValue: z ? z.pValue : null,
+                significant: !sparse && z !== null && z.pValue < alpha,
+                direction: z && z.z < 0 ? 'below' : 'above',
+                sparse,
+            };
+        });
+
+        result.set(row.primaryValue, { test, significant: !!test && !test.sparse && test.pValue < alpha, cells });
+    });
+    return result;
+};
+
+/**
+ * Formats a p-value for display.
+ * @param {number} pValue The p-value.
+ * @returns {string} E.g. "p = 0.032" or "p < 0.001".
+ */
+export const formatPValue = (pValue) => (pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`);
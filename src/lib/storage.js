@@ -0,0 +1,46 @@
+// --- Local Storage Helpers ---
+// Small JSON wrappers around localStorage. Everything the analyzer remembers
+// between sessions stays in this browser; nothing is sent anywhere.
+
+const PREFIX = 'campaign-analyzer:';
+
+/**
+ * Reads a JSON value from localStorage.
+ * @param {string} key The key, without the app prefix.
+ * @param {*} fallback Returned when nothing is stored or the stored value is unreadable.
+ * @returns {*} The stored value or the fallback.
+ */
+export const loadJSON = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+};
+
+/**
+ * Writes a JSON value to localStorage. Quota and privacy-mode errors are ignored.
+ * @param {string} key The key, without the app prefix.
+ * @param {*} value Any JSON-serializable value.
+ */
+export const saveJSON = (key, value) => {
+    try {
+        window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    } catch {
+        // Storage is a convenience; the app keeps working without it.
+    }
+};
+
+/**
+ * Removes everything the analyzer has written to localStorage.
+ */
+export const clearStoredSettings = () => {
+    try {
+        Object.keys(window.localStorage)
+            .filter(key => key.startsWith(PREFIX))
+            .forEach(key => window.localStorage.removeItem(key));
+    } catch {
+        // Nothing stored, or storage is unavailable.
+    }
+};
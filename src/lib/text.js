@@ -0,0 +1,48 @@
+// --- String Helpers ---
+
+/**
+ * Lower-cases a label and strips everything but letters and digits, so that
+ * "Ad-Group Name" and "ad group name" compare equal.
+ * @param {string} value The label to normalize.
+ * @returns {string} The normalized label.
+ */
+export const normalizeLabel = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The minimum number of single-character edits.
+ */
+export const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Scores how alike two labels are, from 0 (unrelated) to 1 (identical after normalization).
+ * @param {string} a The first label.
+ * @param {string} b The second label.
+ * @returns {number} The similarity score.
+ */
+export const similarity = (a, b) => {
+    const x = normalizeLabel(a);
+    const y = normalizeLabel(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    const editScore = 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+    const containsScore = x.includes(y) || y.includes(x) ? Math.min(x.length, y.length) / Math.max(x.length, y.length) + 0.2 : 0;
+    return Math.min(0.99, Math.max(editScore, containsScore));
+};
@@ -0,0 +1,191 @@
+import { FIELDS } from './columnMapping.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- Job Title Normalization ---
+// Free-text job titles are classified into a seniority level and a job function
+// by a rule set. Each rule names the field it sets, the value it assigns and
+// the keywords and/or regular expression that trigger it. When several rules
+// match a title, the one with the highest priority wins; ties go to the rule
+// listed first.
+
+export const SENIORITY = 'Seniority';
+export const JOB_FUNCTION = 'Job Function';
+
+export const TITLE_FIELDS = [
+    { key: 'seniority', column: SENIORITY },
+    { key: 'function', column: JOB_FUNCTION },
+];
+
+export const SENIORITY_LEVELS = ['C-level', 'VP', 'Director', 'Manager', 'IC'];
+
+// Titles that match no seniority rule are individual contributors; titles that match no function rule are unclassified.
+const FALLBACKS = { seniority: 'IC', function: 'Unclassified' };
+
+/**
+ * @typedef {Object} TitleRule
+ * @property {'seniority'|'function'} field Which derived field the rule sets.
+ * @property {string} value The value assigned, e.g. "VP" or "Marketing".
+ * @property {Array<string>} keywords Whole words or phrases; case and punctuation are ignored.
+ * @property {string} regex A case-insensitive regular expression tested against the raw title; '' for none.
+ * @property {number} priority Higher wins.
+ */
+
+/** @type {Array<TitleRule>} */
+export const DEFAULT_TITLE_RULES = [
+    // Assistants to executives would otherwise match the executive's title.
+    { field: 'seniority', value: 'IC', keywords: ['assistant to', 'executive assistant', 'intern', 'internship'], regex: '', priority: 120 },
+    // "Vice President" also contains "President".
+    { field: 'seniority', value: 'VP', keywords: ['vice president', 'svp', 'evp', 'avp', 'vp', 'v p'], regex: '', priority: 110 },
+    { field: 'seniority', value: 'C-level', keywords: ['chief', 'president', 'founder', 'co founder', 'cofounder', 'owner', 'managing partner'], regex: '\\bc[a-z]{1,2}o\\b', priority: 100 },
+    { field: 'seniority', value: 'Director', keywords: ['director', 'head of', 'head', 'dir'], regex: '', priority: 60 },
+    { field: 'seniority', value: 'Manager', keywords: ['manager', 'mgr', 'team lead', 'tech lead', 'supervisor'], regex: '', priority: 40 },
+
+    { field: 'function', value: 'Executive', keywords: ['ceo', 'chief executive', 'president', 'founder', 'co founder', 'cofounder', 'owner', 'managing director', 'general manager'], regex: '', priority: 40 },
+    { field: 'function', value: 'Marketing', keywords: ['marketing', 'mktg', 'cmo', 'demand generation', 'demand gen', 'growth', 'brand', 'content', 'seo', 'communications', 'pr'], regex: '', priority: 60 },
+    { field: 'function', value: 'Sales', keywords: ['sales', 'cro', 'account executive', 'ae', 'business development', 'bdr', 'sdr', 'account manager', 'revenue'], regex: '', priority: 55 },
+    { field: 'function', value: 'Customer Success', keywords: ['customer success', 'customer experience', 'support', 'customer service', 'onboarding'], regex: '', priority: 55 },
+    { field: 'function', value: 'Product', keywords: ['product', 'cpo', 'ux', 'designer', 'design'], regex: '', priority: 50 },
+    { field: 'function', value: 'Engineering', keywords: ['engineer', 'engineering', 'developer', 'software', 'cto', 'devops', 'architect', 'programmer', 'data scientist'], regex: '', priority: 50 },
+    { field: 'function', value: 'IT', keywords: ['it', 'information technology', 'cio', 'ciso', 'systems administrator', 'sysadmin', 'security'], regex: '', priority: 45 },
+    { field: 'function', value: 'Finance', keywords: ['finance', 'financial', 'cfo', 'accountant', 'accounting', 'controller', 'treasurer'], regex: '', priority: 50 },
+    { field: 'function', value: 'HR', keywords: ['hr', 'human resources', 'people', 'talent', 'recruiter', 'recruiting', 'chro'], regex: '', priority: 50 },
+    { field: 'function', value: 'Operations', keywords: ['operations', 'ops', 'coo', 'supply chain', 'logistics', 'procurement'], regex: '', priority: 30 },
+];
+
+const RULES_KEY = 'title-rules';
+
+/**
+ * @returns {Array<TitleRule>} The saved rule set, or the default one.
+ */
+export const loadTitleRules = () => loadJSON(RULES_KEY, DEFAULT_TITLE_RULES);
+
+/**
+ * @param {Array<TitleRule>} rules The rule set to remember.
+ */
+export const saveTitleRules = (rules) => saveJSON(RULES_KEY, rules);
+
+// Lower-cases and turns punctuation into spaces, padded so that words can be matched as " word ".
+const wordText = (value) => ` ${String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+/**
+ * Checks a rule set and lists the problems that would stop it from working.
+ * @param {Array<TitleRule>} rules The rules.
+ * @returns {Array<string>} Readable problems; empty when the rules are usable.
+ */
+export const validateTitleRules = (rules) => {
+    if (!Array.isArray(rules)) return ['The rule set must be a list of rules.'];
+    const problems = [];
+    rules.forEach((rule, i) => {
+        const label = `Rule ${i + 1}`;
+        if (!rule || typeof rule !== 'object') {
+            problems.push(`${label} is not an object.`);
+            return;
+        }
+        if (!TITLE_FIELDS.some(field => field.key === rule.field)) problems.push(`${label} must set "seniority" or "function".`);
+        if (!String(rule.value ?? '').trim()) problems.push(`${label} has no value.`);
+        if (!Number.isFinite(rule.priority)) problems.push(`${label} needs a numeric priority.`);
+        if (!Array.isArray(rule.keywords)) problems.push(`${label} needs a keyword list (it may be empty).`);
+        if (rule.regex) {
+            try {
+                new RegExp(rule.regex, 'i');
+            } catch {
+                problems.push(`${label} has an invalid regular expression: ${rule.regex}`);
+            }
+        }
+        if ((!Array.isArray(rule.keywords) || rule.keywords.every(keyword => !wordText(keyword).trim())) && !rule.regex) {
+            problems.push(`${label} has neither keywords nor a regular expression.`);
+        }
+    });
+    return problems;
+};
+
+/**
+ * Reads a rule set from an imported JSON file.
+ * @param {string} text The file contents: a rule list, or an object with a `rules` list.
+ * @returns {Array<TitleRule>} The rules.
+ * @throws {Error} When the file is not JSON or the rules are unusable.
+ */
+export const parseTitleRules = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('The rule file is not valid JSON.');
+    }
+    const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+    const problems = validateTitleRules(rules);
+    if (problems.length > 0) throw new Error(problems.slice(0, 3).join(' '));
+    return rules.map(rule => ({
+        field: rule.field,
+        value: String(rule.value).trim(),
+        keywords: rule.keywords.map(String),
+        regex: rule.regex || '',
+        priority: rule.priority,
+    }));
+};
+
+/**
+ * Compiles a rule set into a title classifier. Rules that do not validate are skipped.
+ * @param {Array<TitleRule>} rules The rules.
+ * @returns {(title: string) => {seniority: string, function: string}} Blank titles give blank values.
+ */
+export const createTitleClassifier = (rules) => {
+    const compiled = rules
+        .map((rule, order) => ({ rule, order }))
+        .filter(({ rule }) => validateTitleRules([rule]).length === 0)
+        .map(({ rule, order }) => ({
+            field: rule.field,
+            value: String(rule.value).trim(),
+            priority: rule.priority,
+            order,
+            words: rule.keywords.map(wordText).filter(word => word.trim()),
+            regex: rule.regex ? new RegExp(rule.regex, 'i') : null,
+        }))
+        .sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+    const cache = new Map();
+    return (title) => {
+        const raw = String(title ?? '').trim();
+        if (!raw) return { seniority: '', function: '' };
+        if (cache.has(raw)) return cache.get(raw);
+        const text = wordText(raw);
+        const result = { ...FALLBACKS };
+        TITLE_FIELDS.forEach(({ key }) => {
+            const match = compiled.find(rule => rule.field === key && (rule.words.some(word => text.includes(word)) || (rule.regex && rule.regex.test(raw))));
+            if (match) result[key] = match.value;
+        });
+        cache.set(raw, result);
+        return result;
+    };
+};
+
+/**
+ * Adds the Seniority and Job Function columns to every row, classified from its job title.
+ * @param {Array<Object>} rows The dataset rows.
+ * @param {Array<TitleRule>} rules The rule set.
+ * @returns {Array<Object>} New rows with the derived columns.
+ */
+export const addTitleFields = (rows, rules) => {
+    const classify = createTitleClassifier(rules);
+    return rows.map(row => {
+        const classified = classify(row[FIELDS.jobTitle]);
+        return { ...row, [SENIORITY]: classified.seniority, [JOB_FUNCTION]: classified.function };
+    });
+};
+
+/**
+ * Lists the most frequent titles that no function rule matched, to show which rules are missing.
+ * @param {Array<Object>} rows Rows with the derived columns.
+ * @param {number} [limit] How many titles to list.
+ * @returns {Array<{title: string, count: number}>} The titles, most frequent first.
+ */
+export const unclassifiedTitles = (rows, limit = 10) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        if (row[JOB_FUNCTION] === FALLBACKS.function) counts.set(row[FIELDS.jobTitle], (counts.get(row[FIELDS.jobTitle]) || 0) + 1);
+    });
+    return Array.from(counts.entries())
+        .map(([title, count]) => ({ title, count }))
+        .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title))
+        .slice(0, limit);
+};
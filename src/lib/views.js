@@ -0,0 +1,143 @@
+import { normalizeLabel } from './text.js';
+import { loadJSON, saveJSON } from './storage.js';
+import { NESTED_DRILL_DOWN, BLANK_BUCKET, OTHER_BUCKET } from './pivot.js';
+import { FUNNEL_DRILL_DOWN } from './funnel.js';
+import { QUALITY_COLUMNS } from './quality.js';
+import { isCostColumn } from './spend.js';
+
+// --- Saved Views ---
+// A view is the set of controls that decide what the table shows. Views are
+// saved by name and are not tied to a dataset, so the same view can be
+// re-opened on next month's export.
+
+const VIEWS_KEY = 'saved-views';
+
+/**
+ * @typedef {Object} ViewState
+ * @property {string} primaryDimension
+ * @property {string} drillDown
+ * @property {Array<string>} nestedLevels
+ * @property {Array<import('./filters.js').Filter>} filters
+ * @property {{column: string|null, direction: 'asc'|'desc'}} sort
+ * @property {'count'|'percent'} sortMetric
+ * @property {number} rowLimit
+ * @property {number} columnLimit
+ * @property {string} funnelSplit
+ * @property {'table'|'chart'|'trend'} viewMode
+ * @property {boolean} showBlanks
+ */
+
+/**
+ * @typedef {Object} SavedView
+ * @property {string} id
+ * @property {string} name
+ * @property {ViewState} state
+ */
+
+/**
+ * @returns {Array<SavedView>} The saved views, by name.
+ */
+export const loadSavedViews = () => loadJSON(VIEWS_KEY, []).sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Saves a view under a name, replacing any view with the same name.
+ * @param {string} name The view name.
+ * @param {ViewState} state The view settings.
+ * @returns {Array<SavedView>} The updated view list.
+ */
+export const saveView = (name, state) => {
+    const id = normalizeLabel(name);
+    saveJSON(VIEWS_KEY, [...loadSavedViews().filter(view => view.id !== id), { id, name, state }]);
+    return loadSavedViews();
+};
+
+/**
+ * Deletes a saved view.
+ * @param {string} id The view id.
+ * @returns {Array<SavedView>} The updated view list.
+ */
+export const deleteView = (id) => {
+    saveJSON(VIEWS_KEY, loadSavedViews().filter(view => view.id !== id));
+    return loadSavedViews();
+};
+
+/**
+ * Tells whether the table can sort on a column without reading it from the data: the total,
+ * a computed column, or a value of the drill-down column.
+ * @param {string} column The sort column.
+ * @param {ViewState} state The view settings.
+ * @param {Array<Object>} rows The loaded rows.
+ * @returns {boolean}
+ */
+const isBuiltSortColumn = (column, state, rows) => column === 'Total Contacts'
+    || QUALITY_COLUMNS.some(({ key }) => key === column)
+    || isCostColumn(column)
+    || column === BLANK_BUCKET
+    || column === OTHER_BUCKET
+    || rows.some(row => row[state.drillDown] === column);
+
+/**
+ * Lists the columns a view needs that the loaded data does not have. A sort on a
+ * drill-down value counts as a column too, so it is checked against the rows.
+ * @param {ViewState} state The view settings.
+ * @param {Array<string>} columns The loaded columns.
+ * @param {Array<Object>} [rows] The loaded rows.
+ * @returns {Array<string>} The missing columns.
+ */
+export const missingViewColumns = (state, columns, rows = []) => {
+    const modes = ['none', NESTED_DRILL_DOWN, FUNNEL_DRILL_DOWN];
+    const sortColumn = state.sort?.column;
+    const needed = [
+        state.primaryDimension,
+        ...(modes.includes(state.drillDown) ? [] : [state.drillDown]),
+        ...(state.drillDown === NESTED_DRILL_DOWN ? state.nestedLevels : []),
+        ...(state.drillDown === FUNNEL_DRILL_DOWN ? [state.funnelSplit] : []),
+        ...state.filters.map(filter => filter.column),
+        ...(sortColumn && !isBuiltSortColumn(sortColumn, state, rows) ? [sortColumn] : []),
+    ];
+    return Array.from(new Set(needed.filter(col => col && !columns.includes(col))));
+};
+
+// --- View Links ---
+// A view can also travel in the URL hash, so a copied link restores it for
+// whoever opens it once they load the same data.
+
+const HASH_PREFIX = '#view=';
+const VIEW_KEYS = ['primaryDimension', 'drillDown', 'nestedLevels', 'filters', 'sort', 'sortMetric', 'rowLimit', 'columnLimit', 'funnelSplit', 'viewMode', 'showBlanks'];
+
+/**
+ * @typedef {Object} ViewLink
+ * @property {ViewState} state
+ * @property {Array<string>} expandedPaths Path keys of open tree branches.
+ * @property {Array<string>} files Names of the files the view was built on, to tell the reader what to load.
+ */
+
+/**
+ * Encodes a view as a URL hash. Filter ids are left out so the same view always gives the same hash.
+ * @param {ViewLink} link The view.
+ * @returns {string} The hash, including the leading `#`.
+ */
+export const encodeViewHash = ({ state, expandedPaths, files }) => {
+    const filters = state.filters.map(filter => {
+        const copy = { ...filter };
+        delete copy.id;
+        return copy;
+    });
+    return HASH_PREFIX + encodeURIComponent(JSON.stringify({ state: { ...state, filters }, expandedPaths, files }));
+};
+
+/**
+ * Reads a view from a URL hash.
+ * @param {string} hash The hash, e.g. `window.location.hash`.
+ * @returns {ViewLink|null} The view, or null when the hash holds no complete view.
+ */
+export const decodeViewHash = (hash) => {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+    try {
+        const link = JSON.parse(decodeURIComponent(hash.slice(HASH_PREFIX.length)));
+        const isComplete = VIEW_KEYS.every(key => key in link.state) && Array.isArray(link.state.filters) && Array.isArray(link.expandedPaths);
+        return isComplete ? { ...link, files: Array.isArray(link.files) ? link.files : [] } : null;
+    } catch {
+        return null;
+    }
+};
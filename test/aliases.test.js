@@ -0,0 +1,53 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyValueAliases, looksAlike, suggestValueClusters, mergeValues, removeAlias, countAliases } from '../src/lib/aliases.js';
+
+describe('applyValueAliases', () => {
+    test('replaces aliased values and keeps untouched rows as they are', () => {
+        const rows = [{ Dept: 'Mktg', Tier: '1' }, { Dept: 'Sales', Tier: '2' }];
+        const result = applyValueAliases(rows, { Dept: { Mktg: 'Marketing' }, Tier: {} });
+        assert.deepEqual(result[0], { Dept: 'Marketing', Tier: '1' });
+        assert.equal(result[1], rows[1]);
+        assert.equal(rows[0].Dept, 'Mktg');
+    });
+
+    test('ignores inherited keys', () => {
+        const rows = [{ Dept: 'constructor' }];
+        assert.equal(applyValueAliases(rows, { Dept: { Mktg: 'Marketing' } })[0], rows[0]);
+    });
+});
+
+describe('looksAlike', () => {
+    test('allows more edits for longer values', () => {
+        assert.equal(looksAlike('marketing', 'marketin'), true);
+        assert.equal(looksAlike('sql', 'mql'), false);
+    });
+
+    test('matches abbreviations but never different numbers', () => {
+        assert.equal(looksAlike('mktg', 'marketing'), true);
+        assert.equal(looksAlike('tier1', 'tier2'), false);
+    });
+});
+
+describe('suggestValueClusters', () => {
+    test('groups spellings under the most frequent one', () => {
+        const rows = ['Marketing', 'Marketing', 'marketing ', 'Mktg', 'Sales', ''].map(Dept => ({ Dept }));
+        assert.deepEqual(suggestValueClusters(rows, 'Dept'), [{
+            canonical: 'Marketing',
+            values: [{ value: 'Marketing', count: 2 }, { value: 'marketing ', count: 1 }, { value: 'Mktg', count: 1 }],
+            total: 4,
+        }]);
+    });
+});
+
+describe('mergeValues and removeAlias', () => {
+    test('re-points aliases that targeted a merged variant', () => {
+        const aliases = mergeValues({ Dept: { Mkt: 'Mktg' } }, 'Dept', 'Marketing', ['Mktg', 'Marketing']);
+        assert.deepEqual(aliases, { Dept: { Mkt: 'Marketing', Mktg: 'Marketing' } });
+        assert.equal(countAliases(aliases), 2);
+    });
+
+    test('drops a column once its last alias is removed', () => {
+        assert.deepEqual(removeAlias({ Dept: { Mktg: 'Marketing' } }, 'Dept', 'Mktg'), {});
+    });
+});
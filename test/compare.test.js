@@ -0,0 +1,37 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareSnapshots, sortComparison } from '../src/lib/compare.js';
+
+const contacts = (pairs) => pairs.map(([group, tier]) => ({ Group: group, Tier: tier }));
+const view = { primaryDimension: 'Group', drillDown: 'Tier' };
+
+describe('compareSnapshots', () => {
+    const baseline = contacts([['A', 'T1'], ['A', 'T2'], ['B', 'T1'], ['C', 'T3']]);
+    const current = contacts([['A', 'T1'], ['A', 'T1'], ['A', 'T1'], ['B', 'T1'], ['D', 'T1']]);
+    const comparison = compareSnapshots(baseline, current, view);
+
+    test('lines up rows and columns of both snapshots', () => {
+        assert.deepEqual(comparison.tableHeaders, ['Group', 'Total Contacts', 'T1', 'T2', 'T3']);
+        assert.deepEqual(comparison.tableRows.map(row => [row.primaryValue, row.status]), [['A', null], ['B', null], ['D', 'new'], ['C', 'gone']]);
+        assert.deepEqual(comparison.columnStatus, { T2: 'gone', T3: 'gone' });
+    });
+
+    test('computes the change in count and in mix', () => {
+        const [a] = comparison.tableRows;
+        assert.deepEqual(a.total, { baseline: 2, current: 3, delta: 1, baselineShare: 0.5, currentShare: 0.6, shareDelta: (0.6 - 0.5) * 100 });
+        assert.equal(a.cells.T1.shareDelta, 50);
+        assert.equal(a.cells.T2.delta, -1);
+    });
+
+    test('has no mix change for rows missing from one snapshot', () => {
+        const gone = comparison.tableRows.find(row => row.primaryValue === 'C');
+        assert.equal(gone.cells.T3.currentShare, null);
+        assert.equal(gone.cells.T3.shareDelta, null);
+    });
+
+    test('sorts by the size of the change', () => {
+        const sorted = sortComparison(comparison.tableHeaders, comparison.tableRows, { column: 'Total Contacts', metric: 'count', direction: 'desc' });
+        assert.equal(Math.abs(sorted[0].total.delta), 1);
+        assert.deepEqual(sorted.map(row => row.primaryValue).slice(-1), ['B']);
+    });
+});
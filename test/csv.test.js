@@ -0,0 +1,64 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDelimiter, parseCSV, uniqueHeaders } from '../src/lib/csv.js';
+
+describe('detectDelimiter', () => {
+    test('picks the most frequent candidate on the first line', () => {
+        assert.equal(detectDelimiter('a;b;c\n1;2;3'), ';');
+        assert.equal(detectDelimiter('a\tb\tc\n1\t2\t3'), '\t');
+    });
+
+    test('ignores delimiters inside quotes', () => {
+        assert.equal(detectDelimiter('"a;b;c",d,e\n1,2,3'), ',');
+    });
+
+    test('falls back to a comma', () => {
+        assert.equal(detectDelimiter('single column\nvalue'), ',');
+    });
+});
+
+describe('parseCSV', () => {
+    test('reads rows keyed by the header', () => {
+        const { headers, rows, errors } = parseCSV('Name,Tier\nAcme,Tier 1\nGlobex,Tier 2\n');
+        assert.deepEqual(headers, ['Name', 'Tier']);
+        assert.deepEqual(rows, [{ Name: 'Acme', Tier: 'Tier 1' }, { Name: 'Globex', Tier: 'Tier 2' }]);
+        assert.deepEqual(errors, []);
+    });
+
+    test('keeps delimiters, escaped quotes and line breaks inside quoted fields', () => {
+        const { rows } = parseCSV('Name,Note\r\n"Acme, Inc.","Said ""hi""\r\nthen left"\r\n');
+        assert.deepEqual(rows, [{ Name: 'Acme, Inc.', Note: 'Said "hi"\nthen left' }]);
+    });
+
+    test('reports records on the line they start on', () => {
+        const { rows, errors } = parseCSV('A,B\n"multi\nline",1\n1,2,3\n4,5');
+        assert.deepEqual(rows, [{ A: 'multi\nline', B: '1' }, { A: '4', B: '5' }]);
+        assert.deepEqual(errors, [{ line: 4, message: 'Expected 2 fields but found 3.' }]);
+    });
+
+    test('rejects stray quotes and unterminated fields', () => {
+        const { rows, errors } = parseCSV('A,B\nab"c,1\n"open,2');
+        assert.deepEqual(rows, []);
+        assert.deepEqual(errors.map(error => error.line), [2, 3]);
+        assert.match(errors[0].message, /Unexpected quote inside unquoted field 1/);
+        assert.match(errors[1].message, /Unterminated quoted field 1/);
+    });
+
+    test('strips a byte order mark and trims unquoted fields only', () => {
+        const { headers, rows } = parseCSV('﻿A;B\n  x  ;"  y  "', {});
+        assert.deepEqual(headers, ['A', 'B']);
+        assert.deepEqual(rows, [{ A: 'x', B: '  y  ' }]);
+    });
+
+    test('honours a forced delimiter', () => {
+        const { rows, delimiter } = parseCSV('A,B\tC\n1,2\t3', { delimiter: '\t' });
+        assert.equal(delimiter, '\t');
+        assert.deepEqual(rows, [{ 'A,B': '1,2', C: '3' }]);
+    });
+});
+
+describe('uniqueHeaders', () => {
+    test('numbers repeated and blank headers', () => {
+        assert.deepEqual(uniqueHeaders(['Email', '', 'Email', 'Email']), ['Email', 'Column 2', 'Email (2)', 'Email (3)']);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, detectDateColumns, bucketKey, previousBucket } from '../src/lib/dates.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('parseDate', () => {
+    test('reads each format at UTC midnight', () => {
+        assert.deepEqual(parseDate('2024-03-05', 'iso'), day('2024-03-05'));
+        assert.deepEqual(parseDate('03/05/2024', 'mdy'), day('2024-03-05'));
+        assert.deepEqual(parseDate('05/03/2024', 'dmy'), day('2024-03-05'));
+        assert.deepEqual(parseDate('5.3.24', 'dmyDot'), day('2024-03-05'));
+        assert.deepEqual(parseDate('2024/03/05', 'ymdSlash'), day('2024-03-05'));
+    });
+
+    test('ignores a time of day', () => {
+        assert.deepEqual(parseDate('2024-03-05T23:30:00Z', 'iso'), day('2024-03-05'));
+        assert.deepEqual(parseDate('3/5/2024 11:15 PM', 'mdy'), day('2024-03-05'));
+    });
+
+    test('rejects rollovers, other layouts and unknown formats', () => {
+        assert.equal(parseDate('31/02/2024', 'dmy'), null);
+        assert.equal(parseDate('2024-03-05', 'mdy'), null);
+        assert.equal(parseDate('2024-03-05', 'nope'), null);
+        assert.equal(parseDate('', 'iso'), null);
+    });
+});
+
+describe('detectDateColumns', () => {
+    test('picks the format that reads most values', () => {
+        const rows = [{ Created: '25/12/2024', Name: 'a' }, { Created: '01/02/2024', Name: 'b' }, { Created: '13/01/2024', Name: 'c' }];
+        assert.deepEqual(detectDateColumns(rows, ['Created', 'Name']), { Created: 'dmy' });
+    });
+
+    test('prefers MM/DD when both readings fit', () => {
+        assert.deepEqual(detectDateColumns([{ Created: '01/02/2024' }], ['Created']), { Created: 'mdy' });
+    });
+
+    test('skips columns where too few values are dates', () => {
+        const rows = [{ Created: '2024-01-01' }, { Created: 'soon' }, { Created: 'later' }];
+        assert.deepEqual(detectDateColumns(rows, ['Created']), {});
+    });
+});
+
+describe('bucketKey and previousBucket', () => {
+    test('keys weeks by their Monday', () => {
+        assert.equal(bucketKey(day('2024-03-10'), 'week'), '2024-03-04');
+        assert.equal(bucketKey(day('2024-03-04'), 'week'), '2024-03-04');
+        assert.equal(bucketKey(day('2024-03-10'), 'month'), '2024-03');
+        assert.equal(bucketKey(day('2024-03-10'), 'day'), '2024-03-10');
+    });
+
+    test('steps back across month and year boundaries', () => {
+        assert.equal(previousBucket('2024-01', 'month'), '2023-12');
+        assert.equal(previousBucket('2024-03-04', 'week'), '2024-02-26');
+        assert.equal(previousBucket('2024-03-01', 'day'), '2024-02-29');
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStages, createStageLookup, findUnrankedStages, computeFunnel } from '../src/lib/funnel.js';
+import { FIELDS } from '../src/lib/columnMapping.js';
+
+const stages = parseStages(['Lead', 'MQL | Marketing Qualified Lead', '', 'Customer']);
+const contact = (stage) => ({ [FIELDS.lifecycle]: stage });
+
+describe('parseStages', () => {
+    test('keeps the first spelling as the label and drops blank entries', () => {
+        assert.deepEqual(stages.map(stage => stage.label), ['Lead', 'MQL', 'Customer']);
+        assert.deepEqual([...stages[1].names], ['mql', 'marketingqualifiedlead']);
+    });
+});
+
+describe('createStageLookup', () => {
+    test('matches any spelling regardless of case and punctuation', () => {
+        const lookup = createStageLookup(stages);
+        assert.equal(lookup('marketing-qualified lead'), 1);
+        assert.equal(lookup(' CUSTOMER '), 2);
+        assert.equal(lookup('Evangelist'), -1);
+    });
+});
+
+describe('findUnrankedStages', () => {
+    test('lists unmatched values once, sorted', () => {
+        const rows = ['Lead', 'Other', 'Evangelist', 'Other', ''].map(contact);
+        assert.deepEqual(findUnrankedStages(rows, stages), ['Evangelist', 'Other']);
+    });
+});
+
+describe('computeFunnel', () => {
+    test('counts contacts at or beyond each stage', () => {
+        const funnel = computeFunnel(['Lead', 'Lead', 'MQL', 'Customer', 'Unknown', ''].map(contact), stages);
+        assert.deepEqual(funnel, { total: 6, unranked: 2, reached: [4, 2, 1], conversions: [0.5, 0.5] });
+    });
+
+    test('leaves conversions out where no one reached the stage before', () => {
+        const funnel = computeFunnel(['Lead'].map(contact), stages);
+        assert.deepEqual(funnel.conversions, [0, null]);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeHref, parseInline, parseMarkdown } from '../src/lib/markdown.js';
+
+const links = (nodes) => nodes.flatMap(node => [
+    ...(node.type === 'link' ? [node.href] : []),
+    ...(node.children ? links(node.children) : []),
+]);
+
+describe('safeHref', () => {
+    test('keeps http(s) and mailto URLs', () => {
+        assert.equal(safeHref(' https://example.com/a?b=1 '), 'https://example.com/a?b=1');
+        assert.equal(safeHref('HTTP://example.com'), 'HTTP://example.com');
+        assert.equal(safeHref('mailto:team@example.com'), 'mailto:team@example.com');
+    });
+
+    test('drops script, data and relative URLs', () => {
+        ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html;base64,PHNjcmlwdD4=', 'vbscript:x', '//evil.example', '/settings', '#top']
+            .forEach(url => assert.equal(safeHref(url), null, url));
+    });
+});
+
+describe('parseInline', () => {
+    test('turns safe links into link nodes', () => {
+        assert.deepEqual(parseInline('see [docs](https://example.com)'), [
+            { type: 'text', text: 'see ' },
+            { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'docs' }] },
+        ]);
+    });
+
+    test('keeps the text of unsafe links and images without a link', () => {
+        const nodes = parseInline('[click](javascript:void) and ![pixel](https://example.com/t.gif)');
+        assert.deepEqual(links(nodes), []);
+        assert.equal(nodes.map(node => node.text).join(''), 'click and pixel');
+    });
+
+    test('leaves raw HTML as text', () => {
+        assert.deepEqual(parseInline('<img src=x onerror=alert(1)>'), [{ type: 'text', text: '<img src=x onerror=alert(1)>' }]);
+    });
+
+    test('accepts only http(s) and mailto autolinks', () => {
+        assert.deepEqual(links(parseInline('<https://example.com> <javascript:alert(1)>')), ['https://example.com']);
+    });
+
+    test('parses emphasis, code spans and line breaks', () => {
+        assert.deepEqual(parseInline('**bold** _it_ `a*b*`\nnext'), [
+            { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+            { type: 'text', text: ' ' },
+            { type: 'em', children: [{ type: 'text', text: 'it' }] },
+            { type: 'text', text: ' ' },
+            { type: 'code', text: 'a*b*' },
+            { type: 'break' },
+            { type: 'text', text: 'next' },
+        ]);
+    });
+});
+
+describe('parseMarkdown', () => {
+    test('splits headings, lists and tables into blocks', () => {
+        const blocks = parseMarkdown('## Summary\n\n- one\n- two\n\n| A | B |\n|---|--:|\n| 1 | 2 |');
+        assert.deepEqual(blocks.map(block => block.type), ['heading', 'list', 'table']);
+        assert.equal(blocks[0].level, 2);
+        assert.equal(blocks[1].items.length, 2);
+        assert.deepEqual(blocks[2].align, [null, 'right']);
+    });
+
+    test('keeps fenced code verbatim, even when cut off mid-stream', () => {
+        const [block] = parseMarkdown('```html\n<script>alert(1)</script>');
+        assert.equal(block.type, 'code');
+        assert.equal(block.text, '<script>alert(1)</script>');
+    });
+
+    test('sanitises links inside nested blocks', () => {
+        const [quote] = parseMarkdown('> - [x](javascript:alert(1)) [y](https://example.com)');
+        const [list] = quote.children;
+        assert.deepEqual(links(list.items[0][0].content), ['https://example.com']);
+    });
+});
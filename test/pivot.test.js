@@ -0,0 +1,76 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPivot, applyTopN, cellRows, sortPivotRows, valueLabel, OTHER_BUCKET } from '../src/lib/pivot.js';
+
+const contacts = (pairs) => pairs.map(([group, tier]) => ({ Group: group, Tier: tier }));
+const view = { primaryDimension: 'Group', drillDown: 'Tier', nestedLevels: [] };
+
+describe('buildPivot', () => {
+    test('counts every drill-down value per group and skips blank groups', () => {
+        const { tableHeaders, tableRows } = buildPivot(contacts([['A', 'T1'], ['A', 'T2'], ['B', 'T1'], ['', 'T1'], ['B', '']]), view);
+        assert.deepEqual(tableHeaders, ['Group', 'Total Contacts', 'T1', 'T2']);
+        assert.deepEqual(tableRows.map(({ primaryValue, total, breakdown }) => ({ primaryValue, total, breakdown })), [
+            { primaryValue: 'A', total: 2, breakdown: { T1: 1, T2: 1 } },
+            { primaryValue: 'B', total: 2, breakdown: { T1: 1 } },
+        ]);
+    });
+
+    test('builds a tree in nested mode', () => {
+        const { tableHeaders, tree } = buildPivot(contacts([['A', 'T1'], ['A', 'T2'], ['A', 'T1']]), { ...view, drillDown: 'nested', nestedLevels: ['Tier'] });
+        assert.deepEqual(tableHeaders, ['Group', 'Total Contacts']);
+        assert.deepEqual(tree.children[0].children.map(node => [node.value, node.count]), [['T1', 2], ['T2', 1]]);
+    });
+});
+
+describe('applyTopN', () => {
+    const pivot = buildPivot(contacts([['A', 'T1'], ['A', 'T1'], ['A', 'T2'], ['B', 'T3'], ['B', 'T1'], ['C', 'T1']]), view);
+
+    test('folds the smallest rows into an Other row that keeps the totals', () => {
+        const { tableRows } = applyTopN(pivot.tableHeaders, pivot.tableRows, { rowLimit: 1, columnLimit: 0 });
+        assert.deepEqual(tableRows.map(row => row.primaryValue), ['A', OTHER_BUCKET]);
+        assert.equal(tableRows[1].total, 3);
+        assert.deepEqual(tableRows[1].members, ['B', 'C']);
+        assert.deepEqual(tableRows[1].breakdown, { T3: 1, T1: 2 });
+    });
+
+    test('folds the smallest columns into an Other column', () => {
+        const { tableHeaders, tableRows } = applyTopN(pivot.tableHeaders, pivot.tableRows, { rowLimit: 0, columnLimit: 1 });
+        assert.deepEqual(tableHeaders, ['Group', 'Total Contacts', 'T1', OTHER_BUCKET]);
+        assert.deepEqual(tableRows[1].breakdown, { [OTHER_BUCKET]: 1, T1: 1 });
+    });
+
+    test('keeps a real "Other" value apart from the folded bucket', () => {
+        const rows = contacts([['A', 'Other'], ['A', 'Other'], ['A', 'T1'], ['A', 'T2'], ['A', 'T2'], ['A', 'T2']]);
+        const built = buildPivot(rows, view);
+        const { tableHeaders, tableRows } = applyTopN(built.tableHeaders, built.tableRows, { rowLimit: 0, columnLimit: 2 });
+        assert.deepEqual(tableHeaders, ['Group', 'Total Contacts', 'Other', 'T2', OTHER_BUCKET]);
+        assert.deepEqual(cellRows(tableRows[0], 'Other', tableHeaders, 'Tier').length, 2);
+        assert.deepEqual(cellRows(tableRows[0], OTHER_BUCKET, tableHeaders, 'Tier').map(row => row.Tier), ['T1']);
+        assert.equal(valueLabel(OTHER_BUCKET), 'Other');
+        assert.equal(valueLabel('T1'), 'T1');
+    });
+});
+
+describe('sortPivotRows', () => {
+    const rows = [
+        { primaryValue: 'B', total: 4, breakdown: { T1: 1 }, metrics: { Spend: null } },
+        { primaryValue: 'A', total: 2, breakdown: { T1: 2 }, metrics: { Spend: 5 } },
+        { primaryValue: OTHER_BUCKET, total: 9, breakdown: { T1: 0 }, isOther: true, metrics: { Spend: 1 } },
+    ];
+    const headers = ['Group', 'Total Contacts', 'T1'];
+    const order = (sort) => sortPivotRows(headers, rows, sort).map(row => row.primaryValue);
+
+    test('sorts by count or share and keeps Other last', () => {
+        assert.deepEqual(order({ column: 'Total Contacts', metric: 'count', direction: 'desc' }), ['B', 'A', OTHER_BUCKET]);
+        assert.deepEqual(order({ column: 'T1', metric: 'percent', direction: 'desc' }), ['A', 'B', OTHER_BUCKET]);
+        assert.deepEqual(order({ column: 'Group', metric: 'count', direction: 'asc' }), ['A', 'B', OTHER_BUCKET]);
+    });
+
+    test('puts rows without a computed value last', () => {
+        assert.deepEqual(order({ column: 'Spend', metric: 'count', direction: 'asc' }), ['A', 'B', OTHER_BUCKET]);
+    });
+
+    test('leaves the order alone for an unknown column', () => {
+        assert.deepEqual(order({ column: 'Missing', metric: 'count', direction: 'asc' }), ['B', 'A', OTHER_BUCKET]);
+    });
+});
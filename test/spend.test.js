@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, readSpendRows, contactPeriod, joinSpend, filtersSplittingSpend, addCostMetrics } from '../src/lib/spend.js';
+import { FIELDS } from '../src/lib/columnMapping.js';
+import { CAMPAIGN_HIERARCHY } from '../src/lib/hierarchy.js';
+import { parseStages } from '../src/lib/funnel.js';
+
+describe('parseAmount', () => {
+    test('reads currency symbols and both separator styles', () => {
+        assert.equal(parseAmount('$1,234.50'), 1234.5);
+        assert.equal(parseAmount('1.234,50 €'), 1234.5);
+        assert.equal(parseAmount('1,234'), 1234);
+        assert.equal(parseAmount('12,5'), 12.5);
+        assert.equal(parseAmount('-40'), -40);
+    });
+
+    test('is null without digits', () => {
+        assert.equal(parseAmount(''), null);
+        assert.equal(parseAmount('n/a'), null);
+        assert.equal(parseAmount(undefined), null);
+    });
+});
+
+describe('readSpendRows', () => {
+    test('reads mapped columns and reports rows without an amount', () => {
+        const rows = [
+            { Group: 'Brand', Cost: '$10', Day: '2024-03-01', Clicks: '4' },
+            { Group: 'Retarget', Cost: '', Day: '2024-03-02', Clicks: '' },
+        ];
+        const { entries, errors } = readSpendRows(rows, { adGroup: 'Group', spend: 'Cost', date: 'Day', clicks: 'Clicks' });
+        assert.equal(entries.length, 1);
+        assert.deepEqual(entries[0], { line: 2, campaign: '', adGroup: 'Brand', date: new Date('2024-03-01T00:00:00Z'), spend: 10, impressions: null, clicks: 4 });
+        assert.deepEqual(errors, [{ line: 3, message: 'No spend amount in "".' }]);
+    });
+});
+
+describe('joinSpend', () => {
+    const contacts = [{ [FIELDS.adGroup]: 'Brand Search', Created: '2024-03-02' }, { [FIELDS.adGroup]: 'Retarget', Created: '2024-03-05' }];
+    const entry = (adGroup, spend, date = null) => ({ line: 2, campaign: '', adGroup, date: date && new Date(`${date}T00:00:00Z`), spend, impressions: null, clicks: null });
+
+    test('matches names loosely and lists what did not match', () => {
+        const join = joinSpend([entry('brand-search', 30), entry('Brand Search', 20), entry('Display', 5)], contacts, FIELDS.adGroup, { adGroup: 'Group' });
+        assert.equal(join.byValue.get('Brand Search').spend, 50);
+        assert.deepEqual(join.unmatchedSpend, [{ value: 'Display', spend: 5, rows: 1 }]);
+        assert.deepEqual(join.unmatchedGroups, ['Retarget']);
+    });
+
+    test('leaves out spend dated outside the contacts\' period', () => {
+        const period = contactPeriod(contacts, 'Created', 'iso');
+        const join = joinSpend([entry('Retarget', 7, '2024-03-05'), entry('Retarget', 3, '2024-04-01'), entry('Retarget', 1)], contacts, FIELDS.adGroup, { adGroup: 'Group' }, period);
+        assert.equal(join.byValue.get('Retarget').spend, 8);
+        assert.deepEqual(join.outsidePeriod, { spend: 3, rows: 1 });
+    });
+
+    test('is null when the dimension cannot be joined', () => {
+        assert.equal(joinSpend([], contacts, FIELDS.department, { adGroup: 'Group' }), null);
+        assert.equal(joinSpend([], contacts, FIELDS.campaign, { adGroup: 'Group' }), null);
+    });
+});
+
+describe('filtersSplittingSpend', () => {
+    test('ignores filters on the grouping and date columns', () => {
+        const filters = [FIELDS.adGroup, FIELDS.campaign, FIELDS.department, 'Created'].map(column => ({ column }));
+        assert.deepEqual(filtersSplittingSpend(filters, FIELDS.adGroup, 'Created').map(filter => filter.column), [FIELDS.campaign, FIELDS.department]);
+        assert.deepEqual(filtersSplittingSpend(filters, CAMPAIGN_HIERARCHY, '').map(filter => filter.column), [FIELDS.department, 'Created']);
+    });
+});
+
+describe('addCostMetrics', () => {
+    const join = { byValue: new Map([['A', { spend: 100, impressions: 0, clicks: 20 }], ['B', { spend: 50, impressions: 0, clicks: 0 }]]) };
+    const stages = parseStages(['Lead', 'MQL']);
+    const contact = (icp, stage) => ({ [FIELDS.icp]: icp, [FIELDS.lifecycle]: stage });
+    const rows = [
+        { primaryValue: 'A', total: 4, rows: [contact('Tier 1', 'Lead'), contact('P1', 'MQL'), contact('Tier 2', 'Lead'), contact('', '')] },
+        { primaryValue: 'Other', total: 1, rows: [contact('Tier 3', 'Lead')], isOther: true, members: ['B', 'C'] },
+    ];
+
+    test('divides spend by contacts, tier-1 contacts and stages reached', () => {
+        const [a, other] = addCostMetrics(rows, join, stages);
+        assert.deepEqual(a.metrics, { 'Spend': 100, 'Impressions': 0, 'Clicks': 20, 'Cost / Click': 5, 'Cost / Contact': 25, 'Cost / Tier-1 Contact': 50, 'Cost / Lead': 100 / 3, 'Cost / MQL': 100 });
+        assert.equal(other.metrics['Spend'], 50);
+        assert.equal(other.metrics['Cost / Click'], null);
+        assert.equal(other.metrics['Cost / Tier-1 Contact'], null);
+    });
+
+    test('leaves the per-contact costs out when asked to', () => {
+        const [a] = addCostMetrics(rows, join, stages, { perContact: false });
+        assert.deepEqual(Object.keys(a.metrics), ['Spend', 'Impressions', 'Clicks', 'Cost / Click']);
+    });
+});
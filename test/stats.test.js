@@ -0,0 +1,98 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wilsonInterval, twoProportionTest, chiSquarePValue, chiSquareTest, computeSignificance, formatPValue } from '../src/lib/stats.js';
+
+const near = (actual, expected, tolerance = 1e-3) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+describe('wilsonInterval', () => {
+    test('matches the textbook interval', () => {
+        const { low, high } = wilsonInterval(5, 10);
+        near(low, 0.2366);
+        near(high, 0.7634);
+    });
+
+    test('stays inside 0 and 1 at the edges', () => {
+        const none = wilsonInterval(0, 20);
+        assert.equal(none.low, 0);
+        assert.ok(none.high > 0 && none.high < 1);
+        const all = wilsonInterval(20, 20);
+        near(all.high, 1, 1e-12);
+    });
+
+    test('is null for an empty group', () => {
+        assert.equal(wilsonInterval(0, 0), null);
+    });
+});
+
+describe('twoProportionTest', () => {
+    test('computes the pooled z statistic and a two-sided p-value', () => {
+        const { z, pValue } = twoProportionTest(50, 100, 30, 100);
+        near(z, 2.8868);
+        near(pValue, 0.0039, 1e-4);
+    });
+
+    test('is null without variation or without contacts', () => {
+        assert.equal(twoProportionTest(0, 10, 0, 20), null);
+        assert.equal(twoProportionTest(3, 0, 2, 10), null);
+    });
+});
+
+describe('chiSquarePValue', () => {
+    test('matches critical values at the 5% level', () => {
+        near(chiSquarePValue(3.841, 1), 0.05);
+        near(chiSquarePValue(5.991, 2), 0.05);
+        near(chiSquarePValue(11.070, 5), 0.05);
+    });
+});
+
+describe('chiSquareTest', () => {
+    test('tests a group against the rest', () => {
+        const result = chiSquareTest([30, 10], [20, 40]);
+        near(result.statistic, 16.6667);
+        assert.equal(result.df, 1);
+        assert.equal(result.sparse, false);
+        assert.ok(result.pValue < 0.001);
+    });
+
+    test('drops empty categories and flags small expected counts', () => {
+        const result = chiSquareTest([2, 0, 1], [1, 0, 3]);
+        assert.equal(result.df, 1);
+        assert.equal(result.sparse, true);
+    });
+
+    test('is null when there is nothing to compare', () => {
+        assert.equal(chiSquareTest([5, 0], [7, 0]), null);
+        assert.equal(chiSquareTest([0, 0], [3, 4]), null);
+    });
+});
+
+describe('computeSignificance', () => {
+    const row = (primaryValue, breakdown) => ({ primaryValue, total: Object.values(breakdown).reduce((a, b) => a + b, 0), breakdown });
+
+    test('flags rows and cells that differ from the rest of the table', () => {
+        const stats = computeSignificance(['Ad Group', 'Total Contacts', 'Tier 1', 'Tier 2'], [
+            row('A', { 'Tier 1': 80, 'Tier 2': 20 }),
+            row('B', { 'Tier 1': 20, 'Tier 2': 80 }),
+        ]);
+        assert.equal(stats.get('A').significant, true);
+        assert.equal(stats.get('A').cells['Tier 1'].direction, 'above');
+        assert.equal(stats.get('B').cells['Tier 1'].direction, 'below');
+        assert.equal(stats.get('B').cells['Tier 1'].significant, true);
+    });
+
+    test('never flags sparse cells', () => {
+        const stats = computeSignificance(['Ad Group', 'Total Contacts', 'Tier 1'], [
+            row('A', { 'Tier 1': 3 }),
+            row('B', { 'Tier 1': 0 }),
+        ].map(r => ({ ...r, total: 3 })));
+        assert.equal(stats.get('A').cells['Tier 1'].sparse, true);
+        assert.equal(stats.get('A').cells['Tier 1'].significant, false);
+    });
+});
+
+describe('formatPValue', () => {
+    test('rounds to three places and caps small values', () => {
+        assert.equal(formatPValue(0.0321), 'p = 0.032');
+        assert.equal(formatPValue(0.0004), 'p < 0.001');
+    });
+});
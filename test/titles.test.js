@@ -0,0 +1,49 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TITLE_RULES, validateTitleRules, parseTitleRules, createTitleClassifier } from '../src/lib/titles.js';
+
+describe('createTitleClassifier', () => {
+    const classify = createTitleClassifier(DEFAULT_TITLE_RULES);
+
+    test('classifies seniority and function from the default rules', () => {
+        assert.deepEqual(classify('Vice President, Marketing'), { seniority: 'VP', function: 'Marketing' });
+        assert.deepEqual(classify('CFO'), { seniority: 'C-level', function: 'Finance' });
+        assert.deepEqual(classify('Senior Software Engineer'), { seniority: 'IC', function: 'Engineering' });
+    });
+
+    test('lets higher-priority rules win', () => {
+        assert.equal(classify('Executive Assistant to the CEO').seniority, 'IC');
+    });
+
+    test('matches whole words only', () => {
+        assert.deepEqual(classify('Recruiting Coordinator'), { seniority: 'IC', function: 'HR' });
+        assert.equal(classify('Principal Architect').function, 'Engineering');
+        assert.equal(classify('Barista').function, 'Unclassified');
+    });
+
+    test('gives blank values for blank titles', () => {
+        assert.deepEqual(classify('  '), { seniority: '', function: '' });
+    });
+});
+
+describe('validateTitleRules and parseTitleRules', () => {
+    test('reports every problem with a rule', () => {
+        assert.deepEqual(validateTitleRules([{ field: 'team', value: '', priority: 'high', keywords: [], regex: '(' }]), [
+            'Rule 1 must set "seniority" or "function".',
+            'Rule 1 has no value.',
+            'Rule 1 needs a numeric priority.',
+            'Rule 1 has an invalid regular expression: (',
+        ]);
+    });
+
+    test('reads a rule list or an object holding one', () => {
+        const rule = { field: 'function', value: ' Legal ', keywords: ['counsel'], priority: 10 };
+        const expected = [{ field: 'function', value: 'Legal', keywords: ['counsel'], regex: '', priority: 10 }];
+        assert.deepEqual(parseTitleRules(JSON.stringify([rule])), expected);
+        assert.deepEqual(parseTitleRules(JSON.stringify({ rules: [rule] })), expected);
+    });
+
+    test('throws on invalid JSON', () => {
+        assert.throws(() => parseTitleRules('{'), /not valid JSON/);
+    });
+});